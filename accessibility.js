@@ -0,0 +1,84 @@
+// accessibility.js - Colorblind-safe palettes, UI scale and reduced motion
+// The HUD and menus take their colors from CSS variables, so a palette switch recolors
+// everything at once without touching the elements. Ship identity colors (player, AI,
+// other captains) come from the same palette. Reduced motion is read by the modules that
+// animate - the camera stops riding the swell and lightning and sparkles are damped.
+import { settings } from './settings.js';
+
+// Palettes - 'neon' is the original look; the others keep their pairs apart for
+// red-green (protanopia, deuteranopia) and blue-yellow (tritanopia) color blindness
+export const COLOR_PALETTES = {
+    neon: {
+        label: 'Neon (default)',
+        hud: { accent: '#00ff00', accentSoft: '#00ff99', accentDim: '#006600', warn: '#ffff00', danger: '#ff3333' },
+        ships: { player: 0x00FFFF, ai: 0xFF00FF, networked: 0xFF0000 }
+    },
+    redGreen: {
+        label: 'Red-green safe',
+        hud: { accent: '#56b4e9', accentSoft: '#9ad3f5', accentDim: '#1f5f85', warn: '#f0e442', danger: '#e69f00' },
+        ships: { player: 0x56B4E9, ai: 0xE69F00, networked: 0xF0E442 }
+    },
+    blueYellow: {
+        label: 'Blue-yellow safe',
+        hud: { accent: '#ee7733', accentSoft: '#ffaa77', accentDim: '#7a3a14', warn: '#ffffff', danger: '#ee3377' },
+        ships: { player: 0x33BBEE, ai: 0xEE3377, networked: 0xEE7733 }
+    },
+    highContrast: {
+        label: 'High contrast',
+        hud: { accent: '#ffffff', accentSoft: '#ffffff', accentDim: '#9a9a9a', warn: '#ffff00', danger: '#ff66ff' },
+        ships: { player: 0xFFFFFF, ai: 0xFFFF00, networked: 0xFF66FF }
+    }
+};
+
+// How much of the usual movement reduced motion keeps for flashes and sparkles
+export const REDUCED_MOTION_SCALE = 0.15;
+
+const ACCESSIBILITY_KEYS = ['colorPalette', 'uiScale', 'reducedMotion'];
+
+export class Accessibility {
+    constructor(store = settings) {
+        this.settings = store;
+    }
+
+    get palette() {
+        return COLOR_PALETTES[this.settings.get('colorPalette')] || COLOR_PALETTES.neon;
+    }
+
+    get reducedMotion() {
+        return this.settings.get('reducedMotion');
+    }
+
+    // Multiplier for flashing and twinkling effects - 1 normally
+    get motionScale() {
+        return this.reducedMotion ? REDUCED_MOTION_SCALE : 1;
+    }
+
+    // Identity color for a ship: 'player', 'ai' or 'networked'
+    getShipColor(role) {
+        return this.palette.ships[role];
+    }
+
+    // Put the palette, UI scale and motion preference on the page, and keep them there
+    attach(root = document.documentElement) {
+        this.apply(root);
+        return this.settings.onChange('*', ({ key }) => {
+            if (ACCESSIBILITY_KEYS.includes(key)) {
+                this.apply(root);
+            }
+        });
+    }
+
+    apply(root) {
+        const hud = this.palette.hud;
+        root.style.setProperty('--hud-accent', hud.accent);
+        root.style.setProperty('--hud-accent-soft', hud.accentSoft);
+        root.style.setProperty('--hud-accent-dim', hud.accentDim);
+        root.style.setProperty('--hud-warn', hud.warn);
+        root.style.setProperty('--hud-danger', hud.danger);
+        root.style.setProperty('--ui-scale', String(this.settings.get('uiScale')));
+        root.classList.toggle('reduced-motion', this.reducedMotion);
+    }
+}
+
+// Shared by the game, the camera, the terrain and the ships
+export const accessibility = new Accessibility();
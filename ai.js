@@ -52,7 +52,9 @@ export function createAIPlayer() {
         }
         
         // Update the pawn's surge state
-        aiPawn.setSurge(isSurgeActive);
+        if (aiPawn.setSurge) {
+            aiPawn.setSurge(isSurgeActive);
+        }
     }
 
     aiPawn.updateAI = function(deltaTime, animationTime) {
@@ -65,13 +67,20 @@ export function createAIPlayer() {
         // Update surge state
         updateSurgeState(deltaTime);
 
-        // Move the AI pawn
-        const currentSpeed = isSurgeActive ? aiSpeed * 1.5 : aiSpeed;
-        aiPawn.position.x += currentDirection.x * currentSpeed * deltaTime;
-        aiPawn.position.z += currentDirection.z * currentSpeed * deltaTime;
+        // Steer the AI ship toward its chosen direction through the shared ship physics
+        const aiMoveState = { left: false, right: false, backward: false };
+        let sailSpeed = 0;
+        if (currentDirection.length() > 0) {
+            const desiredHeading = Math.atan2(-currentDirection.x, -currentDirection.z);
+            let headingError = desiredHeading - aiPawn.rotation.y;
+            headingError = Math.atan2(Math.sin(headingError), Math.cos(headingError));
+            aiMoveState.left = headingError > 0.1;
+            aiMoveState.right = headingError < -0.1;
+            sailSpeed = isSurgeActive ? aiSpeed * 1.5 : aiSpeed;
+        }
 
-        // Call the original update for animations (star will update automatically)
-        aiPawn.update(deltaTime, animationTime);
+        // Call the ship update for movement and animations (star will update automatically)
+        aiPawn.update(deltaTime, animationTime, sailSpeed, aiMoveState);
     };
 
     return aiPawn;
@@ -0,0 +1,118 @@
+// assetManager.js - Load each model once and hand out copies
+// Every ship used to download and parse its own Ship1.glb. Models are now fetched once
+// per URL, the parsed scene is cached, and each ship gets a clone that shares geometry
+// but has its own materials so hull colors and damage don't bleed between ships. (Sail
+// geometry is cloned by the SailRig, the only thing that reshapes vertices.) Load progress
+// across every asset drives the loading screen before the Start button is enabled.
+import { GLTFLoader } from 'https://cdn.skypack.dev/three@0.134.0/examples/jsm/loaders/GLTFLoader.js';
+
+export class AssetManager {
+    constructor(loader = new GLTFLoader()) {
+        this.loader = loader;
+        this.assets = new Map(); // url -> { promise, loaded, total, done, failed }
+        this.progressListeners = new Set();
+    }
+
+    // Parsed glTF for a URL - downloaded on first request, shared afterwards
+    loadGLTF(url) {
+        const cached = this.assets.get(url);
+        if (cached) {
+            return cached.promise;
+        }
+
+        const asset = { promise: null, loaded: 0, total: 0, done: false, failed: false };
+        asset.promise = new Promise((resolve, reject) => {
+            this.loader.load(
+                url,
+                (gltf) => {
+                    asset.done = true;
+                    asset.loaded = asset.total = Math.max(asset.total, 1);
+                    this.notifyProgress();
+                    resolve(gltf);
+                },
+                (progress) => {
+                    asset.loaded = progress.loaded;
+                    asset.total = progress.lengthComputable ? progress.total : 0;
+                    this.notifyProgress();
+                },
+                (error) => {
+                    // Remembered, so every ship falls back without downloading it again
+                    asset.done = true;
+                    asset.failed = true;
+                    asset.loaded = asset.total = Math.max(asset.total, 1);
+                    this.notifyProgress();
+                    reject(error);
+                }
+            );
+        });
+        this.assets.set(url, asset);
+        this.notifyProgress();
+        return asset.promise;
+    }
+
+    // A copy of the model's scene with per-instance materials
+    async cloneModel(url) {
+        const gltf = await this.loadGLTF(url);
+        const model = gltf.scene.clone(true);
+        model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(material => material.clone())
+                    : child.material.clone();
+            }
+        });
+        return model;
+    }
+
+    // Start loading a set of URLs - resolves once all have loaded or failed
+    preload(urls) {
+        return Promise.all([...new Set(urls)].map(url => this.loadGLTF(url).catch(() => null)));
+    }
+
+    // Progress over every asset requested so far
+    // Assets without a known size count as nothing loaded until they finish
+    getProgress() {
+        let loaded = 0;
+        let total = 0;
+        let pending = 0;
+        let failed = 0;
+        for (const asset of this.assets.values()) {
+            if (asset.total > 0) {
+                loaded += Math.min(asset.loaded, asset.total);
+                total += asset.total;
+            } else {
+                total += 1;
+            }
+            if (!asset.done) {
+                pending++;
+            }
+            if (asset.failed) {
+                failed++;
+            }
+        }
+        return {
+            loaded,
+            total,
+            fraction: total > 0 ? loaded / total : 1,
+            pending,
+            failed,
+            done: pending === 0
+        };
+    }
+
+    // Called with getProgress() whenever any asset makes progress - returns an unsubscribe function
+    onProgress(listener) {
+        this.progressListeners.add(listener);
+        return () => this.progressListeners.delete(listener);
+    }
+
+    notifyProgress() {
+        const progress = this.getProgress();
+        for (const listener of this.progressListeners) {
+            listener(progress);
+        }
+    }
+}
+
+// Shared by the start screen, the local ship and every networked ship
+export const assetManager = new AssetManager();
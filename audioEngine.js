@@ -0,0 +1,442 @@
+// audioEngine.js - Procedural sound for the sea, the weather and the ships
+// Everything is synthesized with WebAudio from one buffer of noise and a few oscillators,
+// so there are no sound files to load:
+//   ocean   - low-passed noise rising and falling with a slow swell; louder and brighter as the waves grow
+//   wind    - band-passed noise with gusts; rises in pitch and level with storm intensity
+//   creaks  - woody groans from the hull, more often with more canvas set and a rolling sea
+//   flaps   - snapping canvas while the sails luff or are being set or taken in
+//   thunder - rumbles at random inside storms
+//   fleet   - other ships, placed in 3D around the camera: bow wave and creaks
+// Sounds feed a mixer (ambience, ship, weather and fleet channels into a master) with a
+// volume per channel. The game passes in a frame of state each update, so the engine can be
+// driven offline in tests with a stand-in context (test/audioEngine.test.mjs).
+
+export const AUDIO_CHANNELS = ['ambience', 'ship', 'weather', 'fleet'];
+
+export const DEFAULT_AUDIO_SETTINGS = {
+    fadeTime: 0.3, // Time constant for volume and level changes (seconds)
+    noiseSeconds: 2, // Length of the shared noise buffer
+    swellRate: 0.12, // Ocean swell cycles per second
+    calmWaveHeight: 0.3, // Wave amplitude where the ocean is quietest
+    roughWaveHeight: 6, // Wave amplitude where it is loudest
+    creakRate: 0.35, // Hull creaks per second at full strain
+    flapRate: 2.5, // Sail flaps per second when fully luffing
+    thunderThreshold: 0.5, // Storm intensity where thunder starts
+    thunderInterval: [6, 20], // Seconds between claps in the strongest storm / at the threshold
+    windHowlLevel: 0.6, // Wind level that gets a subtitle cue
+    fleetRefDistance: 15, // Other ships are at full volume inside this distance
+    fleetMaxDistance: 800 // And silent beyond this one
+};
+
+// Small seeded generator so a test run makes the same sounds every time
+export function createRandom(seed = 1) {
+    let state = seed >>> 0 || 1;
+    return () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return (state >>> 0) / 4294967296;
+    };
+}
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Move a position-like AudioParam triple (panner or listener), with the old setter as a fallback
+function setPosition(node, position, time) {
+    if (node.positionX) {
+        node.positionX.setValueAtTime(position.x, time);
+        node.positionY.setValueAtTime(position.y, time);
+        node.positionZ.setValueAtTime(position.z, time);
+    } else {
+        node.setPosition(position.x, position.y, position.z);
+    }
+}
+
+export class AudioEngine {
+    //   createContext - makes the AudioContext on start() (a recording stand-in in tests)
+    //   random        - 0..1 generator for noise and timing
+    //   onCue         - (text, { position }) for subtitles of sounds worth reading
+    constructor({ createContext = () => new AudioContext(), random = Math.random, onCue = null, ...settings } = {}) {
+        this.createContext = createContext;
+        this.random = random;
+        this.onCue = onCue;
+        this.settings = { ...DEFAULT_AUDIO_SETTINGS, ...settings };
+        this.context = null;
+        this.volumes = { master: 1, ambience: 1, ship: 1, weather: 1, fleet: 1 };
+        this.paused = false;
+        this.buses = {}; // Channel name -> GainNode
+        this.voices = new Map(); // Other ship id -> positional voice
+        this.nextCreak = 0; // Seconds until the next hull creak
+        this.nextFlap = 0;
+        this.nextThunder = null; // Seconds until the next clap, null when no storm
+        this.lastCanvas = null;
+        this.windHowling = false;
+    }
+
+    // Build the sound graph - call from a user gesture, browsers won't play audio before one
+    start(context = null) {
+        if (this.context) {
+            return this.context;
+        }
+        const ctx = this.context = context || this.createContext();
+        this.noiseBuffer = this.createNoiseBuffer();
+
+        this.master = ctx.createGain();
+        this.master.connect(ctx.destination);
+        for (const channel of AUDIO_CHANNELS) {
+            const bus = ctx.createGain();
+            bus.connect(this.master);
+            this.buses[channel] = bus;
+        }
+        for (const channel of ['master', ...AUDIO_CHANNELS]) {
+            this.applyVolume(channel, 0);
+        }
+
+        this.createOcean();
+        this.createWind();
+        return ctx;
+    }
+
+    // Mono white noise, looped by the continuous sounds and cut up by the short ones
+    createNoiseBuffer() {
+        const ctx = this.context;
+        const length = Math.floor(ctx.sampleRate * this.settings.noiseSeconds);
+        const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = this.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    createNoiseSource(loop = true) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = loop;
+        return source;
+    }
+
+    // Slow oscillator added onto an AudioParam: param swings by +-depth around its value
+    createLfo(rate, depth, param) {
+        const ctx = this.context;
+        const lfo = ctx.createOscillator();
+        lfo.frequency.value = rate;
+        const amount = ctx.createGain();
+        amount.gain.value = depth;
+        lfo.connect(amount);
+        amount.connect(param);
+        lfo.start();
+        return { lfo, amount };
+    }
+
+    createOcean() {
+        const ctx = this.context;
+        const source = this.createNoiseSource();
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 400;
+        const swell = ctx.createGain();
+        swell.gain.value = 0.55;
+        const level = ctx.createGain();
+        level.gain.value = 0;
+        source.connect(filter).connect(swell).connect(level).connect(this.buses.ambience);
+        this.createLfo(this.settings.swellRate, 0.4, swell.gain);
+        source.start(0, this.random() * this.settings.noiseSeconds);
+        this.ocean = { source, filter, level };
+    }
+
+    createWind() {
+        const ctx = this.context;
+        const source = this.createNoiseSource();
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 350;
+        filter.Q.value = 1.5;
+        const gust = ctx.createGain();
+        gust.gain.value = 0.7;
+        const level = ctx.createGain();
+        level.gain.value = 0;
+        source.connect(filter).connect(gust).connect(level).connect(this.buses.weather);
+        this.createLfo(0.23, 0.3, gust.gain);
+        this.createLfo(0.17, 120, filter.frequency);
+        source.start(0, this.random() * this.settings.noiseSeconds);
+        this.wind = { source, filter, level };
+    }
+
+    // Channel volume, 0..1 - 'master' or one of AUDIO_CHANNELS
+    setVolume(channel, value) {
+        if (!(channel in this.volumes)) {
+            console.warn(`[AudioEngine] Unknown channel "${channel}"`);
+            return false;
+        }
+        this.volumes[channel] = clamp01(value);
+        this.applyVolume(channel, this.settings.fadeTime);
+        return true;
+    }
+
+    // Silence everything while the game is paused or a menu is open
+    setPaused(paused) {
+        if (paused !== this.paused) {
+            this.paused = paused;
+            this.applyVolume('master', this.settings.fadeTime);
+        }
+    }
+
+    applyVolume(channel, fadeTime) {
+        const node = channel === 'master' ? this.master : this.buses[channel];
+        if (!node) {
+            return;
+        }
+        const value = channel === 'master' && this.paused ? 0 : this.volumes[channel];
+        this.setLevel(node.gain, value, fadeTime);
+    }
+
+    // Ease an AudioParam to a value (straight there with no fade)
+    setLevel(param, value, fadeTime = this.settings.fadeTime) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        if (fadeTime > 0) {
+            param.setTargetAtTime(value, now, fadeTime);
+        } else {
+            param.setValueAtTime(value, now);
+        }
+    }
+
+    // Per frame, with the state the sounds follow:
+    //   listener      - { position, forward, up } of the camera (Vector3-likes)
+    //   waveAmplitude - wave height around the ship
+    //   stormIntensity - 0 in clear weather, about 1.5 in the worst storm
+    //   wind          - wind strength factor, about 1 for a fresh breeze
+    //   ship          - { sailTrim: { canvas, fill, luff }, roll } for our own ship, or null
+    //   ships         - [{ id, position, speed, sailTrim }] for the others
+    update(frame, deltaTime) {
+        if (!this.context) {
+            return;
+        }
+        const settings = this.settings;
+        if (frame.listener) {
+            this.placeListener(frame.listener);
+        }
+
+        // Ocean - quiet on a glassy sea, a roar in a gale
+        const sea = clamp01((frame.waveAmplitude - settings.calmWaveHeight) / (settings.roughWaveHeight - settings.calmWaveHeight));
+        this.setLevel(this.ocean.level.gain, 0.15 + sea * 0.7);
+        this.setLevel(this.ocean.filter.frequency, 300 + sea * 900);
+
+        // Wind - a breeze in clear weather, a howl in a storm
+        const storm = frame.stormIntensity || 0;
+        const windLevel = clamp01(0.1 + (frame.wind || 0) * 0.15 + storm * 0.6);
+        this.setLevel(this.wind.level.gain, windLevel);
+        this.setLevel(this.wind.filter.frequency, 350 + storm * 900);
+        if (!this.windHowling && windLevel >= settings.windHowlLevel) {
+            this.windHowling = true;
+            this.cue('[Wind howls]');
+        } else if (this.windHowling && windLevel < settings.windHowlLevel - 0.1) {
+            this.windHowling = false; // A margin so a wind hovering at the level doesn't cue over and over
+        }
+
+        if (frame.ship) {
+            this.updateShip(frame.ship, deltaTime);
+        }
+        this.updateThunder(storm, deltaTime);
+        this.updateFleet(frame.ships || [], deltaTime);
+    }
+
+    placeListener({ position, forward, up = { x: 0, y: 1, z: 0 } }) {
+        const listener = this.context.listener;
+        const now = this.context.currentTime;
+        setPosition(listener, position, now);
+        if (listener.forwardX) {
+            listener.forwardX.setValueAtTime(forward.x, now);
+            listener.forwardY.setValueAtTime(forward.y, now);
+            listener.forwardZ.setValueAtTime(forward.z, now);
+            listener.upX.setValueAtTime(up.x, now);
+            listener.upY.setValueAtTime(up.y, now);
+            listener.upZ.setValueAtTime(up.z, now);
+        } else {
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+
+    // Creaks come with strain - canvas set, wind in it and the hull rolling; flaps with luffing
+    // sails and with canvas being set or taken in
+    updateShip(ship, deltaTime) {
+        const trim = ship.sailTrim || { canvas: 0, fill: 0, luff: 0 };
+        const strain = clamp01(trim.canvas * (0.3 + trim.fill * 0.7) + Math.abs(ship.roll || 0) * 2);
+        this.nextCreak -= deltaTime * strain;
+        if (this.nextCreak <= 0) {
+            this.playCreak(this.buses.ship, 0.3 + strain * 0.5);
+            this.nextCreak = (0.5 + this.random()) / this.settings.creakRate;
+        }
+
+        const changing = this.lastCanvas !== null && Math.abs(trim.canvas - this.lastCanvas) > 0.1 * deltaTime;
+        this.lastCanvas = trim.canvas;
+        const flapping = Math.max(trim.luff * trim.canvas, changing ? 0.6 : 0);
+        this.nextFlap -= deltaTime * flapping;
+        if (this.nextFlap <= 0) {
+            this.playFlap(this.buses.ship, 0.3 + flapping * 0.5);
+            this.nextFlap = (0.5 + this.random()) / this.settings.flapRate;
+        }
+    }
+
+    updateThunder(storm, deltaTime) {
+        const settings = this.settings;
+        if (storm < settings.thunderThreshold) {
+            this.nextThunder = null;
+            return;
+        }
+        // The stronger the storm, the closer together the claps
+        const strength = clamp01((storm - settings.thunderThreshold) / (1.5 - settings.thunderThreshold));
+        const [shortest, longest] = settings.thunderInterval;
+        if (this.nextThunder === null) {
+            this.nextThunder = this.random() * longest;
+        }
+        this.nextThunder -= deltaTime;
+        if (this.nextThunder <= 0) {
+            this.playThunder(0.4 + strength * 0.6);
+            this.nextThunder = longest - (longest - shortest) * strength + this.random() * shortest;
+        }
+    }
+
+    // One positional voice per other ship - made as ships appear, dropped as they leave
+    updateFleet(ships, deltaTime) {
+        const seen = new Set();
+        const now = this.context.currentTime;
+        for (const ship of ships) {
+            seen.add(ship.id);
+            let voice = this.voices.get(ship.id);
+            if (!voice) {
+                voice = this.createVoice();
+                this.voices.set(ship.id, voice);
+            }
+            setPosition(voice.panner, ship.position, now);
+            const speed = clamp01((ship.speed || 0) / 12);
+            this.setLevel(voice.wake.gain, 0.1 + speed * 0.6);
+            const trim = ship.sailTrim || { canvas: 0, fill: 0 };
+            voice.nextCreak -= deltaTime * clamp01(trim.canvas * (0.3 + trim.fill * 0.7));
+            if (voice.nextCreak <= 0) {
+                this.playCreak(voice.panner, 0.6);
+                voice.nextCreak = (0.5 + this.random()) / this.settings.creakRate;
+            }
+        }
+        for (const [id, voice] of this.voices) {
+            if (!seen.has(id)) {
+                this.disposeVoice(voice);
+                this.voices.delete(id);
+            }
+        }
+    }
+
+    createVoice() {
+        const ctx = this.context;
+        const panner = ctx.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = this.settings.fleetRefDistance;
+        panner.maxDistance = this.settings.fleetMaxDistance;
+        panner.connect(this.buses.fleet);
+
+        // Bow wave - the hiss of water along her side, louder with speed
+        const source = this.createNoiseSource();
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 700;
+        const wake = ctx.createGain();
+        wake.gain.value = 0;
+        source.connect(filter).connect(wake).connect(panner);
+        source.start(0, this.random() * this.settings.noiseSeconds);
+        return { panner, source, wake, nextCreak: this.random() / this.settings.creakRate };
+    }
+
+    disposeVoice(voice) {
+        this.setLevel(voice.wake.gain, 0, 0.05);
+        voice.source.stop(this.context.currentTime + 0.3);
+        voice.source.onended = () => voice.panner.disconnect();
+    }
+
+    // A groan of timber - a sawtooth sliding up in pitch through a narrow wooden resonance
+    playCreak(output, strength) {
+        const ctx = this.context;
+        const start = ctx.currentTime;
+        const duration = 0.35 + this.random() * 0.5;
+        const pitch = 60 + this.random() * 50;
+        const oscillator = ctx.createOscillator();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(pitch, start);
+        oscillator.frequency.linearRampToValueAtTime(pitch * (1.2 + this.random() * 0.3), start + duration);
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 500 + this.random() * 400;
+        filter.Q.value = 8;
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(strength * 0.5, start + 0.06);
+        envelope.gain.setTargetAtTime(0, start + duration * 0.6, duration * 0.2);
+        oscillator.connect(filter).connect(envelope).connect(output);
+        oscillator.start(start);
+        oscillator.stop(start + duration * 1.5);
+    }
+
+    // Canvas snapping - two or three quick bursts of noise
+    playFlap(output, strength) {
+        const ctx = this.context;
+        const start = ctx.currentTime;
+        const snaps = 2 + Math.floor(this.random() * 2);
+        const source = this.createNoiseSource(false);
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 700 + this.random() * 500;
+        filter.Q.value = 0.8;
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        for (let i = 0; i < snaps; i++) {
+            const at = start + i * (0.09 + this.random() * 0.05);
+            envelope.gain.setValueAtTime(0, at);
+            envelope.gain.linearRampToValueAtTime(strength * 0.4, at + 0.005);
+            envelope.gain.setTargetAtTime(0, at + 0.01, 0.03);
+        }
+        source.connect(filter).connect(envelope).connect(output);
+        source.start(start, this.random() * this.settings.noiseSeconds * 0.5);
+        source.stop(start + snaps * 0.15 + 0.2);
+    }
+
+    // A crack followed by a long rolling rumble
+    playThunder(strength) {
+        const ctx = this.context;
+        const start = ctx.currentTime;
+        const duration = 3 + this.random() * 2;
+        const source = this.createNoiseSource();
+        source.playbackRate.value = 0.5; // Slowed noise is darker and rougher
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(1200, start);
+        filter.frequency.exponentialRampToValueAtTime(150, start + 0.6);
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(strength, start + 0.03);
+        envelope.gain.setTargetAtTime(strength * 0.4, start + 0.1, 0.2);
+        envelope.gain.linearRampToValueAtTime(strength * 0.6, start + 0.8 + this.random() * 0.6); // Second roll
+        envelope.gain.setTargetAtTime(0, start + 1.5, duration / 4);
+        source.connect(filter).connect(envelope).connect(this.buses.weather);
+        source.start(start, this.random() * this.settings.noiseSeconds);
+        source.stop(start + duration + 1);
+        this.cue('[Thunder rumbles]');
+    }
+
+    cue(text, options) {
+        if (this.onCue) {
+            this.onCue(text, options);
+        }
+    }
+
+    // Stop everything and let the context go
+    dispose() {
+        if (!this.context) {
+            return Promise.resolve();
+        }
+        const context = this.context;
+        this.context = null;
+        this.voices.clear();
+        return typeof context.close === 'function' ? context.close() : Promise.resolve();
+    }
+}
@@ -0,0 +1,282 @@
+// cannons.js - Broadside cannon batteries and ballistic cannonballs
+// Each ship carries a port and a starboard battery with its own reload timer. A
+// broadside fires a volley of cannonballs that fly under gravity until they hit a
+// ship or splash into the ocean. Volleys are plain data so they can be sent over the
+// network and flown identically on every peer; only the host decides which hits count.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { GRAVITY } from './waveSpectrum.js';
+import { oceanModel } from './oceanModel.js';
+import { getShipBox, pointInShipBox } from './shipCollision.js';
+import { worldBounds } from './worldBounds.js';
+
+// Default tuning - override per ship through createBatteries()
+export const DEFAULT_CANNONS = {
+    gunsPerSide: 4,
+    reloadTime: 6.0, // Seconds to reload a battery
+    muzzleSpeed: 55.0, // Cannonball speed leaving the gun
+    elevation: 0.1, // Barrel elevation in radians - longer range, more arc
+    spread: 0.03, // Random aim scatter in radians
+    gunHeight: 1.0, // Gun deck height above the ship origin
+    damage: 12, // Hull integrity lost per cannonball hit
+    maxFlightTime: 8.0 // Seconds before a stray ball is dropped
+};
+
+// Hits count between these heights relative to a ship's origin
+const HIT_BELOW = 2.5;
+const HIT_ABOVE = 4.0;
+
+// Port and starboard batteries for one ship
+export function createBatteries(options = {}) {
+    return {
+        config: { ...DEFAULT_CANNONS, ...options },
+        port: { reload: 0 },
+        starboard: { reload: 0 }
+    };
+}
+
+export function updateBatteries(batteries, deltaTime) {
+    batteries.port.reload = Math.max(0, batteries.port.reload - deltaTime);
+    batteries.starboard.reload = Math.max(0, batteries.starboard.reload - deltaTime);
+}
+
+let nextVolleyId = 0;
+
+// Fire one side's battery - returns the volley, or null while reloading
+//   ship - Object3D with velocity, hullBounds and buoyancy (for heel)
+//   side - 'port' or 'starboard'
+export function fireBroadside(ship, batteries, side, ownerId) {
+    const battery = batteries[side];
+    const config = batteries.config;
+    if (!battery || battery.reload > 0 || config.gunsPerSide <= 0) {
+        return null;
+    }
+    battery.reload = config.reloadTime;
+
+    const heading = ship.rotation.y;
+    const rightX = Math.cos(heading);
+    const rightZ = -Math.sin(heading);
+    const aftX = Math.sin(heading);
+    const aftZ = Math.cos(heading);
+    const sideSign = side === 'starboard' ? 1 : -1;
+    const bounds = ship.hullBounds;
+
+    // Heeling raises the guns on the windward side and lowers them to leeward
+    const roll = ship.buoyancy ? ship.buoyancy.state.roll : 0;
+    const elevation = config.elevation + roll * sideSign;
+
+    const balls = [];
+    for (let i = 0; i < config.gunsPerSide; i++) {
+        // Guns spaced along the middle of the hull
+        const along = config.gunsPerSide > 1 ? (i / (config.gunsPerSide - 1) - 0.5) * 1.2 : 0;
+        const localX = bounds.centerX + bounds.halfWidth * sideSign;
+        const localZ = bounds.centerZ + bounds.halfLength * along;
+
+        const aimYaw = (Math.random() - 0.5) * config.spread;
+        const aimPitch = elevation + (Math.random() - 0.5) * config.spread;
+        const outX = rightX * sideSign * Math.cos(aimYaw) + aftX * Math.sin(aimYaw);
+        const outZ = rightZ * sideSign * Math.cos(aimYaw) + aftZ * Math.sin(aimYaw);
+        const horizontalSpeed = config.muzzleSpeed * Math.cos(aimPitch);
+
+        balls.push({
+            x: ship.position.x + rightX * localX + aftX * localZ,
+            y: ship.position.y + config.gunHeight,
+            z: ship.position.z + rightZ * localX + aftZ * localZ,
+            vx: outX * horizontalSpeed + ship.velocity.x,
+            vy: config.muzzleSpeed * Math.sin(aimPitch),
+            vz: outZ * horizontalSpeed + ship.velocity.z
+        });
+    }
+
+    // Recoil heels the ship away from the firing side
+    if (ship.buoyancy) {
+        ship.buoyancy.state.rollVelocity -= 0.06 * sideSign * config.gunsPerSide / DEFAULT_CANNONS.gunsPerSide;
+    }
+
+    return {
+        id: `${ownerId}-${nextVolleyId++}`,
+        owner: ownerId,
+        side,
+        damage: config.damage,
+        balls
+    };
+}
+
+// Host-side sanity checks on volleys fired by other peers
+export class VolleyValidator {
+    constructor() {
+        this.lastVolleyTimes = new Map(); // "owner|side" -> time
+        this.reloadTolerance = 0.8; // Allow for network jitter
+        this.maxMuzzleDistance = 40; // Balls must start near the firing ship
+    }
+
+    // cannons - the shooter's battery config (from their ship class); a volley must match it exactly
+    validate(volley, shooterPosition, time, cannons = DEFAULT_CANNONS) {
+        if (!volley || !Array.isArray(volley.balls) || !shooterPosition) {
+            return false;
+        }
+        if (volley.side !== 'port' && volley.side !== 'starboard') {
+            return false;
+        }
+        if (volley.balls.length !== cannons.gunsPerSide || volley.damage !== cannons.damage) {
+            return false;
+        }
+
+        const key = `${volley.owner}|${volley.side}`;
+        const lastTime = this.lastVolleyTimes.get(key);
+        if (lastTime !== undefined && time - lastTime < cannons.reloadTime * this.reloadTolerance) {
+            return false;
+        }
+
+        for (const ball of volley.balls) {
+            const dx = worldBounds.delta(ball.x, shooterPosition.x);
+            const dz = worldBounds.delta(ball.z, shooterPosition.z);
+            const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy + ball.vz * ball.vz);
+            if (dx * dx + dz * dz > this.maxMuzzleDistance * this.maxMuzzleDistance ||
+                speed > cannons.muzzleSpeed * 1.5) {
+                return false;
+            }
+        }
+
+        this.lastVolleyTimes.set(key, time);
+        return true;
+    }
+}
+
+// Flies every cannonball in the world and draws splashes, smoke and splinters
+export class CannonballSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.balls = [];
+        this.effects = [];
+        this.ballGeometry = new THREE.SphereGeometry(0.35, 8, 6);
+        this.ballMaterial = new THREE.MeshLambertMaterial({ color: 0x222222 });
+        this.particleGeometry = new THREE.SphereGeometry(0.3, 6, 4);
+    }
+
+    // Launch a volley (ours or one received from the network)
+    spawnVolley(volley) {
+        volley.balls.forEach((ball, index) => {
+            const mesh = new THREE.Mesh(this.ballGeometry, this.ballMaterial);
+            mesh.position.set(ball.x, ball.y, ball.z);
+            this.scene.add(mesh);
+            this.balls.push({
+                id: `${volley.id}-${index}`,
+                volleyId: volley.id,
+                owner: volley.owner,
+                damage: volley.damage,
+                mesh,
+                velocity: new THREE.Vector3(ball.vx, ball.vy, ball.vz),
+                age: 0
+            });
+            this.spawnEffect(ball.x, ball.y, ball.z, 0xBBBBBB, 6, 3, 1.5); // Muzzle smoke
+        });
+    }
+
+    // Advance cannonballs - returns hits on ships this frame
+    //   ships - [{ id, position, heading, bounds }]
+    update(deltaTime, ships) {
+        const hits = [];
+        const boxes = ships.map(ship => getShipBox(ship.position, ship.heading, ship.bounds));
+
+        for (let i = this.balls.length - 1; i >= 0; i--) {
+            const ball = this.balls[i];
+            const position = ball.mesh.position;
+            ball.age += deltaTime;
+            ball.velocity.y -= GRAVITY * deltaTime;
+            position.addScaledVector(ball.velocity, deltaTime);
+
+            let hitShip = null;
+            for (let s = 0; s < ships.length; s++) {
+                const ship = ships[s];
+                if (ship.id === ball.owner) {
+                    continue;
+                }
+                const height = position.y - ship.position.y;
+                const box = boxes[s];
+                if (height > -HIT_BELOW && height < HIT_ABOVE &&
+                    pointInShipBox(box, worldBounds.nearestImage(position.x, box.x), worldBounds.nearestImage(position.z, box.z))) {
+                    hitShip = ship;
+                    break;
+                }
+            }
+
+            if (hitShip) {
+                hits.push({
+                    ballId: ball.id,
+                    volleyId: ball.volleyId,
+                    owner: ball.owner,
+                    target: hitShip.id,
+                    damage: ball.damage,
+                    point: { x: position.x, y: position.y, z: position.z }
+                });
+                this.spawnEffect(position.x, position.y, position.z, 0x8B5A2B, 10, 8, 1.0); // Splinters
+                this.removeBall(i);
+            } else if (position.y < oceanModel.getHeight(position.x, position.z)) {
+                this.spawnEffect(position.x, position.y, position.z, 0xE8F4FF, 14, 9, 1.2); // Splash
+                this.removeBall(i);
+            } else if (ball.age > DEFAULT_CANNONS.maxFlightTime) {
+                this.removeBall(i);
+            }
+        }
+
+        this.updateEffects(deltaTime);
+        return hits;
+    }
+
+    // Move everything in flight - follows our ship when it wraps round the world
+    shift(dx, dz) {
+        for (const ball of this.balls) {
+            ball.mesh.position.x += dx;
+            ball.mesh.position.z += dz;
+        }
+        for (const effect of this.effects) {
+            for (const particle of effect.particles) {
+                particle.mesh.position.x += dx;
+                particle.mesh.position.z += dz;
+            }
+        }
+    }
+
+    removeBall(index) {
+        this.scene.remove(this.balls[index].mesh);
+        this.balls.splice(index, 1);
+    }
+
+    // Burst of particles thrown upward that fall and fade
+    spawnEffect(x, y, z, color, count, speed, lifetime) {
+        const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 });
+        const particles = [];
+        for (let i = 0; i < count; i++) {
+            const mesh = new THREE.Mesh(this.particleGeometry, material);
+            mesh.position.set(x, y, z);
+            this.scene.add(mesh);
+            const angle = Math.random() * Math.PI * 2;
+            const outward = Math.random() * speed * 0.4;
+            particles.push({
+                mesh,
+                velocity: new THREE.Vector3(Math.cos(angle) * outward, speed * (0.5 + Math.random() * 0.5), Math.sin(angle) * outward)
+            });
+        }
+        this.effects.push({ particles, material, age: 0, lifetime });
+    }
+
+    updateEffects(deltaTime) {
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            const effect = this.effects[i];
+            effect.age += deltaTime;
+            for (const particle of effect.particles) {
+                particle.velocity.y -= GRAVITY * deltaTime;
+                particle.mesh.position.addScaledVector(particle.velocity, deltaTime);
+            }
+            effect.material.opacity = 0.9 * Math.max(0, 1 - effect.age / effect.lifetime);
+
+            if (effect.age >= effect.lifetime) {
+                for (const particle of effect.particles) {
+                    this.scene.remove(particle.mesh);
+                }
+                effect.material.dispose();
+                this.effects.splice(i, 1);
+            }
+        }
+    }
+}
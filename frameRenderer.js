@@ -0,0 +1,57 @@
+// frameRenderer.js - Draws each frame, with antialiasing that can be switched live
+// A WebGL context's antialiasing is fixed when the context is created, so the renderer
+// is made without it. With antialiasing on, frames are drawn into a multisampled
+// offscreen target and copied to the screen instead (WebGL 2 only - elsewhere the
+// setting has no effect).
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+
+export class FrameRenderer {
+    constructor(renderer, samples = 4) {
+        this.renderer = renderer;
+        this.samples = samples;
+        this.antialias = false;
+        this.target = null; // Multisampled target, created on demand at the drawing buffer size
+
+        this.copyMaterial = new THREE.MeshBasicMaterial({ depthTest: false, depthWrite: false });
+        this.copyScene = new THREE.Scene();
+        this.copyScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.copyMaterial));
+        this.copyCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this._size = new THREE.Vector2();
+    }
+
+    setAntialias(enabled) {
+        this.antialias = enabled && this.renderer.capabilities.isWebGL2;
+        if (!this.antialias) {
+            this.disposeTarget();
+        }
+    }
+
+    render(scene, camera) {
+        const renderer = this.renderer;
+        if (!this.antialias) {
+            renderer.render(scene, camera);
+            return;
+        }
+        const size = renderer.getDrawingBufferSize(this._size);
+        if (!this.target || this.target.width !== size.x || this.target.height !== size.y) {
+            this.disposeTarget();
+            this.target = new THREE.WebGLMultisampleRenderTarget(size.x, size.y);
+            this.target.samples = this.samples;
+            this.copyMaterial.map = this.target.texture;
+            this.copyMaterial.needsUpdate = true;
+        }
+        renderer.setRenderTarget(this.target);
+        renderer.render(scene, camera);
+        renderer.setRenderTarget(null);
+        renderer.render(this.copyScene, this.copyCamera);
+    }
+
+    disposeTarget() {
+        if (this.target) {
+            this.target.dispose();
+            this.target = null;
+            this.copyMaterial.map = null;
+            this.copyMaterial.needsUpdate = true;
+        }
+    }
+}
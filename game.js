@@ -5,32 +5,38 @@ import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
 import { createPlayerPawn } from './playerPawn.js';
 import { createShipPawn } from './shipPawn.js';
 import { SpectatorPawn } from './spectatorPawn.js'; // Import SpectatorPawn
+import { oceanModel } from './oceanModel.js'; // Shared wave model for ocean mesh and ships
+import { weatherSystem } from './weatherSystem.js'; // Shared storms for ocean, terrain and ships
+import { windField } from './windField.js'; // Shared wind that drives sailing speed
+import { ShipCollisionSystem, applyShipCollision } from './shipCollision.js'; // Host-arbitrated ship collisions
+import { PORTS, createPortMarkers } from './ports.js'; // Harbours for repairs and respawning
+import { CannonballSystem, DEFAULT_CANNONS, VolleyValidator, fireBroadside } from './cannons.js'; // Broadside combat
+import { DEFAULT_SHIP_CLASS, getShipClass, getShipClassOptions, listShipClasses, loadShipClasses } from './shipClasses.js'; // Ship class registry
+import { FLAG_EMBLEMS, loadProfile, saveProfile, drawFlag } from './shipProfile.js'; // Ship colors, flag and name
+import { worldBounds, createBoundaryMarker, updateBoundaryMarker } from './worldBounds.js'; // Wall, push-back or wrap-around world edge
+import { assetManager } from './assetManager.js'; // Ship models loaded once and cloned per ship
+import { INPUT_ACTIONS, formatKeyCode, inputManager } from './inputActions.js'; // Rebindable controls
+import { gamepadInput, formatGamepadButton } from './gamepadInput.js'; // Gamepad buttons and sticks feed the action map
+import { TouchControls } from './touchControls.js'; // On-screen controls for touch screens
+import { CAMERA_MODES, ShipCamera, getCameraModeLabel } from './shipCamera.js'; // Orbit, chase, helm and cinematic cameras
+import { PHOTO_FILTERS, PhotoMode } from './photoMode.js'; // Frozen-time photo mode with depth of field and PNG capture
+import { GRAPHICS_KEYS, settings } from './settings.js'; // Versioned player settings and graphics presets
+import { FrameRenderer } from './frameRenderer.js'; // Frame drawing with live-switchable antialiasing
+import { COLOR_PALETTES, accessibility } from './accessibility.js'; // Colorblind palettes, UI scale and reduced motion
+import { subtitles } from './subtitles.js'; // Text cues for sounds
+import { AUDIO_CHANNELS, AudioEngine } from './audioEngine.js'; // Procedural sea, weather and ship sounds
+import { dropAnchor, raiseAnchor, createAnchorRode, updateAnchorRode } from './shipAnchor.js'; // Anchoring in shoal water
 // --- GLOBAL OCEAN MESH ---
 let globalOcean = null;
 let globalOceanGeometry = null;
 let globalOceanSegments = 64;
-let globalOceanTime = Math.random() * 1000;
-let globalOceanWaveState = {
-    amp: 0.8, // More intense default amplitude
-    speed: 2.0, // Faster default speed
-    targetAmp: 0.8,
-    targetSpeed: 2.0,
-    timer: 0,
-    storms: [], // Array of active storm systems
-    stormIntensity: 0.5, // Global storm intensity factor
-    targetStormIntensity: 0.5, // Target storm intensity for gradual transitions
-    maxStorms: 4 // Allow more simultaneous storms
-};
 let globalOceanSize = 120;
+let globalOceanRestPositions = null; // Undisplaced vertex grid for Gerstner displacement
+let globalOceanBaseColors = null; // Calm-weather vertex colors, tinted toward storm colors in storms
+const STORM_OCEAN_COLOR = { r: 0.12, g: 0.16, b: 0.18 }; // Dark slate gray-green under storm clouds
 
-// Make ocean variables globally accessible for ship synchronization
-window.globalOceanTime = globalOceanTime;
-window.globalOceanWaveState = globalOceanWaveState;
-
-function createGlobalOcean(scene, size = 120, segments = 64) {
-    // Create a large transparent ocean surface that sits above the terrain
-    size = 2400; // Doubled from 1200
-    segments = 128; // Reduced for better performance but still smooth
+// Ocean grid with its calm-weather vertex colors - segments per side come from the graphics settings
+function createGlobalOceanGeometry(size, segments) {
     const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
     geometry.rotateX(-Math.PI / 2);
     
@@ -122,7 +128,12 @@ function createGlobalOcean(scene, size = 120, segments = 64) {
         colors.push(Math.max(0, Math.min(1, r)), Math.max(0, Math.min(1, g)), Math.max(0, Math.min(1, b)));
     }
     geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-    
+    return geometry;
+}
+
+function createGlobalOcean(scene, size = 2400, segments = 128) {
+    // Create a large transparent ocean surface that sits above the terrain
+    const geometry = createGlobalOceanGeometry(size, segments);
     const material = new THREE.MeshLambertMaterial({
         vertexColors: true, // Use vertex colors for enhanced depth effect
         wireframe: false, // Solid surface, not wireframe
@@ -142,6 +153,22 @@ function createGlobalOcean(scene, size = 120, segments = 64) {
     globalOceanGeometry = geometry;
     globalOceanSegments = segments;
     globalOceanSize = size;
+    globalOceanRestPositions = Float32Array.from(geometry.attributes.position.array);
+    globalOceanBaseColors = Float32Array.from(geometry.attributes.color.array);
+}
+
+// Swap in a finer or coarser ocean grid (graphics quality) - reshaped on the next ocean update
+function setGlobalOceanSegments(segments) {
+    if (!globalOcean || segments === globalOceanSegments) {
+        return;
+    }
+    const geometry = createGlobalOceanGeometry(globalOceanSize, segments);
+    globalOcean.geometry.dispose();
+    globalOcean.geometry = geometry;
+    globalOceanGeometry = geometry;
+    globalOceanSegments = segments;
+    globalOceanRestPositions = Float32Array.from(geometry.attributes.position.array);
+    globalOceanBaseColors = Float32Array.from(geometry.attributes.color.array);
 }
 import { createAIPlayer } from './ai.js';
 import { TerrainPlane } from './terrainPlane.js';
@@ -156,6 +183,27 @@ const closeMenuButton = document.getElementById('closeMenu');
 const instructions = document.getElementById('instructions');
 const thetaSensitivityInput = document.getElementById('thetaSensitivity');
 const phiSensitivityInput = document.getElementById('phiSensitivity');
+const gamepadDeadZoneInput = document.getElementById('gamepadDeadZone');
+const gamepadSensitivityInput = document.getElementById('gamepadSensitivity');
+const seaStateSelect = document.getElementById('seaState');
+const worldBoundsSelect = document.getElementById('worldBounds');
+const cameraModeSelect = document.getElementById('cameraMode');
+const graphicsQualitySelect = document.getElementById('graphicsQuality');
+const colorPaletteSelect = document.getElementById('colorPalette');
+const uiScaleInput = document.getElementById('uiScale');
+const reducedMotionInput = document.getElementById('reducedMotion');
+const subtitlesInput = document.getElementById('subtitles');
+const VOLUME_CHANNELS = ['master', ...AUDIO_CHANNELS]; // Each has a <channel>Volume setting and slider
+const shipClassPicker = document.getElementById('shipClassPicker');
+const customizePanel = document.getElementById('customizePanel');
+const shipNameInput = document.getElementById('shipNameInput');
+const hullColorInput = document.getElementById('hullColorInput');
+const sailColorInput = document.getElementById('sailColorInput');
+const flagEmblemSelect = document.getElementById('flagEmblemSelect');
+const flagPreview = document.getElementById('flagPreview');
+const loadingScreen = document.getElementById('loadingScreen');
+const loadingFill = document.getElementById('loadingFill');
+const loadingText = document.getElementById('loadingText');
 
 // Global state
 let isInstructionsVisible = true;
@@ -163,29 +211,149 @@ let isGamePaused = false;
 let isSettingsOpen = false;
 let isSpectatorMode = false; // Add spectator mode state
 
+// On-screen controls - switch themselves on when the screen is touched
+const touchControls = new TouchControls(canvas);
+
+// Mouse look needs pointer lock; touch screens orbit the camera by dragging instead
+function lockPointer() {
+    if (!touchControls.active && !document.pointerLockElement && canvas.requestPointerLock) {
+        canvas.requestPointerLock();
+    }
+}
+
 // Global functions for menu controls
 window.resumeGame = function() {
     isGamePaused = false;
     pauseMenu.style.display = 'none';
-    if (!document.pointerLockElement) {
-        canvas.requestPointerLock();
-    }
+    lockPointer();
 };
 
+// Ship class chosen on the start screen - remembered between sessions. Kept as saved even
+// if it isn't registered (yet); getShipClass falls back to the default when it's resolved
+let selectedShipClassId = settings.get('shipClass') || DEFAULT_SHIP_CLASS.id;
+
+// Drawn once the classes JSON has loaded, so a saved class isn't mistaken for an unknown one
+function renderShipClassPicker() {
+    shipClassPicker.innerHTML = '';
+    const selectedId = getShipClass(selectedShipClassId).id;
+    for (const shipClass of listShipClasses()) {
+        const button = document.createElement('button');
+        button.className = 'shipClassOption' + (shipClass.id === selectedId ? ' selected' : '');
+        button.innerHTML = `<strong>${shipClass.name}</strong><br>` +
+            `<span>${shipClass.description}</span><br>` +
+            `<span>Speed ${shipClass.sailSpeeds.fullSail} | Hull ${shipClass.hullStrength} | Guns ${shipClass.cannonsPerSide * 2}</span>`;
+        button.addEventListener('click', () => {
+            selectedShipClassId = shipClass.id;
+            settings.set('shipClass', shipClass.id);
+            renderShipClassPicker();
+        });
+        shipClassPicker.appendChild(button);
+    }
+}
+
+// Ship customization on the start screen - saved as soon as anything changes
+let shipProfile = loadProfile();
+
+function setupCustomizePanel() {
+    for (const emblem of FLAG_EMBLEMS) {
+        const option = document.createElement('option');
+        option.value = emblem;
+        option.textContent = emblem;
+        flagEmblemSelect.appendChild(option);
+    }
+    shipNameInput.value = shipProfile.name;
+    hullColorInput.value = shipProfile.hullColor;
+    sailColorInput.value = shipProfile.sailColor;
+    flagEmblemSelect.value = shipProfile.flag;
+    drawFlag(flagPreview.getContext('2d'), shipProfile);
+
+    const onChange = () => {
+        shipProfile = saveProfile({
+            name: shipNameInput.value,
+            hullColor: hullColorInput.value,
+            sailColor: sailColorInput.value,
+            flag: flagEmblemSelect.value
+        });
+        drawFlag(flagPreview.getContext('2d'), shipProfile);
+    };
+    for (const input of [shipNameInput, hullColorInput, sailColorInput, flagEmblemSelect]) {
+        input.addEventListener('input', onChange);
+    }
+}
+
+// Loading screen - the Start button stays disabled until every ship model has loaded (or failed)
+function updateLoadingScreen(progress) {
+    const percent = Math.round(progress.fraction * 100);
+    loadingFill.style.width = `${percent}%`;
+    loadingText.textContent = `${percent}%`;
+}
+
+function preloadAssets() {
+    const stopListening = assetManager.onProgress(updateLoadingScreen);
+    return loadShipClasses()
+        .then(() => {
+            renderShipClassPicker();
+            return assetManager.preload(listShipClasses().map(shipClass => shipClass.model));
+        })
+        .then(() => {
+            stopListening();
+            const progress = assetManager.getProgress();
+            updateLoadingScreen(progress);
+            if (progress.failed > 0) {
+                console.warn(`${progress.failed} ship model(s) failed to load - simple hulls will be used`);
+            }
+            loadingScreen.classList.add('done');
+            startButton.disabled = false;
+        });
+}
+
 document.addEventListener('DOMContentLoaded', () => {
+    preloadAssets();
+    setupCustomizePanel();
+
     startButton.addEventListener('click', () => {
         startButton.style.display = 'none';
+        shipClassPicker.style.display = 'none';
+        customizePanel.style.display = 'none';
         canvas.style.display = 'block';
         initGame();
     });
 });
 
+// Palette, UI scale and reduced motion apply from the start screen on
+accessibility.attach();
+for (const [id, palette] of Object.entries(COLOR_PALETTES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = palette.label;
+    colorPaletteSelect.appendChild(option);
+}
+
 // Load saved settings on page load
 function loadSettings() {
-    const savedTheta = localStorage.getItem('thetaSensitivity');
-    const savedPhi = localStorage.getItem('phiSensitivity');
-    if (savedTheta) thetaSensitivityInput.value = savedTheta;
-    if (savedPhi) phiSensitivityInput.value = savedPhi;
+    thetaSensitivityInput.value = settings.get('thetaSensitivity');
+    phiSensitivityInput.value = settings.get('phiSensitivity');
+    gamepadDeadZoneInput.value = settings.get('gamepadDeadZone');
+    gamepadSensitivityInput.value = settings.get('gamepadSensitivity');
+    gamepadInput.setDeadZone(settings.get('gamepadDeadZone'));
+    gamepadInput.setLookSensitivity(settings.get('gamepadSensitivity'));
+    if (oceanModel.setSeaState(settings.get('seaState'), true)) {
+        seaStateSelect.value = settings.get('seaState');
+    }
+    // Prevailing wind follows the sea state so waves run with the wind
+    windField.setPrevailingWind(oceanModel.seaState.windDirection, oceanModel.seaState.windSpeed);
+    if (worldBounds.setMode(settings.get('worldBounds'))) {
+        worldBoundsSelect.value = settings.get('worldBounds');
+    }
+    graphicsQualitySelect.value = settings.get('graphicsQuality');
+    colorPaletteSelect.value = settings.get('colorPalette');
+    uiScaleInput.value = settings.get('uiScale');
+    reducedMotionInput.checked = settings.get('reducedMotion');
+    subtitlesInput.checked = settings.get('subtitles');
+    subtitles.setEnabled(settings.get('subtitles'));
+    for (const channel of VOLUME_CHANNELS) {
+        document.getElementById(`${channel}Volume`).value = settings.get(`${channel}Volume`);
+    }
 }
 
 let spectatorPawn = null; // Declare spectatorPawn variable
@@ -214,15 +382,19 @@ function initGame() {
     fillLight.castShadow = false;
     scene.add(fillLight);
     
-    // Add global animated ocean mesh (wireframe, ripple effect)
-    createGlobalOcean(scene, 120, 64);
+    // Add global animated ocean mesh (wireframe, ripple effect) - grid detail from the graphics settings
+    createGlobalOcean(scene, 2400, settings.get('oceanSegments'));
     // Increase far plane to 5000 and near plane to 1.0 for large world and high ocean
     const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 1.0, 5000);
-    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    // Antialiasing is handled by the frame renderer so the graphics settings can switch it live
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias: false });
+    const frameRenderer = new FrameRenderer(renderer);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, settings.get('pixelRatio')));
     renderer.setSize(window.innerWidth, window.innerHeight);
+    frameRenderer.setAntialias(settings.get('antialias'));
 
     // Create ship pawn and star
-    const playerPawn = createShipPawn(false, null, false); // false indicates human player, no star
+    const playerPawn = createShipPawn(false, null, false, getShipClass(selectedShipClassId), shipProfile); // false indicates human player, no star
     scene.add(playerPawn);
 
     // Initialize networked player manager for multiplayer replication
@@ -262,6 +434,36 @@ function initGame() {
                 this.updateNetworkedPlayers();
             };
             
+            // Paint other ships with their captains' chosen look
+            this.network.callbacks.handlePlayerProfile = (peerId, profile) => {
+                this.playerManager.updateProfile(peerId, profile);
+            };
+            
+            // Apply ship collisions decided by the host
+            this.network.callbacks.handleShipCollision = (collision) => {
+                handleShipCollision(collision);
+            };
+            
+            // Volleys from other ships - the host checks them, returns whether to relay
+            this.network.callbacks.handleCannonFire = (peerId, volley) => {
+                return handleCannonFire(peerId, volley);
+            };
+            
+            // Apply cannonball hits decided by the host
+            this.network.callbacks.handleCannonHit = (hit) => {
+                handleCannonHit(hit);
+            };
+            
+            // The world edge is the host's call - clients take it from host_ready and later changes
+            this.network.callbacks.handleWorldRules = (rules) => {
+                applyHostWorldRules(rules);
+            };
+            if (this.isClient() && this.network.worldRules) {
+                applyHostWorldRules(this.network.worldRules); // Arrived before the game started
+            } else {
+                this.shareWorldRules();
+            }
+            
             // Initialize networked players after a delay to ensure network is ready
             setTimeout(() => {
                 this.updateNetworkedPlayers();
@@ -293,6 +495,48 @@ function initGame() {
                         this.playerManager.removePlayer(peerId);
                     }
                 }
+                
+                // Whenever the lobby changes, tell everyone (including newcomers) how our ship looks
+                const lobbyKey = currentPeerIds.slice().sort().join('|');
+                if (lobbyKey !== this.lastProfileLobbyKey) {
+                    this.lastProfileLobbyKey = lobbyKey;
+                    this.broadcastPlayerProfile(playerPawn.profile);
+                }
+            }
+        }
+        
+        // Connected to someone else's lobby
+        isClient() {
+            return this.isMultiplayerMode && this.network && this.network.paired && !this.network.isBase;
+        }
+        
+        // Publish our world edge mode as the lobby's - ignored once we are a client
+        shareWorldRules() {
+            if (!this.isMultiplayerMode || !this.network || this.isClient()) {
+                return false;
+            }
+            
+            try {
+                this.network.setWorldRules({ worldBounds: worldBounds.config.mode });
+                return true;
+            } catch (error) {
+                console.warn('[GameNetworking] Failed to share world rules:', error);
+                return false;
+            }
+        }
+        
+        // Send our ship customization to all peers
+        broadcastPlayerProfile(profile) {
+            if (!this.shouldBroadcastState()) {
+                return false;
+            }
+            
+            try {
+                this.network.broadcastPlayerProfile(profile);
+                return true;
+            } catch (error) {
+                console.warn('[GameNetworking] Failed to broadcast player profile:', error);
+                return false;
             }
         }
         
@@ -328,6 +572,61 @@ function initGame() {
             }
         }
         
+        // The host decides every ship collision so all peers see the same result
+        isCollisionAuthority() {
+            return this.isMultiplayerMode && this.network && this.network.isBase;
+        }
+        
+        // Send a resolved collision to all clients (host only)
+        broadcastShipCollision(collision) {
+            if (!this.isCollisionAuthority()) {
+                return false;
+            }
+            
+            try {
+                this.network.broadcastShipCollision(collision);
+                return true;
+            } catch (error) {
+                console.warn('[GameNetworking] Failed to broadcast ship collision:', error);
+                return false;
+            }
+        }
+        
+        // The host (or a lone player) decides which cannonballs hit
+        isCombatAuthority() {
+            return !this.isMultiplayerMode || (this.network && this.network.isBase);
+        }
+        
+        // Send our own broadside to the other peers
+        broadcastCannonFire(volley) {
+            if (!this.shouldBroadcastState()) {
+                return false;
+            }
+            
+            try {
+                this.network.broadcastCannonFire(volley);
+                return true;
+            } catch (error) {
+                console.warn('[GameNetworking] Failed to broadcast cannon fire:', error);
+                return false;
+            }
+        }
+        
+        // Send a confirmed hit to all clients (host only)
+        broadcastCannonHit(hit) {
+            if (!this.isMultiplayerMode || !this.network.isBase) {
+                return false;
+            }
+            
+            try {
+                this.network.broadcastCannonHit(hit);
+                return true;
+            } catch (error) {
+                console.warn('[GameNetworking] Failed to broadcast cannon hit:', error);
+                return false;
+            }
+        }
+        
         // Get network info for debugging
         getNetworkInfo() {
             if (!this.isMultiplayerMode) {
@@ -347,6 +646,162 @@ function initGame() {
     // Initialize the networking handler
     const gameNetworking = new GameNetworkingHandler(networkedPlayerManager, window.Network);
 
+    // Ship-to-ship collisions - detected by the host, applied by each ship's owner
+    const shipCollisionSystem = new ShipCollisionSystem();
+
+    function getLocalShipId() {
+        return gameNetworking.isMultiplayerMode && window.Network.myPeerId ? window.Network.myPeerId : 'local';
+    }
+
+    // Host only: test every pair of ships and share the results
+    function updateShipCollisions() {
+        if (!gameNetworking.isCollisionAuthority()) {
+            return;
+        }
+        const ships = [{
+            id: getLocalShipId(),
+            position: playerPawn.position,
+            heading: playerPawn.rotation.y,
+            velocity: playerPawn.velocity,
+            mass: playerPawn.physics.mass,
+            bounds: playerPawn.hullBounds
+        }, ...networkedPlayerManager.getCollisionShips()];
+
+        for (const collision of shipCollisionSystem.detect(ships, animationTime)) {
+            gameNetworking.broadcastShipCollision(collision);
+            handleShipCollision(collision);
+        }
+    }
+
+    // Apply a collision to our own ship and raise 'collision' events on the ships involved
+    function handleShipCollision(collision) {
+        const localId = getLocalShipId();
+        for (const side of ['A', 'B']) {
+            const shipId = side === 'A' ? collision.shipA : collision.shipB;
+            const event = { type: 'collision', collision, side, other: side === 'A' ? collision.shipB : collision.shipA };
+            if (shipId === localId) {
+                applyShipCollision(playerPawn, collision, side);
+                playerPawn.dispatchEvent(event);
+            } else {
+                const networkedPlayer = networkedPlayerManager.networkedPlayers.get(shipId);
+                if (networkedPlayer) {
+                    networkedPlayer.pawn.dispatchEvent(event);
+                }
+            }
+        }
+    }
+
+    // Broadside combat - every peer flies every cannonball, the host decides the hits
+    const cannonballSystem = new CannonballSystem(scene);
+    const volleyValidator = new VolleyValidator();
+
+    function fireCannons(side) {
+        if (playerPawn.buoyancy.state.sinking) {
+            return;
+        }
+        const volley = fireBroadside(playerPawn, playerPawn.cannons, side, getLocalShipId());
+        if (volley) {
+            subtitles.cue(`[Our ${side} guns fire]`);
+            cannonballSystem.spawnVolley(volley);
+            gameNetworking.broadcastCannonFire(volley);
+        }
+    }
+
+    // A volley from another ship - the host rejects ones that don't add up
+    function handleCannonFire(peerId, volley) {
+        if (!volley || volley.owner !== peerId) {
+            return false;
+        }
+        if (window.Network.isBase) {
+            const shooter = networkedPlayerManager.networkedPlayers.get(peerId);
+            // Checked against the shooter's own class - gun count, shot weight and reload
+            const cannons = shooter && { ...DEFAULT_CANNONS, ...getShipClassOptions(shooter.pawn.shipClass).cannons };
+            if (!shooter || !volleyValidator.validate(volley, shooter.pawn.position, animationTime, cannons)) {
+                return false;
+            }
+        }
+        // Fly it on our side of the seam (the volley itself is relayed untouched)
+        const shiftX = worldBounds.nearestImage(volley.balls[0].x, playerPawn.position.x) - volley.balls[0].x;
+        const shiftZ = worldBounds.nearestImage(volley.balls[0].z, playerPawn.position.z) - volley.balls[0].z;
+        subtitles.cue('[Cannon fire]', { position: new THREE.Vector3(volley.balls[0].x + shiftX, playerPawn.position.y, volley.balls[0].z + shiftZ) });
+        cannonballSystem.spawnVolley({
+            ...volley,
+            balls: volley.balls.map(ball => ({ ...ball, x: ball.x + shiftX, z: ball.z + shiftZ }))
+        });
+        return true;
+    }
+
+    // Fly the cannonballs; hits only count where we are the combat authority
+    function updateCannonballs(deltaTime) {
+        const ships = [{
+            id: getLocalShipId(),
+            position: playerPawn.position,
+            heading: playerPawn.rotation.y,
+            bounds: playerPawn.hullBounds
+        }, ...networkedPlayerManager.getCollisionShips()];
+
+        const hits = cannonballSystem.update(deltaTime, ships);
+        if (!gameNetworking.isCombatAuthority()) {
+            return;
+        }
+        for (const hit of hits) {
+            gameNetworking.broadcastCannonHit(hit);
+            handleCannonHit(hit);
+        }
+    }
+
+    // Damage our own ship when it is the target, and tell the shooter they scored
+    function handleCannonHit(hit) {
+        const localId = getLocalShipId();
+        if (hit.target === localId) {
+            playerPawn.damage.applyDamage(playerPawn, hit.damage, 'cannon');
+            subtitles.cue('[Shot smashes into the hull]');
+        } else if (hit.owner === localId) {
+            showShipStatus('A hit!', 1.5);
+        }
+    }
+
+    // Sound - started here because initGame runs from the start button click, and browsers
+    // only allow audio after a user gesture
+    const audioEngine = new AudioEngine({ onCue: (text, options) => subtitles.cue(text, options) });
+    for (const channel of VOLUME_CHANNELS) {
+        audioEngine.setVolume(channel, settings.get(`${channel}Volume`));
+    }
+    if (typeof AudioContext === 'function') {
+        audioEngine.start();
+    }
+    const listenerForward = new THREE.Vector3();
+
+    function updateAudio(deltaTime) {
+        const x = playerPawn.position.x;
+        const z = playerPawn.position.z;
+        audioEngine.update({
+            listener: { position: camera.position, forward: camera.getWorldDirection(listenerForward), up: camera.up },
+            waveAmplitude: oceanModel.seaState.significantHeight * oceanModel.getLocalWaveMultiplier(x, z),
+            stormIntensity: weatherSystem.getIntensityAt(x, z),
+            wind: windField.getStrengthFactor(windField.getWindAt(x, z)),
+            ship: isSpectatorMode ? null : { sailTrim: playerPawn.sailTrim, roll: playerPawn.buoyancy.state.roll },
+            ships: Array.from(networkedPlayerManager.networkedPlayers, ([id, player]) => ({
+                id,
+                position: player.pawn.position,
+                speed: player.networkVelocity.length(),
+                sailTrim: player.sailTrim
+            }))
+        }, deltaTime);
+    }
+
+    // Anchor - drop it over shoal water, weigh it to sail on
+    const anchorRode = createAnchorRode();
+    scene.add(anchorRode);
+
+    function toggleAnchor() {
+        if (playerPawn.anchor.dropped) {
+            raiseAnchor(playerPawn);
+        } else if (playerPawn.seabed) {
+            dropAnchor(playerPawn, playerPawn.seabed, oceanModel);
+        }
+    }
+
     // Removed AI players to reduce network and performance overhead
     const aiPlayers = []; // Empty array to prevent errors
 
@@ -355,6 +810,10 @@ function initGame() {
     const planeGeometry = new THREE.PlaneGeometry(planeSize, planeSize, 16, 16);
     const planeMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22, side: THREE.DoubleSide, transparent: true, opacity: 0.7 });
     const terrainGenerator = new TerrainGenerator(scene, planeSize, planeGeometry, planeMaterial);
+    playerPawn.seabed = terrainGenerator; // Ships run aground on the terrain heightfield
+    createPortMarkers(scene);
+    const boundaryMarker = createBoundaryMarker(oceanModel.baseHeight);
+    scene.add(boundaryMarker);
 
     // Terrain networking is disabled to prevent performance issues
     // Terrain will only generate locally for each client
@@ -363,11 +822,31 @@ function initGame() {
     camera.position.set(0, 8, -18);
     camera.lookAt(playerPawn.position);
 
-    // Calculate initial theta and phi
+    // Camera modes start from this offset in free orbit - the mode is remembered between sessions
     const initialOffset = new THREE.Vector3().subVectors(camera.position, playerPawn.position);
-    const r = initialOffset.length();
-    let theta = Math.atan2(initialOffset.x, initialOffset.z);
-    let phi = Math.atan2(initialOffset.y, Math.sqrt(initialOffset.x ** 2 + initialOffset.z ** 2));
+    const shipCamera = new ShipCamera(camera, {
+        mode: settings.get('cameraMode'),
+        orbitDistance: initialOffset.length(),
+        theta: Math.atan2(initialOffset.x, initialOffset.z),
+        phi: Math.atan2(initialOffset.y, Math.sqrt(initialOffset.x ** 2 + initialOffset.z ** 2))
+    });
+    cameraModeSelect.innerHTML = '';
+    for (const mode of CAMERA_MODES) {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        cameraModeSelect.appendChild(option);
+    }
+    cameraModeSelect.value = shipCamera.mode;
+    function setCameraMode(mode) {
+        if (shipCamera.setMode(mode)) {
+            settings.set('cameraMode', shipCamera.mode);
+            cameraModeSelect.value = shipCamera.mode;
+        }
+    }
+    cameraModeSelect.addEventListener('change', (e) => setCameraMode(e.target.value));
+    shipCamera.reducedMotion = settings.get('reducedMotion'); // Steady camera instead of riding the swell
+    subtitles.setListener(camera); // Cue directions are relative to the view
 
     // Mouse controls with Pointer Lock
     let isPointerLocked = false;
@@ -380,7 +859,7 @@ function initGame() {
 
     canvas.addEventListener('click', () => {
         if (!isPointerLocked && !menu.style.display) {
-            canvas.requestPointerLock();
+            lockPointer();
         }
     });
 
@@ -404,116 +883,317 @@ function initGame() {
         }
     });
 
-    // Update and save sensitivity from sliders
-    thetaSensitivityInput.addEventListener('input', (e) => {
-        thetaSensitivity = parseFloat(e.target.value);
-        localStorage.setItem('thetaSensitivity', thetaSensitivity);
+    // The menu writes to the settings; each system picks up its own changes
+    thetaSensitivityInput.addEventListener('input', (e) => settings.set('thetaSensitivity', e.target.value));
+    phiSensitivityInput.addEventListener('input', (e) => settings.set('phiSensitivity', e.target.value));
+    gamepadDeadZoneInput.addEventListener('input', (e) => settings.set('gamepadDeadZone', e.target.value));
+    gamepadSensitivityInput.addEventListener('input', (e) => settings.set('gamepadSensitivity', e.target.value));
+    seaStateSelect.addEventListener('change', (e) => {
+        if (oceanModel.setSeaState(e.target.value)) {
+            settings.set('seaState', e.target.value);
+            windField.setPrevailingWind(oceanModel.seaState.windDirection, oceanModel.seaState.windSpeed);
+        }
+    });
+    worldBoundsSelect.addEventListener('change', (e) => {
+        if (worldBounds.setMode(e.target.value)) {
+            settings.set('worldBounds', e.target.value);
+            gameNetworking.shareWorldRules();
+        }
     });
-    phiSensitivityInput.addEventListener('input', (e) => {
-        phiSensitivity = parseFloat(e.target.value);
-        localStorage.setItem('phiSensitivity', phiSensitivity);
+
+    // A client sails by the host's world edge - the menu shows it but can't change it, and
+    // our own saved choice is left alone for when we host
+    function applyHostWorldRules(rules) {
+        if (rules && worldBounds.setMode(rules.worldBounds)) {
+            worldBoundsSelect.value = rules.worldBounds;
+            worldBoundsSelect.disabled = true;
+            worldBoundsSelect.title = 'Set by the host';
+        }
+    }
+
+    graphicsQualitySelect.addEventListener('change', (e) => settings.applyGraphicsPreset(e.target.value));
+    colorPaletteSelect.addEventListener('change', (e) => settings.set('colorPalette', e.target.value));
+    uiScaleInput.addEventListener('change', (e) => settings.set('uiScale', e.target.value)); // On release - the menu itself resizes
+    reducedMotionInput.addEventListener('change', (e) => settings.set('reducedMotion', e.target.checked));
+    subtitlesInput.addEventListener('change', (e) => settings.set('subtitles', e.target.checked));
+    for (const channel of VOLUME_CHANNELS) {
+        const key = `${channel}Volume`;
+        document.getElementById(key).addEventListener('input', (e) => settings.set(key, e.target.value));
+        settings.onChange(key, ({ value }) => audioEngine.setVolume(channel, value));
+    }
+
+    settings.onChange('thetaSensitivity', ({ value }) => { thetaSensitivity = value; });
+    settings.onChange('phiSensitivity', ({ value }) => { phiSensitivity = value; });
+    settings.onChange('gamepadDeadZone', ({ value }) => gamepadInput.setDeadZone(value));
+    settings.onChange('gamepadSensitivity', ({ value }) => gamepadInput.setLookSensitivity(value));
+    settings.onChange('graphicsQuality', ({ value }) => { graphicsQualitySelect.value = value; });
+    settings.onChange('reducedMotion', ({ value }) => { shipCamera.reducedMotion = value; });
+    settings.onChange('subtitles', ({ value }) => subtitles.setEnabled(value));
+    settings.onChange('colorPalette', () => networkedPlayerManager.refreshNameplates());
+
+    // Graphics settings apply live - no reload needed
+    function applyGraphics() {
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, settings.get('pixelRatio')));
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        frameRenderer.setAntialias(settings.get('antialias'));
+        setGlobalOceanSegments(settings.get('oceanSegments'));
+        terrainGenerator.setDetail({
+            renderDistance: settings.get('terrainRenderDistance'),
+            chunkResolution: settings.get('terrainChunkResolution')
+        });
+    }
+    settings.onChange('*', ({ key }) => {
+        if (GRAPHICS_KEYS.includes(key)) {
+            applyGraphics();
+        }
     });
+    applyGraphics();
 
     // Load settings when the page loads
     loadSettings();
 
     // Movement controls
-    const moveState = { forward: false, backward: false, left: false, right: false };
+    const moveState = { forward: false, backward: false, left: false, right: false, rudder: 0 }; // rudder - analog helm from a gamepad stick
     const playerSpeed = 5.0;
     let lastTime = performance.now();
     let isMenuOpen = false;
     let animationTime = 0;
+    let oceanTintActive = false; // Ocean colors were storm-tinted last update
 
-    document.addEventListener('keydown', (e) => {
-        const key = e.key.toLowerCase();
-        
-        // Global hotkeys
-        if (key === 'escape') {
-            isGamePaused = !isGamePaused;
-            pauseMenu.style.display = isGamePaused ? 'block' : 'none';
-            if (isGamePaused && isPointerLocked) {
-                document.exitPointerLock();
-            } else if (!isGamePaused && !isPointerLocked) {
-                canvas.requestPointerLock();
-            }
+    // Controls - every key goes through the rebindable action map
+    inputManager.attach(window);
+
+    // Global actions
+    inputManager.onPress('pause', () => {
+        isGamePaused = !isGamePaused;
+        pauseMenu.style.display = isGamePaused ? 'block' : 'none';
+        if (isGamePaused && isPointerLocked) {
+            document.exitPointerLock();
+        } else if (!isGamePaused && !isPointerLocked) {
+            lockPointer();
         }
-        
-        if (key === 'f1') {
-            isInstructionsVisible = !isInstructionsVisible;
-            instructions.classList.toggle('hidden', !isInstructionsVisible);
+    });
+    inputManager.onPress('toggleInstructions', () => {
+        isInstructionsVisible = !isInstructionsVisible;
+        instructions.classList.toggle('hidden', !isInstructionsVisible);
+    });
+    inputManager.onPress('toggleSettings', () => {
+        isSettingsOpen = !isSettingsOpen;
+        menu.style.display = isSettingsOpen ? 'block' : 'none';
+    });
+    inputManager.onPress('toggleSpectator', () => {
+        if (!photoMode.active) { // Photo mode flies the spectator camera until it is closed
+            toggleSpectatorMode();
         }
-        
-        if (key === 'f2') {
-            isSettingsOpen = !isSettingsOpen;
-            menu.style.display = isSettingsOpen ? 'block' : 'none';
+    });
+    inputManager.onPress('togglePhotoMode', () => {
+        if (photoMode.active) {
+            exitPhotoMode();
+        } else if (!isGamePaused && !isSettingsOpen) {
+            enterPhotoMode();
         }
-        
-        // Movement controls only when not paused, not in settings, and not in spectator mode
-        if (!isGamePaused && !isSettingsOpen && !isSpectatorMode) {
-            if (key === 'w') {
-                // W key increases sail mode
-                toggleSailMode('w');
-            }
-            if (key === 's') {
-                // S key can decrease sail mode OR provide manual reverse
-                if (currentSailMode === 'noSail') {
-                    moveState.backward = true; // Manual reverse when no sail
-                } else {
-                    toggleSailMode('s'); // Decrease sail mode
-                }
-            }
-            if (key === 'a') {
-                moveState.left = true;
-            }
-            if (key === 'd') {
-                moveState.right = true;
-            }
+    });
+    inputManager.onPress('capturePhoto', () => {
+        if (photoMode.active) {
+            capturePhoto();
         }
     });
 
-    document.addEventListener('keyup', (e) => {
-        const key = e.key.toLowerCase();
-        // Only process movement key releases if not in spectator mode
-        if (!isSpectatorMode) {
-            if (key === 's') {
-                moveState.backward = false; // Stop manual reverse
-            }
-            if (key === 'a') {
-                moveState.left = false;
-            }
-            if (key === 'd') {
-                moveState.right = false;
-            }
+    // Ship actions only when not paused and not in settings (spectator mode switches them off)
+    const onShipAction = (actionId, callback) => inputManager.onPress(actionId, () => {
+        if (!isGamePaused && !isSettingsOpen) {
+            callback();
         }
     });
+    onShipAction('raiseSail', () => toggleSailMode('raise'));
+    onShipAction('lowerSail', () => {
+        // Lowers the sail, or backs the sails for manual reverse when there is none set
+        if (currentSailMode === 'noSail') {
+            moveState.backward = true;
+        } else {
+            toggleSailMode('lower');
+        }
+    });
+    onShipAction('turnLeft', () => { moveState.left = true; });
+    onShipAction('turnRight', () => { moveState.right = true; });
+    onShipAction('firePort', () => fireCannons('port'));
+    onShipAction('fireStarboard', () => fireCannons('starboard'));
+    onShipAction('toggleAnchor', () => toggleAnchor());
+    onShipAction('cycleCamera', () => {
+        setCameraMode(shipCamera.cycleMode());
+        showShipStatus(`Camera: ${getCameraModeLabel(shipCamera.mode)}`, 1.5);
+    });
+    inputManager.onRelease('lowerSail', () => { moveState.backward = false; }); // Stop manual reverse
+    inputManager.onRelease('turnLeft', () => { moveState.left = false; });
+    inputManager.onRelease('turnRight', () => { moveState.right = false; });
 
     closeMenuButton.addEventListener('click', () => {
         isSettingsOpen = false;
         menu.style.display = 'none';
         if (!isPointerLocked) {
-            canvas.requestPointerLock();
+            lockPointer();
         }
     });
 
+    // Controls list in the settings menu - click a binding, then press the new key
+    const controlsList = document.getElementById('controlsList');
+    const controlsNote = document.getElementById('controlsNote');
+    function renderControls() {
+        const conflicted = new Set(inputManager.getAllConflicts().flatMap(conflict => conflict.actions));
+        controlsList.innerHTML = '';
+        for (const action of INPUT_ACTIONS) {
+            const row = document.createElement('div');
+            row.className = 'control-row' + (conflicted.has(action.id) ? ' conflict' : '');
+            const label = document.createElement('span');
+            label.textContent = action.label;
+            const padBinding = inputManager.getPadBinding(action.id);
+            if (padBinding.length > 0) {
+                label.title = `Gamepad: ${padBinding.map(formatGamepadButton).join(' / ')}`;
+            }
+            const button = document.createElement('button');
+            button.textContent = inputManager.getBindingLabel(action.id);
+            button.addEventListener('click', () => {
+                row.classList.add('listening');
+                button.textContent = 'Press a key...';
+                controlsNote.textContent = 'Esc to cancel';
+                inputManager.captureNextKey((code) => {
+                    controlsNote.textContent = '';
+                    if (code) {
+                        const lost = inputManager.rebind(action.id, code);
+                        if (lost.length > 0) {
+                            const labels = lost.map(actionId => INPUT_ACTIONS.find(other => other.id === actionId).label);
+                            controlsNote.textContent = `${formatKeyCode(code)} was taken from: ${labels.join(', ')}`;
+                        }
+                    }
+                    renderControls();
+                });
+            });
+            row.append(label, button);
+            controlsList.appendChild(row);
+        }
+    }
+    document.getElementById('resetControls').addEventListener('click', () => {
+        inputManager.cancelCapture();
+        inputManager.resetBindings();
+        controlsNote.textContent = 'Controls reset to defaults';
+        renderControls();
+    });
+    renderControls();
+
     // Initialize SpectatorPawn
     spectatorPawn = new SpectatorPawn(scene, camera);
+    // Ships the spectator can follow - ours first, then every networked player
+    spectatorPawn.getTargets = () => {
+        const targets = [{ id: 'local', label: `${playerPawn.profile.name} (you)`, object: playerPawn }];
+        for (const [peerId, player] of networkedPlayerManager.networkedPlayers) {
+            targets.push({ id: peerId, label: player.profile.name || peerId, object: player.pawn });
+        }
+        return targets;
+    };
 
-    // Add keybinding for F8 with capture phase
-    window.addEventListener('keydown', (event) => {
-        if (event.code === 'F8') {
-            event.preventDefault();
-            event.stopPropagation();
+    // Photo mode - freezes the simulation and flies the spectator camera
+    const photoMode = new PhotoMode();
+    const photoPanel = document.getElementById('photoPanel');
+    const photoFovInput = document.getElementById('photoFov');
+    const photoBlurInput = document.getElementById('photoBlur');
+    const photoFocusInput = document.getElementById('photoFocus');
+    const photoFilterSelect = document.getElementById('photoFilter');
+    const photoVignetteInput = document.getElementById('photoVignette');
+    const photoScaleSelect = document.getElementById('photoScale');
+    const photoHideHudInput = document.getElementById('photoHideHud');
+    const photoStatus = document.getElementById('photoStatus');
+    let photoEnteredSpectator = false; // Photo mode switched spectator on, so it switches it off again
+    let gameplayFov = camera.fov;
+
+    for (const filter of PHOTO_FILTERS) {
+        const option = document.createElement('option');
+        option.value = filter.id;
+        option.textContent = filter.label;
+        photoFilterSelect.appendChild(option);
+    }
+    function syncPhotoPanel() {
+        const settings = photoMode.settings;
+        photoFovInput.value = settings.fov;
+        photoBlurInput.value = settings.blur;
+        photoFocusInput.value = settings.focusDistance;
+        photoFilterSelect.value = settings.filter;
+        photoVignetteInput.value = settings.vignette;
+        photoScaleSelect.value = settings.captureScale;
+        photoHideHudInput.checked = settings.hideHud;
+        document.getElementById('photoFovValue').textContent = `${settings.fov}°`;
+        document.getElementById('photoFocusValue').textContent = `${settings.focusDistance}`;
+        document.body.classList.toggle('photo-hide-hud', photoMode.active && settings.hideHud);
+        camera.fov = photoMode.active ? settings.fov : gameplayFov;
+        camera.updateProjectionMatrix();
+    }
+    photoFovInput.addEventListener('input', (e) => { photoMode.settings.fov = parseFloat(e.target.value); syncPhotoPanel(); });
+    photoBlurInput.addEventListener('input', (e) => { photoMode.settings.blur = parseFloat(e.target.value); syncPhotoPanel(); });
+    photoFocusInput.addEventListener('input', (e) => { photoMode.settings.focusDistance = parseFloat(e.target.value); syncPhotoPanel(); });
+    photoFilterSelect.addEventListener('change', (e) => { photoMode.settings.filter = e.target.value; syncPhotoPanel(); });
+    photoVignetteInput.addEventListener('input', (e) => { photoMode.settings.vignette = parseFloat(e.target.value); syncPhotoPanel(); });
+    photoScaleSelect.addEventListener('change', (e) => { photoMode.settings.captureScale = parseInt(e.target.value, 10); syncPhotoPanel(); });
+    photoHideHudInput.addEventListener('change', (e) => { photoMode.settings.hideHud = e.target.checked; syncPhotoPanel(); });
+    document.getElementById('photoCapture').addEventListener('click', () => capturePhoto());
+    document.getElementById('photoExit').addEventListener('click', () => exitPhotoMode());
+
+    function enterPhotoMode() {
+        gameplayFov = camera.fov;
+        photoMode.active = true;
+        photoEnteredSpectator = !isSpectatorMode;
+        if (photoEnteredSpectator) {
             toggleSpectatorMode();
         }
-    }, true); // Use capture phase
+        photoStatus.textContent = '';
+        photoPanel.style.display = 'block';
+        syncPhotoPanel();
+    }
+
+    function exitPhotoMode() {
+        photoMode.active = false;
+        photoMode.disposePreview();
+        photoPanel.style.display = 'none';
+        syncPhotoPanel();
+        if (photoEnteredSpectator && isSpectatorMode) {
+            toggleSpectatorMode();
+        }
+    }
+
+    function capturePhoto() {
+        photoStatus.textContent = 'Capturing...';
+        photoMode.capture(renderer, scene, camera).then((blob) => {
+            const link = document.createElement('a');
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            link.href = URL.createObjectURL(blob);
+            link.download = `world-of-water-${stamp}.png`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            photoStatus.textContent = 'Saved';
+        }, (error) => {
+            console.error('[PhotoMode] Capture failed', error);
+            photoStatus.textContent = 'Capture failed';
+        });
+    }
+
+    // Spectator banner - who is being followed and how to switch
+    const spectatorIndicator = document.getElementById('spectatorIndicator');
+    function updateSpectatorHud() {
+        const exit = `Press ${inputManager.getBindingLabel('toggleSpectator')} to exit`;
+        const cycle = `${inputManager.getBindingLabel('spectatorPrevTarget')}/${inputManager.getBindingLabel('spectatorNextTarget')}`;
+        const text = spectatorPawn.target
+            ? `🎥 FOLLOWING ${spectatorPawn.target.label} - ${cycle} switch ship, ${inputManager.getBindingLabel('spectatorFreeCam')} free camera - ${exit}`
+            : `🕵️ SPECTATOR MODE - ${cycle} follow a ship - ${exit}`;
+        if (spectatorIndicator.textContent !== text) {
+            spectatorIndicator.textContent = text;
+        }
+    }
 
     function toggleSpectatorMode() {
-        const spectatorIndicator = document.getElementById('spectatorIndicator');
-        
         if (isSpectatorMode) {
             // Deactivate spectator mode
             spectatorPawn.deactivate();
             isSpectatorMode = false;
+            shipCamera.snap = true; // Straight back to the ship, no swoop from where the spectator was
+            inputManager.setContext('ship');
             spectatorIndicator.style.display = 'none';
             // Removed spectator mode logging for performance
         } else {
@@ -523,21 +1203,19 @@ function initGame() {
             moveState.backward = false;
             moveState.left = false;
             moveState.right = false;
+            moveState.rudder = 0;
             
             spectatorPawn.activate();
             isSpectatorMode = true;
+            inputManager.setContext('spectator');
+            updateSpectatorHud();
             spectatorIndicator.style.display = 'block';
             // Removed spectator mode logging for performance
         }
     }
 
-    // Add sailing speeds logic
-    const sailModes = {
-        noSail: 0,
-        partSail: 2,
-        halfSail: 4,
-        fullSail: 6
-    };
+    // Add sailing speeds logic - each ship class sets its own speed per sail setting
+    const sailModes = { ...playerPawn.shipClass.sailSpeeds };
     let currentSailMode = 'noSail';
 
     // Add UI element to display current sail mode
@@ -555,15 +1233,231 @@ function initGame() {
     sailModeDisplay.textContent = `Sail Mode: ${currentSailMode}`;
     document.body.appendChild(sailModeDisplay);
 
-    // Update toggleSailMode to handle 'w' for increase and 's' for decrease
+    // Wind indicator - arrow shows where the wind blows relative to the bow (up = dead ahead)
+    const windIndicator = document.createElement('div');
+    windIndicator.id = 'windIndicator';
+    windIndicator.style.position = 'absolute';
+    windIndicator.style.bottom = '10px';
+    windIndicator.style.right = '10px';
+    windIndicator.style.padding = '10px';
+    windIndicator.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    windIndicator.style.color = 'white';
+    windIndicator.style.fontSize = '16px';
+    windIndicator.style.borderRadius = '5px';
+    windIndicator.style.zIndex = '1000';
+    windIndicator.style.textAlign = 'center';
+    windIndicator.style.minWidth = '120px';
+    const windArrow = document.createElement('div');
+    windArrow.textContent = '\u2191';
+    windArrow.style.fontSize = '32px';
+    windArrow.style.lineHeight = '36px';
+    windArrow.style.transition = 'transform 0.2s linear';
+    const windText = document.createElement('div');
+    windIndicator.appendChild(windArrow);
+    windIndicator.appendChild(windText);
+    document.body.appendChild(windIndicator);
+
+    // Ship status banner - hull warnings and outcomes from the buoyancy solver
+    const shipStatusDisplay = document.createElement('div');
+    shipStatusDisplay.id = 'shipStatusDisplay';
+    shipStatusDisplay.style.position = 'absolute';
+    shipStatusDisplay.style.top = '60px';
+    shipStatusDisplay.style.left = '50%';
+    shipStatusDisplay.style.transform = 'translateX(-50%)';
+    shipStatusDisplay.style.padding = '10px 20px';
+    shipStatusDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    shipStatusDisplay.style.color = '#FFD060';
+    shipStatusDisplay.style.fontSize = '20px';
+    shipStatusDisplay.style.borderRadius = '5px';
+    shipStatusDisplay.style.zIndex = '1000';
+    shipStatusDisplay.style.display = 'none';
+    document.body.appendChild(shipStatusDisplay);
+    let shipStatusUntil = 0;
+
+    function showShipStatus(message, seconds = 3) {
+        shipStatusDisplay.textContent = message;
+        shipStatusDisplay.style.display = 'block';
+        shipStatusUntil = performance.now() + seconds * 1000;
+    }
+
+    gamepadInput.onConnectionChange((id) => showShipStatus(id ? 'Gamepad connected' : 'Gamepad disconnected', 2.5));
+
+    playerPawn.addEventListener('slam', () => {
+        showShipStatus('Green water over the bow!', 1.5);
+        subtitles.cue('[Wave crashes over the bow]');
+    });
+    playerPawn.addEventListener('capsize', () => showShipStatus('Capsized! Strike the sails and hope she rights', 5));
+    playerPawn.addEventListener('recover', () => showShipStatus('She has righted herself', 3));
+    playerPawn.addEventListener('swamped', () => showShipStatus('Swamped! The pumps cannot keep up', 4));
+    playerPawn.addEventListener('sinking', () => {
+        showShipStatus('Abandon ship - she is going down!', 6);
+        subtitles.cue('[Timbers groan]', { duration: 5 });
+    });
+    playerPawn.addEventListener('collision', (e) => {
+        if (e.collision.closingSpeed > 2) {
+            showShipStatus('Rammed!', 2);
+            subtitles.cue('[Hulls crash together]');
+        } else if (e.collision.closingSpeed > 0.5) {
+            showShipStatus('Hulls scraping', 1.5);
+            subtitles.cue('[Hulls scrape]');
+        }
+    });
+    playerPawn.addEventListener('aground', (e) => {
+        showShipStatus(e.speed > 2 ? 'Aground! She struck hard' : 'Touching bottom', 2.5);
+        subtitles.cue('[Keel grinds on the bottom]');
+    });
+    playerPawn.addEventListener('stuck', () => showShipStatus(`Hard aground - back the sails (${inputManager.getBindingLabel('lowerSail')}) or wait for a wave`, 4));
+    playerPawn.addEventListener('refloat', () => showShipStatus('Afloat again', 2));
+    playerPawn.addEventListener('anchorDropped', (e) => {
+        showShipStatus(`Anchor down in ${e.depth.toFixed(1)} of water`, 2.5);
+        subtitles.cue('[Anchor chain rattles out]');
+    });
+    playerPawn.addEventListener('anchorRaised', () => {
+        showShipStatus('Anchor aweigh', 2);
+        subtitles.cue('[Capstan clanks]');
+    });
+    playerPawn.addEventListener('anchorTooDeep', (e) => {
+        showShipStatus(`Too deep to anchor (${Math.round(e.depth)}) - find shoal water`, 2.5);
+    });
+    playerPawn.addEventListener('anchorDragging', () => showShipStatus('The anchor is dragging!', 3));
+    playerPawn.addEventListener('anchorHolding', () => showShipStatus('The anchor is holding again', 2));
+    playerPawn.addEventListener('wrapped', (e) => {
+        // Bring our cannon fire round with us and redraw the ocean under the ship next frame
+        cannonballSystem.shift(e.shiftX, e.shiftZ);
+        shipCamera.shift(e.shiftX, e.shiftZ);
+        window.oceanUpdateCounter = settings.get('oceanUpdateInterval') - 1;
+    });
+    playerPawn.addEventListener('damage', (e) => {
+        if (e.amount >= 5) {
+            showShipStatus(`Hull damaged (${e.source}) - ${Math.round(e.integrity)}% left`, 2);
+        }
+    });
+    playerPawn.addEventListener('repaired', () => showShipStatus('Hull fully repaired', 2));
+
+    // Sinking sequence - she goes down, then a new ship is fitted out at home port
+    const RESPAWN_DELAY = 3000;
+    let respawnPending = false;
+    playerPawn.addEventListener('sunk', () => {
+        if (respawnPending) {
+            return;
+        }
+        respawnPending = true;
+        currentSailMode = 'noSail';
+        showShipStatus(`Your ship was lost - a new one is being fitted out at ${PORTS[0].name}`, RESPAWN_DELAY / 1000 + 2);
+        setTimeout(() => {
+            playerPawn.respawn(PORTS[0].x, PORTS[0].z);
+            respawnPending = false;
+        }, RESPAWN_DELAY);
+    });
+
+    // Hull readout - integrity, water in the hull and repair status
+    const hullDisplay = document.createElement('div');
+    hullDisplay.id = 'hullDisplay';
+    hullDisplay.style.position = 'absolute';
+    hullDisplay.style.bottom = '60px';
+    hullDisplay.style.left = '10px';
+    hullDisplay.style.padding = '10px';
+    hullDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    hullDisplay.style.color = 'white';
+    hullDisplay.style.fontSize = '16px';
+    hullDisplay.style.borderRadius = '5px';
+    hullDisplay.style.zIndex = '1000';
+    document.body.appendChild(hullDisplay);
+
+    function updateHullHud() {
+        const damage = playerPawn.damage;
+        const integrity = damage.integrity / damage.config.maxIntegrity;
+        const water = playerPawn.buoyancy.state.waterMass / playerPawn.buoyancy.getReserveWater();
+        let status = '';
+        if (playerPawn.buoyancy.state.sinking) {
+            status = ' - sinking!';
+        } else if (damage.port) {
+            status = ` - in ${damage.port.name}${integrity < 1 ? ', repairing' : ''}`;
+        } else if (damage.getLeakRate() > 0.01) {
+            status = ' - leaking';
+        }
+        hullDisplay.textContent = `Hull ${Math.round(integrity * 100)}% | Water ${Math.round(water * 100)}%${status}`;
+        hullDisplay.style.color = integrity > 0.6 ? 'white' : integrity > 0.3 ? 'var(--hud-warn)' : 'var(--hud-danger)';
+    }
+
+    // Battery readout - ready or seconds left to reload on each side
+    const cannonDisplay = document.createElement('div');
+    cannonDisplay.id = 'cannonDisplay';
+    cannonDisplay.style.position = 'absolute';
+    cannonDisplay.style.bottom = '110px';
+    cannonDisplay.style.left = '10px';
+    cannonDisplay.style.padding = '10px';
+    cannonDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    cannonDisplay.style.color = 'white';
+    cannonDisplay.style.fontSize = '16px';
+    cannonDisplay.style.borderRadius = '5px';
+    cannonDisplay.style.zIndex = '1000';
+    document.body.appendChild(cannonDisplay);
+
+    function updateCannonHud() {
+        const describe = (battery) => battery.reload > 0 ? `reloading ${battery.reload.toFixed(1)}s` : 'ready';
+        cannonDisplay.textContent = `Port (${inputManager.getBindingLabel('firePort')}) ${describe(playerPawn.cannons.port)} | Starboard (${inputManager.getBindingLabel('fireStarboard')}) ${describe(playerPawn.cannons.starboard)}`;
+    }
+
+    // Refresh the wind HUD and the sail readout from the ship's latest sail state
+    function updateSailingHud() {
+        const hull = playerPawn.buoyancy.state;
+        const grounding = playerPawn.grounding;
+        if (performance.now() > shipStatusUntil) {
+            // Standing warnings when no event message is showing
+            if (grounding.stuck) {
+                shipStatusDisplay.textContent = `Hard aground - back the sails (${inputManager.getBindingLabel('lowerSail')}) or wait for a wave`;
+                shipStatusDisplay.style.display = 'block';
+            } else if (grounding.grounded) {
+                shipStatusDisplay.textContent = 'Aground!';
+                shipStatusDisplay.style.display = 'block';
+            } else if (Math.min(grounding.clearance, grounding.aheadClearance) < grounding.config.shallowWarning) {
+                const clearance = Math.max(0, Math.min(grounding.clearance, grounding.aheadClearance));
+                shipStatusDisplay.textContent = `Shoal water - ${clearance.toFixed(1)} under the keel`;
+                shipStatusDisplay.style.display = 'block';
+            } else if (playerPawn.worldEdge && playerPawn.worldEdge.warning) {
+                const distance = Math.max(0, Math.round(playerPawn.worldEdge.distanceToEdge));
+                shipStatusDisplay.textContent = worldBounds.config.mode === 'pushBack'
+                    ? `Strong currents at the edge of the world (${distance}) - they will set you back`
+                    : `Edge of the world ahead (${distance}) - turn back`;
+                shipStatusDisplay.style.display = 'block';
+            } else if (playerPawn.anchor.dragging) {
+                shipStatusDisplay.textContent = 'The anchor is dragging!';
+                shipStatusDisplay.style.display = 'block';
+            } else if (!hull.sinking && Math.abs(hull.roll) > 0.7) {
+                shipStatusDisplay.textContent = 'Heeling hard - shorten sail!';
+                shipStatusDisplay.style.display = 'block';
+            } else if (!hull.sinking && hull.waterMass > playerPawn.buoyancy.getReserveWater() * 0.5) {
+                shipStatusDisplay.textContent = `Taking on water (${Math.round(hull.waterMass / playerPawn.buoyancy.getReserveWater() * 100)}%)`;
+                shipStatusDisplay.style.display = 'block';
+            } else {
+                shipStatusDisplay.style.display = 'none';
+            }
+        }
+
+        const sailState = playerPawn.sailState;
+        if (!sailState) {
+            return;
+        }
+        const heading = playerPawn.rotation.y;
+        const forward = -sailState.wind.x * Math.sin(heading) - sailState.wind.z * Math.cos(heading);
+        const starboard = sailState.wind.x * Math.cos(heading) - sailState.wind.z * Math.sin(heading);
+        const relativeAngle = Math.atan2(starboard, forward);
+        windArrow.style.transform = `rotate(${relativeAngle}rad)`;
+        windText.innerHTML = `Wind ${sailState.wind.strength.toFixed(1)}<br>${sailState.pointOfSail}`;
+        const anchorStatus = playerPawn.anchor.dropped ? ' - At anchor' : '';
+        sailModeDisplay.textContent = `Sail Mode: ${currentSailMode} (Speed: ${sailState.speed.toFixed(1)})${anchorStatus}`;
+    }
+
+    // Step the sail setting up ('raise') or down ('lower')
     // Ship now moves independently based on sail mode, not tied to key states
-    function toggleSailMode(key) {
+    function toggleSailMode(direction) {
         const sailModeKeys = Object.keys(sailModes);
         const currentIndex = sailModeKeys.indexOf(currentSailMode);
 
-        if (key === 'w') {
+        if (direction === 'raise') {
             currentSailMode = sailModeKeys[(currentIndex + 1) % sailModeKeys.length];
-        } else if (key === 's') {
+        } else if (direction === 'lower') {
             currentSailMode = sailModeKeys[(currentIndex - 1 + sailModeKeys.length) % sailModeKeys.length];
         }
 
@@ -578,11 +1472,33 @@ function initGame() {
         
         const deltaTime = Math.min((currentTime - lastTime) / 1000, 0.1);
         lastTime = currentTime;
+        // Photo mode freezes what we see - our ship, the ocean and storms hold still while the camera
+        // moves. The clock keeps running, and so does the shared world in multiplayer: peers can't be
+        // paused, and the host still has to settle their collisions, volleys and hits
+        const simulating = !isGamePaused && !isSettingsOpen && !photoMode.active;
+        const worldFrozen = photoMode.active && !gameNetworking.isMultiplayerMode;
         animationTime += deltaTime;
 
+        // Gamepad and touch controls hold actions like keys; their sticks are the helm
+        gamepadInput.poll();
+        touchControls.setEnabled(!isGamePaused && !isSettingsOpen);
+        touchControls.update();
+        moveState.rudder = isGamePaused || isSettingsOpen || isSpectatorMode ? 0 : inputManager.getAxis('steer');
+        // Right stick and touch drags turn the view, in radians
+        const padLook = gamepadInput.getLookDelta(deltaTime);
+        const touchLook = touchControls.consumeLook();
+        const lookDelta = isGamePaused || isSettingsOpen ? { x: 0, y: 0 } : { x: padLook.x + touchLook.x, y: padLook.y + touchLook.y };
+
+        // Advance shared storms and wave time every frame
+        if (simulating) {
+            weatherSystem.update(deltaTime, playerPawn.position);
+            oceanModel.update(deltaTime);
+            windField.update(deltaTime);
+        }
+
         // Always update the ship for visual effects (bouncing, bobbing)
         // Ship should continue moving based on sail mode even in spectator mode (sails keep working!)
-        if (!isGamePaused && !isSettingsOpen) {
+        if (simulating) {
             // Movement logic is now handled in playerPawn.update()
             const sailSpeed = sailModes[currentSailMode];
             
@@ -596,92 +1512,76 @@ function initGame() {
                 const autoMoveState = { left: false, right: false, backward: false };
                 playerPawn.update(deltaTime, animationTime, sailSpeed, autoMoveState, camera);
             }
-        } else {
+        } else if (!photoMode.active) {
             // Update ship visual effects only when paused or settings open
             playerPawn.update(deltaTime, animationTime);
         }
 
+        updateAnchorRode(anchorRode, playerPawn.position, playerPawn.anchor);
+        updateBoundaryMarker(boundaryMarker);
+        updateSailingHud();
+        updateHullHud();
+        updateCannonHud();
+        subtitles.update();
+
         // --- Animate global ocean mesh (ripple effect) - OPTIMIZED FOR PERFORMANCE ---
         if (globalOcean && globalOceanGeometry && playerPawn) {
-            // PERFORMANCE: Reduce ocean update frequency to every 3rd frame
+            // PERFORMANCE: Reduce ocean update frequency to every Nth frame (graphics settings)
             if (!window.oceanUpdateCounter) window.oceanUpdateCounter = 0;
             window.oceanUpdateCounter++;
             
-            if (window.oceanUpdateCounter % 3 === 0) { // Only update every 3rd frame
-                // --- Simplified Storm system for performance ---
-                // Update storms less frequently
-                if (!globalOceanWaveState.storms) globalOceanWaveState.storms = [];
+            if (window.oceanUpdateCounter % settings.get('oceanUpdateInterval') === 0) { // Only update every Nth frame
+                // Center ocean on player, snapped to the vertex grid so waves don't swim
+                const spacing = globalOceanSize / globalOceanSegments;
+                const centerX = Math.round(playerPawn.position.x / spacing) * spacing;
+                const centerZ = Math.round(playerPawn.position.z / spacing) * spacing;
+                globalOcean.position.set(centerX, oceanModel.baseHeight, centerZ);
                 
-                // Reduced storm spawning frequency and complexity
-                if (Math.random() < deltaTime * 0.02 && globalOceanWaveState.storms.length < 2) { // Max 2 storms, less frequent
-                    const angle = Math.random() * Math.PI * 2;
-                    const dist = 1000 + Math.random() * 1000; // Further away storms
-                    globalOceanWaveState.storms.push({
-                        x: playerPawn.position.x + Math.cos(angle) * dist,
-                        z: playerPawn.position.z + Math.sin(angle) * dist,
-                        amp: 2 + Math.random() * 2, // Reduced intensity
-                        radius: 800, // Fixed radius for performance
-                        age: 0
-                    });
-                }
+                // Displace every vertex with the shared Gerstner model so the mesh matches ship buoyancy exactly
+                const pos = globalOceanGeometry.attributes.position;
+                const rest = globalOceanRestPositions;
+                const displacement = { x: 0, y: 0, z: 0 };
                 
-                // Simplified storm aging
-                globalOceanWaveState.storms = globalOceanWaveState.storms.filter(s => {
-                    s.age += deltaTime;
-                    return s.age < 60; // Shorter storm life
-                });
-
-                // Simplified ocean state changes
-                globalOceanWaveState.timer -= deltaTime;
-                if (globalOceanWaveState.timer <= 0) {
-                    if (Math.random() < 0.5) {
-                        globalOceanWaveState.targetAmp = 1.5 + Math.random() * 1.0;
-                        globalOceanWaveState.targetSpeed = 2.5 + Math.random() * 1.0;
-                    } else {
-                        globalOceanWaveState.targetAmp = 0.5 + Math.random() * 0.5;
-                        globalOceanWaveState.targetSpeed = 1.0 + Math.random() * 0.5;
+                // Tint the water toward storm colors, with spiral bands around each storm's eye
+                const colorAttribute = globalOceanGeometry.attributes.color;
+                const baseColors = globalOceanBaseColors;
+                const hasStorms = weatherSystem.storms.length > 0;
+                
+                for (let i = 0; i < pos.count; i++) {
+                    const restX = rest[i * 3];
+                    const restZ = rest[i * 3 + 2];
+                    const worldX = restX + centerX;
+                    const worldZ = restZ + centerZ;
+                    oceanModel.getDisplacement(worldX, worldZ, oceanModel.time, displacement);
+                    pos.setXYZ(i, restX + displacement.x, displacement.y, restZ + displacement.z);
+                    
+                    if (hasStorms || oceanTintActive) {
+                        let tint = 0;
+                        for (const storm of weatherSystem.storms) {
+                            const falloff = weatherSystem.getStormFalloff(storm, worldX, worldZ);
+                            if (falloff > 0) {
+                                const stormDX = worldBounds.delta(worldX, storm.x);
+                                const stormDZ = worldBounds.delta(worldZ, storm.z);
+                                const angle = Math.atan2(stormDZ, stormDX);
+                                const distance = Math.sqrt(stormDX * stormDX + stormDZ * stormDZ);
+                                const band = 0.8 + 0.2 * Math.sin(angle * 2 + storm.swirl - distance * 0.02);
+                                tint = Math.max(tint, Math.min(1, storm.intensity * falloff * band));
+                            }
+                        }
+                        const r = baseColors[i * 3], g = baseColors[i * 3 + 1], b = baseColors[i * 3 + 2];
+                        colorAttribute.setXYZ(i,
+                            r + (STORM_OCEAN_COLOR.r - r) * tint * 0.7,
+                            g + (STORM_OCEAN_COLOR.g - g) * tint * 0.7,
+                            b + (STORM_OCEAN_COLOR.b - b) * tint * 0.7
+                        );
                     }
-                    globalOceanWaveState.timer = 8 + Math.random() * 8; // Longer cycles
                 }
                 
-                // Faster interpolation for fewer updates
-                globalOceanWaveState.amp += (globalOceanWaveState.targetAmp - globalOceanWaveState.amp) * deltaTime * 0.1;
-                globalOceanWaveState.speed += (globalOceanWaveState.targetSpeed - globalOceanWaveState.speed) * deltaTime * 0.1;
-                
-                // Center ocean on player
-                globalOcean.position.x = playerPawn.position.x;
-                globalOcean.position.z = playerPawn.position.z;
-                globalOcean.position.y = 20.0;
-                globalOceanTime += deltaTime * globalOceanWaveState.speed;
-                
-                // Update window variables for ship synchronization
-                window.globalOceanTime = globalOceanTime;
-                window.globalOceanWaveState = globalOceanWaveState;
-                
-                // PERFORMANCE: Simplified ocean mesh update - reduced complexity
-                const pos = globalOceanGeometry.attributes.position;
-                const seg = globalOceanSegments;
-                const t = globalOceanTime;
-                const px = playerPawn.position.x;
-                const pz = playerPawn.position.z;
-                const size = globalOceanSize;
-                
-                // Simplified wave calculation - removed complex storm effects for performance
-                for (let xi = 0; xi <= seg; xi += 2) { // Skip every other vertex for performance
-                    for (let zi = 0; zi <= seg; zi += 2) { // Skip every other vertex for performance
-                        const idx = xi * (seg + 1) + zi;
-                        const x = (xi - seg / 2) * (size / seg) + px;
-                        const z = (zi - seg / 2) * (size / seg) + pz;
-                        
-                        // Simplified wave calculation - much faster
-                        let y = 0;
-                        y += Math.sin(0.08 * x + t * 0.6) * 1.0 * globalOceanWaveState.amp;
-                        y += Math.cos(0.07 * z + t * 0.4) * 0.8 * globalOceanWaveState.amp;
-                        y += Math.sin(0.06 * (x + z) + t * 0.2) * 0.5 * globalOceanWaveState.amp;
-                        
-                        pos.setY(idx, y);
-                    }
+                // Keep tinting one more pass after the last storm clears so colors reset
+                if (hasStorms || oceanTintActive) {
+                    colorAttribute.needsUpdate = true;
                 }
+                oceanTintActive = hasStorms;
                 
                 pos.needsUpdate = true;
                 // Skip normal calculation for performance - not needed for basic water
@@ -714,28 +1614,55 @@ function initGame() {
                 y: playerPawn.shipModel.position.y,
                 z: playerPawn.shipModel.position.z
             } : null,
+            // Ship motion for dead reckoning between updates
+            velocity: {
+                x: playerPawn.velocity.x,
+                z: playerPawn.velocity.z
+            },
+            angularVelocity: playerPawn.angularVelocity,
+            shipClass: playerPawn.shipClass.id, // Peers build the same model and stats
+            sails: playerPawn.sailTrim, // Canvas set, wind fill and luffing for the sail animation
+            // Where the anchor lies, so peers draw the rode down to it
+            anchor: {
+                dropped: playerPawn.anchor.dropped,
+                x: playerPawn.anchor.x,
+                y: playerPawn.anchor.y,
+                z: playerPawn.anchor.z
+            },
+            // Hull height relative to the water, so peers see her ride low, swamp and sink
+            hull: {
+                integrity: playerPawn.damage.integrity / playerPawn.damage.config.maxIntegrity,
+                water: playerPawn.buoyancy.state.waterMass / playerPawn.buoyancy.getReserveWater(),
+                sinking: playerPawn.buoyancy.state.sinking
+            },
+            heave: playerPawn.position.y - oceanModel.getHeight(playerPawn.position.x, playerPawn.position.z) - playerPawn.buoyancy.hull.floatHeight,
             surgeActive: playerPawn.surgeActive || false
         };
         
         // Throttle network updates to avoid spam (send every ~100ms for stable performance)
+        // Our look rides along every couple of seconds too, so a peer that missed player_profile
+        // (joined late, or the connection wasn't open yet) still gets it
         const now = Date.now();
         if (!window.lastNetworkUpdate || now - window.lastNetworkUpdate > 100) {
-            if (gameNetworking.broadcastPlayerState(playerState)) {
+            const shareProfile = !window.lastProfileShare || now - window.lastProfileShare > 2000;
+            if (gameNetworking.broadcastPlayerState(shareProfile ? { ...playerState, profile: playerPawn.profile } : playerState)) {
                 window.lastNetworkUpdate = now;
+                if (shareProfile) {
+                    window.lastProfileShare = now;
+                }
             }
         }
 
-        // Update networked players (animate them smoothly)
-        networkedPlayerManager.update(deltaTime, animationTime);
+        // Update networked players (animate them smoothly) - held still in single-player photo mode
+        if (!worldFrozen) {
+            networkedPlayerManager.update(deltaTime, animationTime, playerPawn.position);
+            updateShipCollisions();
+            updateCannonballs(deltaTime);
+        }
 
         // Update global player position for exclusion zone logic
         window.playerPosition = playerPawn.position.clone();
 
-        // Update terrain system locally (no networking to prevent lag)
-        if (terrainGenerator && typeof terrainGenerator.updateStormSystem === 'function') {
-            terrainGenerator.updateStormSystem(deltaTime, playerPawn.position);
-        }
-
         // Dynamically update terrain tiles with storm effects every frame
         if (terrainGenerator && terrainGenerator.planes && typeof window.updateExclusionZoneEveryFrame === 'function') {
             window.updateExclusionZoneEveryFrame(Array.from(terrainGenerator.planes.values()), terrainGenerator);
@@ -752,32 +1679,44 @@ function initGame() {
             }
         }
 
-        // Update camera based on mouse movement (only if not in spectator mode)
-        if (isPointerLocked && (mouseX !== 0 || mouseY !== 0) && !isSpectatorMode) {
-            theta -= mouseX * thetaSensitivity;
-            phi -= mouseY * phiSensitivity;
-            phi = Math.max(0.1, Math.min(1.2, phi));
-            theta = ((theta % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        // Update camera based on mouse movement, the right stick and touch drags (only if not in spectator mode)
+        const mouseMoved = isPointerLocked && (mouseX !== 0 || mouseY !== 0);
+        if ((mouseMoved || lookDelta.x !== 0 || lookDelta.y !== 0) && !isSpectatorMode) {
+            shipCamera.applyLook(
+                (mouseMoved ? mouseX * thetaSensitivity : 0) + lookDelta.x,
+                (mouseMoved ? mouseY * phiSensitivity : 0) + lookDelta.y
+            );
             mouseX = 0;
             mouseY = 0;
         }
 
-        // Update camera position (only if not in spectator mode)
+        // Update camera position for the chosen mode (only if not in spectator mode)
         if (!isSpectatorMode) {
-            const horizontalDistance = r * Math.cos(phi);
-            camera.position.x = playerPawn.position.x + horizontalDistance * Math.sin(theta);
-            camera.position.z = playerPawn.position.z + horizontalDistance * Math.cos(theta);
-            camera.position.y = playerPawn.position.y + r * Math.sin(phi);
-            camera.lookAt(playerPawn.position);
+            shipCamera.update(playerPawn, deltaTime);
         }
 
         // Update spectator pawn if in spectator mode (outside pause check)
         if (isSpectatorMode) {
             // Removed logging for performance
+            if (lookDelta.x !== 0 || lookDelta.y !== 0) {
+                spectatorPawn.look(lookDelta.x, lookDelta.y);
+            }
             spectatorPawn.update(deltaTime);
+            updateSpectatorHud();
         }
 
-        renderer.render(scene, camera);
+        // Sound follows the camera; it holds still with the game in photo mode and goes quiet while
+        // the game is paused or the settings menu is open
+        audioEngine.setPaused(isGamePaused || isSettingsOpen);
+        if (simulating) {
+            updateAudio(deltaTime);
+        }
+
+        if (photoMode.active) {
+            photoMode.render(renderer, scene, camera); // Depth of field, filter and vignette
+        } else {
+            frameRenderer.render(scene, camera);
+        }
     }
     animate(performance.now());
 
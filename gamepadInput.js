@@ -0,0 +1,142 @@
+// gamepadInput.js - Gamepad support through the Gamepad API
+// Each frame the first connected pad is read and fed into the action map: its buttons
+// (and the left stick pushed past halfway, for the spectator) hold actions just like
+// keys do, using the pad bindings in INPUT_ACTIONS. The sticks also give analog axes -
+// the left stick turns the rudder in proportion to how far it is pushed and the right
+// stick looks around. Buttons are named after the browser's "standard" mapping (Xbox
+// layout). navigator.getGamepads can be swapped for a mock, so input can be scripted.
+import { INPUT_ACTIONS, inputManager } from './inputActions.js';
+
+// Button names by index in the standard mapping
+export const GAMEPAD_BUTTONS = [
+    'A', 'B', 'X', 'Y',
+    'LeftBumper', 'RightBumper', 'LeftTrigger', 'RightTrigger',
+    'Back', 'Start', 'LeftStick', 'RightStick',
+    'DPadUp', 'DPadDown', 'DPadLeft', 'DPadRight',
+    'Home'
+];
+
+// Short names for the controls menu
+const BUTTON_LABELS = {
+    LeftBumper: 'LB', RightBumper: 'RB', LeftTrigger: 'LT', RightTrigger: 'RT',
+    LeftStick: 'L3', RightStick: 'R3',
+    DPadUp: 'D-pad Up', DPadDown: 'D-pad Down', DPadLeft: 'D-pad Left', DPadRight: 'D-pad Right',
+    LeftStickUp: 'Left Stick Up', LeftStickDown: 'Left Stick Down',
+    LeftStickLeft: 'Left Stick Left', LeftStickRight: 'Left Stick Right'
+};
+
+export function formatGamepadButton(name) {
+    return BUTTON_LABELS[name] || name;
+}
+
+export const DEFAULT_GAMEPAD_SETTINGS = {
+    deadZone: 0.15, // Stick travel ignored around the centre, 0..0.5
+    lookSensitivity: 1.0, // Multiplier on the right stick look speed
+    lookSpeed: 2.5, // Radians per second with the stick hard over at sensitivity 1
+    triggerThreshold: 0.3, // Trigger pull that counts as pressed
+    stickButtonThreshold: 0.5 // Stick travel that counts as a direction press
+};
+
+// Radial dead zone - inside it the stick reads zero, outside it the travel is rescaled
+// so the response still starts from zero and reaches full at the rim
+export function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude <= deadZone || magnitude === 0) {
+        return { x: 0, y: 0 };
+    }
+    const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+    return { x: x * scale, y: y * scale };
+}
+
+function defaultGetGamepads() {
+    return typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+}
+
+export class GamepadInput {
+    constructor(input = inputManager, { getGamepads = defaultGetGamepads, settings = {} } = {}) {
+        this.input = input;
+        this.getGamepads = getGamepads;
+        this.settings = { ...DEFAULT_GAMEPAD_SETTINGS, ...settings };
+        this.connectedId = null; // id of the pad being read, null when none is connected
+        this.connectionListeners = new Set();
+    }
+
+    setDeadZone(deadZone) {
+        this.settings.deadZone = Math.max(0, Math.min(0.5, deadZone));
+    }
+
+    setLookSensitivity(sensitivity) {
+        this.settings.lookSensitivity = Math.max(0.1, Math.min(5, sensitivity));
+    }
+
+    // First connected pad, preferring one with the standard mapping
+    findGamepad() {
+        const pads = Array.from(this.getGamepads() || []).filter(pad => pad && pad.connected !== false);
+        return pads.find(pad => pad.mapping === 'standard') || pads[0] || null;
+    }
+
+    // Read the pad and update the action map - call once per frame
+    poll() {
+        const pad = this.findGamepad();
+        const id = pad ? pad.id : null;
+        if (id !== this.connectedId) {
+            this.connectedId = id;
+            for (const listener of this.connectionListeners) {
+                listener(id);
+            }
+        }
+        if (!pad) {
+            this.input.setSourceState('gamepad', new Set());
+            return;
+        }
+
+        const settings = this.settings;
+        const buttons = new Set();
+        GAMEPAD_BUTTONS.forEach((name, index) => {
+            const button = pad.buttons[index];
+            if (!button) {
+                return;
+            }
+            const isTrigger = name === 'LeftTrigger' || name === 'RightTrigger';
+            if (isTrigger ? button.value >= settings.triggerThreshold : button.pressed) {
+                buttons.add(name);
+            }
+        });
+
+        const axes = pad.axes || [];
+        const left = applyDeadZone(axes[0] || 0, axes[1] || 0, settings.deadZone);
+        const right = applyDeadZone(axes[2] || 0, axes[3] || 0, settings.deadZone);
+        const threshold = settings.stickButtonThreshold;
+        if (left.y < -threshold) buttons.add('LeftStickUp');
+        if (left.y > threshold) buttons.add('LeftStickDown');
+        if (left.x < -threshold) buttons.add('LeftStickLeft');
+        if (left.x > threshold) buttons.add('LeftStickRight');
+
+        const actionIds = new Set(INPUT_ACTIONS
+            .filter(action => this.input.getPadBinding(action.id).some(name => buttons.has(name)))
+            .map(action => action.id));
+        this.input.setSourceState('gamepad', actionIds, {
+            steer: -left.x, // Rudder convention - positive turns to port (left)
+            lookX: right.x,
+            lookY: right.y
+        });
+    }
+
+    // How far the right stick turns the view this frame, in radians - screen up is negative y, like the mouse
+    getLookDelta(deltaTime) {
+        const rate = this.settings.lookSpeed * this.settings.lookSensitivity * deltaTime;
+        return {
+            x: this.input.getAxis('lookX') * rate,
+            y: this.input.getAxis('lookY') * rate
+        };
+    }
+
+    // Called with the pad's id when one is connected, null when it goes - returns an unsubscribe function
+    onConnectionChange(listener) {
+        this.connectionListeners.add(listener);
+        return () => this.connectionListeners.delete(listener);
+    }
+}
+
+// Shared by game.js - reads through the shared input manager
+export const gamepadInput = new GamepadInput();
@@ -0,0 +1,262 @@
+// hullBuoyancy.js - Multi-point hull buoyancy solver
+// Samples the ocean under a grid of hull points to get submerged volume, heave force
+// and restoring torque. Ships heel under wind pressure, slam into waves and can be
+// capsized or swamped. Outcomes are dispatched as events on the ship object:
+//   'slam'      { strength }  - bow drove hard into a wave
+//   'capsize'   { roll }      - heeled past the capsize angle
+//   'recover'   { roll }      - righted herself after a capsize
+//   'swamped'   { water }     - taken on more water than her reserve buoyancy
+//   'sinking'   { cause }     - can no longer stay afloat ('capsize', 'swamped' or 'damage')
+//   'sunk'      {}            - gone below the surface, ready for gameplay to respawn
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { GRAVITY } from './waveSpectrum.js';
+
+// Default hull - override per ship through the HullBuoyancy constructor
+export const DEFAULT_HULL = {
+    length: 6.0, // Bow to stern
+    beam: 3.0, // Width at the waterline
+    draft: 1.0, // Depth of keel below the waterline when floating level and dry
+    hullDepth: 2.5, // Keel to deck
+    floatHeight: 0.5, // Ship origin height above the waterline at rest
+    rows: 5, // Sample points along the length
+    columns: 3, // Sample points across the beam
+    mass: 1.0,
+    centerOfGravity: -0.9, // Height of CG relative to the origin - ballast keeps it low
+    rollInertia: 5.0,
+    pitchInertia: 7.5,
+    heaveDamping: 1.8,
+    rollDamping: 1.2,
+    pitchDamping: 3.0,
+    sailHeelArm: 3.0, // Height of the sails' centre of effort above the origin
+    sailHeelCoefficient: 0.006, // Heeling force per (side wind)^2 at full sail
+    capsizeAngle: 1.2, // Radians of heel past which she is on her beam ends
+    recoverAngle: 0.6, // Back under this and she has recovered
+    capsizeFloodTime: 8.0, // Seconds on her side before water floods in
+    floodRate: 0.6, // Water mass per second pouring in while capsized or sinking
+    deckInflowRate: 0.25, // Water mass per second per unit of green water over the deck
+    pumpRate: 0.03, // Water mass per second the pumps clear
+    slamThreshold: 5.0, // Bow immersion speed that counts as a slam
+    sinkDepth: 12.0 // How far below the surface counts as sunk
+};
+
+export class HullBuoyancy {
+    constructor(options = {}) {
+        this.hull = { ...DEFAULT_HULL, ...options };
+
+        // Hull sample points in ship space - keel positions, the column above each reaches the deck
+        this.points = [];
+        const keelY = -(this.hull.floatHeight + this.hull.draft);
+        for (let row = 0; row < this.hull.rows; row++) {
+            const z = (row / (this.hull.rows - 1) - 0.5) * this.hull.length;
+            // Narrower at bow and stern
+            const taper = 1 - Math.pow(Math.abs(z) / (this.hull.length * 0.5), 2) * 0.4;
+            for (let column = 0; column < this.hull.columns; column++) {
+                const x = (column / (this.hull.columns - 1) - 0.5) * this.hull.beam * taper;
+                this.points.push(new THREE.Vector3(x, keelY, z));
+            }
+        }
+        this.previousSubmersion = new Array(this.points.length).fill(0);
+
+        // Scratch objects reused every frame
+        this._euler = new THREE.Euler();
+        this._offset = new THREE.Vector3();
+        this._center = new THREE.Vector3();
+
+        this.reset();
+    }
+
+    // Clear all motion and water - used on spawn and respawn
+    reset() {
+        this.state = {
+            initialized: false,
+            height: 0, // World Y of the ship origin
+            verticalVelocity: 0,
+            roll: 0, // Rotation about the ship's long axis (positive = starboard up)
+            rollVelocity: 0,
+            pitch: 0, // Rotation about the ship's beam axis (positive = bow up)
+            pitchVelocity: 0,
+            waterMass: 0, // Water taken on board
+            submergedFraction: 0, // 0..1 of total hull volume under water
+            capsized: false,
+            capsizedTime: 0,
+            swamped: false,
+            sinking: false,
+            sunk: false,
+            lastSlamTime: -Infinity,
+            time: 0,
+            previousWaterHeight: null
+        };
+        this.previousSubmersion.fill(0);
+    }
+
+    // Water mass the hull can carry before it can no longer float
+    getReserveWater() {
+        return this.hull.mass * (this.hull.hullDepth / this.hull.draft - 1);
+    }
+
+    // Add water to the hull (leaks, boarding seas)
+    addWater(amount) {
+        this.state.waterMass = Math.max(0, this.state.waterMass + amount);
+    }
+
+    // Advance the solver
+    //   ship        - Object3D that receives events; position x/z and rotation.y are read
+    //   ocean       - anything with getHeight(x, z)
+    //   environment - { wind: {x, z}, sailFraction: 0..1 }
+    update(ship, ocean, environment, deltaTime) {
+        const hull = this.hull;
+        const state = this.state;
+        state.time += deltaTime;
+
+        if (!state.initialized) {
+            state.height = ocean.getHeight(ship.position.x, ship.position.z) + hull.floatHeight;
+            state.initialized = true;
+            state.lastSlamTime = state.time; // Let her settle before counting slams
+        }
+        if (deltaTime <= 0) {
+            return state;
+        }
+
+        const totalMass = hull.mass + state.waterMass;
+        const stiffness = hull.mass * GRAVITY / (this.points.length * hull.draft); // Dry hull floats at its draft
+        const yaw = ship.rotation.y;
+        const cosYaw = Math.cos(yaw);
+        const sinYaw = Math.sin(yaw);
+        this._euler.set(state.pitch, 0, state.roll);
+
+        let force = 0;
+        let rollTorque = 0;
+        let pitchTorque = 0;
+        let submergedTotal = 0;
+        let waterHeightTotal = 0;
+        let greenWater = 0;
+        let slamStrength = 0;
+
+        for (let i = 0; i < this.points.length; i++) {
+            const offset = this._offset.copy(this.points[i]).applyEuler(this._euler);
+            const worldX = ship.position.x + offset.x * cosYaw + offset.z * sinYaw;
+            const worldZ = ship.position.z - offset.x * sinYaw + offset.z * cosYaw;
+            const keelY = state.height + offset.y;
+            const waterY = ocean.getHeight(worldX, worldZ);
+            waterHeightTotal += waterY;
+
+            // Column from keel to deck, tilted with the hull
+            const columnHeight = hull.hullDepth * Math.max(0.2, Math.cos(state.roll) * Math.cos(state.pitch));
+            const submersion = Math.max(0, Math.min(columnHeight, waterY - keelY));
+            greenWater += Math.max(0, waterY - (keelY + columnHeight));
+
+            // Buoyancy acts at the centre of the submerged part of the column
+            const center = this._center.copy(this.points[i]);
+            center.y += submersion * 0.5;
+            center.applyEuler(this._euler);
+            const pointForce = stiffness * submersion;
+            force += pointForce;
+            rollTorque += center.x * pointForce;
+            pitchTorque -= center.z * pointForce;
+            submergedTotal += submersion / hull.hullDepth;
+
+            // Bow points plunging fast into a wave count as a slam
+            if (this.points[i].z < -hull.length * 0.3) {
+                slamStrength = Math.max(slamStrength, (submersion - this.previousSubmersion[i]) / deltaTime);
+            }
+            this.previousSubmersion[i] = submersion;
+        }
+
+        // Gravity acts at the centre of gravity, which swings out as she heels
+        const cg = this._offset.set(0, hull.centerOfGravity, 0).applyEuler(this._euler);
+        rollTorque -= cg.x * totalMass * GRAVITY;
+        pitchTorque += cg.z * totalMass * GRAVITY;
+
+        // Wind pressure on the sails heels her to leeward
+        if (environment.wind && environment.sailFraction > 0 && !state.capsized) {
+            const sideWind = environment.wind.x * cosYaw - environment.wind.z * sinYaw;
+            const sailForce = hull.sailHeelCoefficient * sideWind * Math.abs(sideWind) * environment.sailFraction;
+            rollTorque -= hull.sailHeelArm * Math.cos(state.roll) * sailForce * totalMass;
+        }
+
+        // Damp heave against the water's own rise and fall so she rides the swell
+        const waterHeight = waterHeightTotal / this.points.length;
+        const waterVelocity = state.previousWaterHeight === null ? 0 : (waterHeight - state.previousWaterHeight) / deltaTime;
+        state.previousWaterHeight = waterHeight;
+
+        state.verticalVelocity += ((force - totalMass * GRAVITY) / totalMass -
+            hull.heaveDamping * (state.verticalVelocity - waterVelocity)) * deltaTime;
+        state.height += state.verticalVelocity * deltaTime;
+
+        state.rollVelocity += (rollTorque / (hull.rollInertia * totalMass) - hull.rollDamping * state.rollVelocity) * deltaTime;
+        state.pitchVelocity += (pitchTorque / (hull.pitchInertia * totalMass) - hull.pitchDamping * state.pitchVelocity) * deltaTime;
+        state.roll += state.rollVelocity * deltaTime;
+        state.pitch += state.pitchVelocity * deltaTime;
+        state.roll = Math.atan2(Math.sin(state.roll), Math.cos(state.roll));
+        state.pitch = Math.max(-1.2, Math.min(1.2, state.pitch));
+        state.submergedFraction = submergedTotal / this.points.length;
+
+        if (slamStrength > hull.slamThreshold && state.time - state.lastSlamTime > 1.0) {
+            state.lastSlamTime = state.time;
+            ship.dispatchEvent({ type: 'slam', strength: slamStrength });
+        }
+
+        this.updateWater(ship, greenWater, deltaTime);
+        this.updateOutcome(ship, waterHeight, deltaTime);
+        return state;
+    }
+
+    // Green water over the deck and flooding fill the hull, the pumps clear it
+    updateWater(ship, greenWater, deltaTime) {
+        const hull = this.hull;
+        const state = this.state;
+
+        state.waterMass += greenWater * hull.deckInflowRate * deltaTime;
+        if (state.capsized && state.capsizedTime > hull.capsizeFloodTime) {
+            state.waterMass += hull.floodRate * deltaTime;
+        }
+        if (state.sinking) {
+            state.waterMass += hull.floodRate * deltaTime;
+        } else {
+            state.waterMass = Math.max(0, state.waterMass - hull.pumpRate * deltaTime);
+        }
+        // A hull can only fill up so far
+        state.waterMass = Math.min(state.waterMass, this.getReserveWater() * 2);
+
+        if (!state.swamped && state.waterMass > this.getReserveWater()) {
+            state.swamped = true;
+            ship.dispatchEvent({ type: 'swamped', water: state.waterMass });
+            this.startSinking(ship, 'swamped');
+        }
+    }
+
+    // Capsize, recovery and sinking outcomes
+    updateOutcome(ship, waterHeight, deltaTime) {
+        const hull = this.hull;
+        const state = this.state;
+        const heel = Math.abs(state.roll);
+
+        if (!state.capsized && heel > hull.capsizeAngle) {
+            state.capsized = true;
+            state.capsizedTime = 0;
+            ship.dispatchEvent({ type: 'capsize', roll: state.roll });
+        } else if (state.capsized) {
+            state.capsizedTime += deltaTime;
+            if (heel < hull.recoverAngle && !state.sinking) {
+                state.capsized = false;
+                ship.dispatchEvent({ type: 'recover', roll: state.roll });
+            } else if (state.capsizedTime > hull.capsizeFloodTime) {
+                this.startSinking(ship, 'capsize');
+            }
+        }
+
+        if (state.sinking && !state.sunk && state.height < waterHeight - hull.sinkDepth) {
+            state.sunk = true;
+            ship.dispatchEvent({ type: 'sunk' });
+        }
+    }
+
+    // Begin foundering - also used by the damage model when the hull is holed beyond saving
+    startSinking(ship, cause) {
+        if (this.state.sinking) {
+            return;
+        }
+        this.state.sinking = true;
+        ship.dispatchEvent({ type: 'sinking', cause });
+    }
+}
@@ -0,0 +1,141 @@
+// hullDamage.js - Hull integrity, leaks and repair
+// Storms, slamming, collisions and groundings wear the hull down. A damaged hull leaks
+// water into the buoyancy solver, so she rides deeper and sails slower; at zero
+// integrity she founders. Repairs happen slowly at sea and quickly in port.
+// Events on the ship:
+//   'damage'  { amount, source, integrity } - hull took damage
+//   'repaired' {}                           - back to full integrity
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { findPort } from './ports.js';
+
+// Default tuning - override per ship through the HullDamage constructor
+export const DEFAULT_HULL_DAMAGE = {
+    maxIntegrity: 100,
+    maxLeakRate: 0.12, // Water mass per second at zero integrity - the pumps clear 0.03
+    repairRate: 0.5, // Integrity per second while patching up at sea
+    repairDelay: 10, // Seconds without damage before repairs at sea begin
+    portRepairRate: 10, // Integrity per second in port
+    portPumpRate: 0.3, // Extra water mass per second pumped out in port
+    portMaxSpeed: 2.0, // Must be nearly stopped to repair in port
+    stormThreshold: 0.4, // Storm intensity the hull shrugs off
+    stormWear: 2.0, // Integrity per second at full storm intensity
+    slamDamage: 0.8, // Per unit of slam strength
+    collisionDamage: 6.0, // Per unit of closing speed
+    groundingDamage: 8.0, // Per unit of speed when striking bottom
+    grindingDamage: 3.0, // Per second per unit of speed while aground
+    waterSpeedPenalty: 0.6 // Speed lost with the hull full to its reserve
+};
+
+const CHARRED_COLOR = new THREE.Color(0x2A1A10);
+
+export class HullDamage {
+    constructor(options = {}) {
+        this.config = { ...DEFAULT_HULL_DAMAGE, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.integrity = this.config.maxIntegrity;
+        this.timeSinceDamage = Infinity;
+        this.port = null; // Harbour the ship is currently in
+    }
+
+    // Listen for the ship's slam, collision and grounding events
+    attach(ship) {
+        ship.addEventListener('slam', (e) => {
+            this.applyDamage(ship, e.strength * this.config.slamDamage, 'slam');
+        });
+        ship.addEventListener('collision', (e) => {
+            this.applyDamage(ship, e.collision.closingSpeed * this.config.collisionDamage, 'collision');
+        });
+        ship.addEventListener('aground', (e) => {
+            this.applyDamage(ship, e.speed * this.config.groundingDamage, 'grounding');
+        });
+    }
+
+    applyDamage(ship, amount, source) {
+        if (amount <= 0 || ship.buoyancy.state.sinking) {
+            return;
+        }
+        this.integrity = Math.max(0, this.integrity - amount);
+        this.timeSinceDamage = 0;
+        ship.dispatchEvent({ type: 'damage', amount, source, integrity: this.integrity });
+
+        // Holed beyond saving - the buoyancy solver takes her down
+        if (this.integrity <= 0) {
+            ship.buoyancy.startSinking(ship, 'damage');
+        }
+    }
+
+    // 0 for a sound hull, 1 for a wreck
+    getDamageFraction() {
+        return 1 - this.integrity / this.config.maxIntegrity;
+    }
+
+    // Water mass per second coming in through damage
+    getLeakRate() {
+        return this.getDamageFraction() * this.config.maxLeakRate;
+    }
+
+    // Multiplier on sail speed from water weighing the hull down
+    getSpeedFactor(buoyancy) {
+        const waterFraction = Math.min(1, buoyancy.state.waterMass / buoyancy.getReserveWater());
+        return 1 - waterFraction * this.config.waterSpeedPenalty;
+    }
+
+    update(ship, deltaTime) {
+        const config = this.config;
+        const buoyancy = ship.buoyancy;
+        this.timeSinceDamage += deltaTime;
+        if (buoyancy.state.sinking) {
+            return;
+        }
+
+        // Storm seas work the hull's seams
+        const stormIntensity = ship.weather ? ship.weather.intensity : 0;
+        if (stormIntensity > config.stormThreshold) {
+            this.applyDamage(ship, (stormIntensity - config.stormThreshold) * config.stormWear * deltaTime, 'storm');
+        }
+
+        // Grinding along the bottom
+        const speed = Math.sqrt(ship.velocity.x * ship.velocity.x + ship.velocity.z * ship.velocity.z);
+        if (ship.grounding && ship.grounding.grounded && speed > 0.2) {
+            this.applyDamage(ship, speed * config.grindingDamage * deltaTime, 'grounding');
+        }
+
+        // Leaks fill the hull
+        buoyancy.addWater(this.getLeakRate() * deltaTime);
+
+        // Repairs - quick in port, slow at sea once the damage stops
+        this.port = findPort(ship.position.x, ship.position.z);
+        let repairRate = 0;
+        if (this.port && speed < config.portMaxSpeed) {
+            repairRate = config.portRepairRate;
+            buoyancy.addWater(-config.portPumpRate * deltaTime);
+        } else if (this.timeSinceDamage > config.repairDelay) {
+            repairRate = config.repairRate;
+        }
+        if (repairRate > 0 && this.integrity < config.maxIntegrity) {
+            this.integrity = Math.min(config.maxIntegrity, this.integrity + repairRate * deltaTime);
+            if (this.integrity === config.maxIntegrity) {
+                ship.dispatchEvent({ type: 'repaired' });
+            }
+        }
+    }
+}
+
+// Darken a ship model's materials toward charred timber as it takes damage
+// (materials must already be per-instance clones)
+export function applyHullDamageLook(shipModel, damageFraction) {
+    if (!shipModel) {
+        return;
+    }
+    shipModel.traverse((child) => {
+        if (child.isMesh && child.material && child.material.color) {
+            if (!child.userData.baseColor) {
+                child.userData.baseColor = child.material.color.clone();
+            }
+            child.material.color.copy(child.userData.baseColor).lerp(CHARRED_COLOR, damageFraction * 0.6);
+        }
+    });
+}
@@ -0,0 +1,368 @@
+// inputActions.js - Named actions bound to physical keys
+// Game code asks about actions ("raiseSail", "toggleSpectator") rather than keys, so
+// players can rebind controls. Bindings use KeyboardEvent.code, the physical key, so
+// they work the same on any keyboard layout. Each action belongs to a context: global
+// actions work everywhere, ship and spectator actions only while that pawn is in
+// control. Two actions conflict when they share a key and can be active at once.
+// Bindings are saved to localStorage. Other devices hold actions too: each action lists
+// its default gamepad buttons, and gamepadInput.js and touchControls.js report which
+// actions they hold, plus analog axes such as a proportional helm, every frame.
+
+const STORAGE_KEY = 'inputBindings';
+
+// Every action, its label for the settings menu, context and default keys
+export const INPUT_ACTIONS = [
+    { id: 'raiseSail', label: 'Raise sail', context: 'ship', keys: ['KeyW'], pad: ['RightTrigger'] },
+    { id: 'lowerSail', label: 'Lower sail / back the sails', context: 'ship', keys: ['KeyS'], pad: ['LeftTrigger'] },
+    { id: 'turnLeft', label: 'Steer left', context: 'ship', keys: ['KeyA'], pad: ['DPadLeft'] }, // Left stick steers proportionally
+    { id: 'turnRight', label: 'Steer right', context: 'ship', keys: ['KeyD'], pad: ['DPadRight'] },
+    { id: 'firePort', label: 'Fire port broadside', context: 'ship', keys: ['KeyQ'], pad: ['LeftBumper'] },
+    { id: 'fireStarboard', label: 'Fire starboard broadside', context: 'ship', keys: ['KeyE'], pad: ['RightBumper'] },
+    { id: 'toggleAnchor', label: 'Drop/raise anchor', context: 'ship', keys: ['KeyX'], pad: ['Y'] },
+    { id: 'surge', label: 'Surge', context: 'ship', keys: ['Space'], pad: ['A'] },
+    { id: 'cycleCamera', label: 'Change camera', context: 'ship', keys: ['KeyC'], pad: ['RightStick'] },
+    { id: 'spectatorForward', label: 'Spectator forward', context: 'spectator', keys: ['KeyW'], pad: ['LeftStickUp'] },
+    { id: 'spectatorBackward', label: 'Spectator back', context: 'spectator', keys: ['KeyS'], pad: ['LeftStickDown'] },
+    { id: 'spectatorLeft', label: 'Spectator left', context: 'spectator', keys: ['KeyA'], pad: ['LeftStickLeft'] },
+    { id: 'spectatorRight', label: 'Spectator right', context: 'spectator', keys: ['KeyD'], pad: ['LeftStickRight'] },
+    { id: 'spectatorUp', label: 'Spectator up', context: 'spectator', keys: ['Space'], pad: ['RightTrigger'] },
+    { id: 'spectatorDown', label: 'Spectator down', context: 'spectator', keys: ['ShiftLeft', 'ShiftRight'], pad: ['LeftTrigger'] },
+    { id: 'spectatorNextTarget', label: 'Spectator follow next ship', context: 'spectator', keys: ['KeyE'], pad: ['RightBumper'] },
+    { id: 'spectatorPrevTarget', label: 'Spectator follow previous ship', context: 'spectator', keys: ['KeyQ'], pad: ['LeftBumper'] },
+    { id: 'spectatorFreeCam', label: 'Spectator free camera', context: 'spectator', keys: ['KeyF'], pad: ['Y'] },
+    { id: 'pause', label: 'Pause / network hub', context: 'global', keys: ['Escape'], pad: ['Start'] },
+    { id: 'toggleInstructions', label: 'Show/hide instructions', context: 'global', keys: ['F1'], pad: [] },
+    { id: 'toggleSettings', label: 'Settings', context: 'global', keys: ['F2'], pad: [] },
+    { id: 'toggleSpectator', label: 'Spectator mode', context: 'global', keys: ['F8'], pad: ['Back'] },
+    { id: 'togglePhotoMode', label: 'Photo mode', context: 'global', keys: ['KeyP'], pad: ['DPadUp'] },
+    { id: 'capturePhoto', label: 'Capture photo (in photo mode)', context: 'global', keys: ['F9'], pad: ['DPadDown'] }
+];
+
+// Readable name for a key code - "KeyW" -> "W", "ShiftLeft" -> "Left Shift"
+export function formatKeyCode(code) {
+    if (code.startsWith('Key')) {
+        return code.slice(3);
+    }
+    if (code.startsWith('Digit')) {
+        return code.slice(5);
+    }
+    if (code.startsWith('Arrow')) {
+        return `${code.slice(5)} Arrow`;
+    }
+    const sided = code.match(/^(Shift|Control|Alt|Meta)(Left|Right)$/);
+    if (sided) {
+        return `${sided[2]} ${sided[1] === 'Control' ? 'Ctrl' : sided[1]}`;
+    }
+    if (code.startsWith('Numpad')) {
+        return `Num ${code.slice(6)}`;
+    }
+    return code;
+}
+
+// Typing into a text box shouldn't steer the ship
+function isTextEntry(target) {
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
+}
+
+export class InputManager {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.actions = new Map(INPUT_ACTIONS.map(action => [action.id, action]));
+        this.bindings = new Map(); // action id -> [key codes]
+        this.context = 'ship'; // Pawn in control - 'ship' or 'spectator'
+        this.pressedKeys = new Set();
+        this.sources = new Map(); // Non-keyboard device -> { actions: Set of held action ids, axes: { name: -1..1 } }
+        this.pressListeners = new Map(); // action id -> Set of callbacks
+        this.releaseListeners = new Map();
+        this.captureCallback = null; // Set while the settings menu waits for a key to bind
+        this.target = null;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        this.loadBindings();
+    }
+
+    // Start listening for keys (capture phase, so actions run before anything else sees them)
+    attach(target = window) {
+        this.detach();
+        this.target = target;
+        target.addEventListener('keydown', this.handleKeyDown, true);
+        target.addEventListener('keyup', this.handleKeyUp, true);
+        target.addEventListener('blur', this.handleBlur);
+    }
+
+    detach() {
+        if (!this.target) {
+            return;
+        }
+        this.target.removeEventListener('keydown', this.handleKeyDown, true);
+        this.target.removeEventListener('keyup', this.handleKeyUp, true);
+        this.target.removeEventListener('blur', this.handleBlur);
+        this.target = null;
+    }
+
+    // Switch which pawn's actions are live - held actions of the old pawn are released
+    setContext(context) {
+        if (context === this.context) {
+            return;
+        }
+        const held = this.getActiveActions();
+        this.context = context;
+        for (const actionId of held) {
+            if (!this.isActionLive(actionId)) {
+                this.emit(this.releaseListeners, actionId);
+            }
+        }
+    }
+
+    isActionLive(actionId) {
+        const action = this.actions.get(actionId);
+        return !!action && (action.context === 'global' || action.context === this.context);
+    }
+
+    // Whether an action's key is held down right now
+    isActive(actionId) {
+        if (!this.isActionLive(actionId)) {
+            return false;
+        }
+        if (this.getBinding(actionId).some(code => this.pressedKeys.has(code))) {
+            return true;
+        }
+        for (const source of this.sources.values()) {
+            if (source.actions.has(actionId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    getActiveActions() {
+        return [...this.actions.keys()].filter(actionId => this.isActive(actionId));
+    }
+
+    // Callback when an action starts - returns an unsubscribe function
+    onPress(actionId, callback) {
+        return this.addListener(this.pressListeners, actionId, callback);
+    }
+
+    // Callback when an action's key is let go - returns an unsubscribe function
+    onRelease(actionId, callback) {
+        return this.addListener(this.releaseListeners, actionId, callback);
+    }
+
+    addListener(listeners, actionId, callback) {
+        if (!listeners.has(actionId)) {
+            listeners.set(actionId, new Set());
+        }
+        listeners.get(actionId).add(callback);
+        return () => listeners.get(actionId).delete(callback);
+    }
+
+    emit(listeners, actionId) {
+        const callbacks = listeners.get(actionId);
+        if (callbacks) {
+            for (const callback of callbacks) {
+                callback(actionId);
+            }
+        }
+    }
+
+    // Live actions a key triggers
+    getActionsForKey(code) {
+        const actionIds = [];
+        for (const [actionId, codes] of this.bindings) {
+            if (codes.includes(code) && this.isActionLive(actionId)) {
+                actionIds.push(actionId);
+            }
+        }
+        return actionIds;
+    }
+
+    handleKeyDown(event) {
+        // Rebinding - the next key pressed is the new binding (Escape cancels)
+        if (this.captureCallback) {
+            event.preventDefault();
+            event.stopPropagation();
+            const callback = this.captureCallback;
+            this.captureCallback = null;
+            callback(event.code === 'Escape' ? null : event.code);
+            return;
+        }
+        if (isTextEntry(event.target)) {
+            return;
+        }
+
+        const actionIds = this.getActionsForKey(event.code);
+        if (actionIds.length > 0) {
+            event.preventDefault(); // Keep Space from scrolling and F1 from opening browser help
+        }
+        if (event.repeat || this.pressedKeys.has(event.code)) {
+            return;
+        }
+        // Actions already held by another key (Left and Right Shift) don't start again
+        const startingActions = actionIds.filter(actionId => !this.isActive(actionId));
+        this.pressedKeys.add(event.code);
+        for (const actionId of startingActions) {
+            this.emit(this.pressListeners, actionId);
+        }
+    }
+
+    handleKeyUp(event) {
+        if (!this.pressedKeys.has(event.code)) {
+            return;
+        }
+        const actionIds = this.getActionsForKey(event.code);
+        this.pressedKeys.delete(event.code);
+        for (const actionId of actionIds) {
+            if (!this.isActive(actionId)) {
+                this.emit(this.releaseListeners, actionId);
+            }
+        }
+    }
+
+    // What a device ('gamepad', 'touch') holds now - its actions start and stop here, the
+    // same as they do for keys
+    //   actionIds - Set of held action ids
+    //   axes - analog values by name: steer, lookX, lookY
+    setSourceState(source, actionIds, axes = {}) {
+        const held = new Set(this.getActiveActions());
+        this.sources.set(source, { actions: actionIds, axes });
+        const now = this.getActiveActions();
+        for (const actionId of held) {
+            if (!now.includes(actionId)) {
+                this.emit(this.releaseListeners, actionId);
+            }
+        }
+        for (const actionId of now) {
+            if (!held.has(actionId)) {
+                this.emit(this.pressListeners, actionId);
+            }
+        }
+    }
+
+    // Analog axis summed over every device, -1..1
+    getAxis(name) {
+        let value = 0;
+        for (const source of this.sources.values()) {
+            value += source.axes[name] || 0;
+        }
+        return Math.max(-1, Math.min(1, value));
+    }
+
+    // Window lost focus - keyups will never arrive, so let go of everything
+    handleBlur() {
+        const held = this.getActiveActions();
+        this.pressedKeys.clear();
+        for (const actionId of held) {
+            if (!this.isActive(actionId)) {
+                this.emit(this.releaseListeners, actionId);
+            }
+        }
+    }
+
+    // Wait for the next key press and pass its code to the callback (null if cancelled)
+    captureNextKey(callback) {
+        this.captureCallback = callback;
+    }
+
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    getBinding(actionId) {
+        return this.bindings.get(actionId) || [];
+    }
+
+    getPadBinding(actionId) {
+        const action = this.actions.get(actionId);
+        return action && action.pad ? action.pad : [];
+    }
+
+    getBindingLabel(actionId) {
+        const codes = this.getBinding(actionId);
+        return codes.length > 0 ? codes.map(formatKeyCode).join(' / ') : 'Unbound';
+    }
+
+    // Whether two actions can be live at the same time
+    contextsOverlap(actionA, actionB) {
+        return actionA.context === 'global' || actionB.context === 'global' || actionA.context === actionB.context;
+    }
+
+    // Actions that would clash with binding a key to an action
+    findConflicts(actionId, code) {
+        const action = this.actions.get(actionId);
+        const conflicts = [];
+        for (const [otherId, codes] of this.bindings) {
+            if (otherId !== actionId && codes.includes(code) && this.contextsOverlap(action, this.actions.get(otherId))) {
+                conflicts.push(otherId);
+            }
+        }
+        return conflicts;
+    }
+
+    // Every clash in the current bindings - [{ code, actions }]
+    getAllConflicts() {
+        const conflicts = [];
+        for (const [actionId, codes] of this.bindings) {
+            for (const code of codes) {
+                const others = this.findConflicts(actionId, code).filter(otherId => otherId > actionId);
+                if (others.length > 0) {
+                    conflicts.push({ code, actions: [actionId, ...others] });
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    // Bind an action to a single key, taking the key away from any action it clashed with
+    // Returns the ids of the actions that lost the key
+    rebind(actionId, code) {
+        if (!this.actions.has(actionId)) {
+            console.warn(`[InputManager] Unknown action "${actionId}"`);
+            return [];
+        }
+        const conflicts = this.findConflicts(actionId, code);
+        for (const otherId of conflicts) {
+            this.bindings.set(otherId, this.getBinding(otherId).filter(other => other !== code));
+        }
+        this.bindings.set(actionId, [code]);
+        this.pressedKeys.clear(); // Don't leave an action held under its old key
+        this.saveBindings();
+        return conflicts;
+    }
+
+    resetBindings() {
+        this.bindings = new Map(INPUT_ACTIONS.map(action => [action.id, [...action.keys]]));
+        this.pressedKeys.clear();
+        this.saveBindings();
+    }
+
+    // Saved bindings over the defaults - unknown actions are dropped, new ones get defaults
+    loadBindings() {
+        this.bindings = new Map(INPUT_ACTIONS.map(action => [action.id, [...action.keys]]));
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(STORAGE_KEY)) : null;
+        } catch (error) {
+            console.warn('[InputManager] Ignoring unreadable saved bindings', error);
+        }
+        if (!saved || typeof saved !== 'object') {
+            return;
+        }
+        for (const [actionId, codes] of Object.entries(saved)) {
+            if (this.actions.has(actionId) && Array.isArray(codes) && codes.every(code => typeof code === 'string')) {
+                this.bindings.set(actionId, codes);
+            }
+        }
+    }
+
+    saveBindings() {
+        if (this.storage) {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(this.bindings)));
+        }
+    }
+}
+
+// Shared by game.js and every pawn
+export const inputManager = new InputManager();
@@ -26,6 +26,7 @@ const Network = {
   lobbyFull: false, // Track if lobby is complete
   retryCount: 0, // Track retry attempts
   maxRetries: 5, // Maximum retry attempts before giving up
+  worldRules: null, // Rules the whole lobby shares (world edge mode) - ours as host, the host's as a client
   
   // Callback functions for UI integration
   callbacks: {
@@ -148,7 +149,8 @@ const Network = {
                     this.lobbyPeerConnections[peerId].send({ 
                       type: 'host_ready', 
                       hostId: this.myPeerId,
-                      allPlayers: this.lobbyConnectedPeers 
+                      allPlayers: this.lobbyConnectedPeers,
+                      worldRules: this.worldRules
                     });
                     if (this.callbacks.logChainEvent) {
                       this.callbacks.logChainEvent(`[Host] Sent host_ready to client: ${peerId}`);
@@ -527,6 +529,12 @@ const Network = {
         this.lobbyPeers = data.allPlayers.filter(peer => peer !== this.myPeerId); // All other players (including host)
         this.paired = true;
         this.baseConn = this.hostConn; // Use host connection as base connection for compatibility
+        if (data.worldRules) {
+          this.worldRules = data.worldRules; // Sail by the host's rules
+          if (this.callbacks.handleWorldRules) {
+            this.callbacks.handleWorldRules(data.worldRules);
+          }
+        }
         if (this.callbacks.updateConnectionStatus) {
           this.callbacks.updateConnectionStatus(`Connected to host in ${data.allPlayers.length}-player lobby!`);
         }
@@ -620,6 +628,54 @@ const Network = {
       }
     }
     
+    if (data.type === 'ship_collision') {
+      // Collisions are decided by the host, clients just apply them
+      if (!this.isBase && this.callbacks.handleShipCollision) {
+        this.callbacks.handleShipCollision(data.collision);
+      }
+    }
+
+    if (data.type === 'cannon_fire') {
+      if (data.peerId !== this.myPeerId && this.callbacks.handleCannonFire) {
+        // The host checks each volley before passing it on to the other clients
+        const accepted = this.callbacks.handleCannonFire(data.peerId, data.volley);
+        if (this.isBase && accepted) {
+          this.relayCannonFire(data, conn ? conn.peer : null);
+        }
+      }
+    }
+
+    if (data.type === 'player_profile') {
+      // Ship colors, flag and name chosen on the customization screen
+      if (data.peerId !== this.myPeerId) {
+        if (this.callbacks.handlePlayerProfile) {
+          this.callbacks.handlePlayerProfile(data.peerId, data.profile);
+        }
+        
+        // Relay to other peers if we're the host
+        if (this.isBase) {
+          this.relayPlayerProfile(data, conn ? conn.peer : null);
+        }
+      }
+    }
+
+    if (data.type === 'cannon_hit') {
+      // Hits are decided by the host, clients just apply them
+      if (!this.isBase && this.callbacks.handleCannonHit) {
+        this.callbacks.handleCannonHit(data.hit);
+      }
+    }
+
+    if (data.type === 'world_rules') {
+      // The host changed the lobby's rules mid-game
+      if (!this.isBase) {
+        this.worldRules = data.rules;
+        if (this.callbacks.handleWorldRules) {
+          this.callbacks.handleWorldRules(data.rules);
+        }
+      }
+    }
+
     // Note: host_ready is handled in joinChain() baseConn.on('data') callback
     // Don't duplicate that logic here to avoid conflicts
   },
@@ -1063,6 +1119,182 @@ const Network = {
     return result;
   },
 
+  // --- SHIP COLLISIONS ---
+  
+  // Send a host-resolved collision to every client so all screens show the same ramming
+  broadcastShipCollision(collision) {
+    if (!this.isBase || !this.lobbyPeerConnections) return;
+    
+    const collisionMessage = {
+      type: 'ship_collision',
+      peerId: this.myPeerId,
+      collision: collision,
+      timestamp: Date.now()
+    };
+    
+    for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+      if (conn && conn.open) {
+        try {
+          conn.send(collisionMessage);
+        } catch (error) {
+          console.warn(`[Network] Failed to send ship collision to ${peerId}:`, error);
+        }
+      }
+    }
+  },
+
+  // --- CANNON FIRE ---
+
+  // Send a broadside volley - the host sends to everyone, a client sends to the host for checking
+  broadcastCannonFire(volley) {
+    if (!this.paired && !this.isBase) return;
+
+    const fireMessage = {
+      type: 'cannon_fire',
+      peerId: this.myPeerId,
+      volley: volley,
+      timestamp: Date.now()
+    };
+
+    if (this.isBase && this.lobbyPeerConnections) {
+      for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+        if (conn && conn.open) {
+          try {
+            conn.send(fireMessage);
+          } catch (error) {
+            console.warn(`[Network] Failed to send cannon fire to ${peerId}:`, error);
+          }
+        }
+      }
+    }
+
+    if (!this.isBase) {
+      const hostConnection = this.hostConn || this.baseConn;
+      if (hostConnection && hostConnection.open) {
+        try {
+          hostConnection.send(fireMessage);
+        } catch (error) {
+          console.warn(`[Network] Failed to send cannon fire to host:`, error);
+        }
+      }
+    }
+  },
+
+  // Pass an accepted volley on to every client except the one that fired it (host only)
+  relayCannonFire(data, fromPeer) {
+    if (!this.isBase || !this.lobbyPeerConnections) return;
+
+    for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+      if (peerId !== fromPeer && conn && conn.open) {
+        try {
+          conn.send(data);
+        } catch (error) {
+          console.warn(`[Network] Failed to relay cannon fire to ${peerId}:`, error);
+        }
+      }
+    }
+  },
+
+  // Send a host-confirmed cannonball hit to every client
+  broadcastCannonHit(hit) {
+    if (!this.isBase || !this.lobbyPeerConnections) return;
+
+    const hitMessage = {
+      type: 'cannon_hit',
+      peerId: this.myPeerId,
+      hit: hit,
+      timestamp: Date.now()
+    };
+
+    for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+      if (conn && conn.open) {
+        try {
+          conn.send(hitMessage);
+        } catch (error) {
+          console.warn(`[Network] Failed to send cannon hit to ${peerId}:`, error);
+        }
+      }
+    }
+  },
+
+  // --- PLAYER PROFILES ---
+
+  // Send our ship customization to every peer (clients go through the host)
+  broadcastPlayerProfile(profile) {
+    if (!this.paired && !this.isBase) return;
+
+    const profileMessage = {
+      type: 'player_profile',
+      peerId: this.myPeerId,
+      profile: profile,
+      timestamp: Date.now()
+    };
+
+    if (this.isBase && this.lobbyPeerConnections) {
+      for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+        if (conn && conn.open) {
+          try {
+            conn.send(profileMessage);
+          } catch (error) {
+            console.warn(`[Network] Failed to send player profile to ${peerId}:`, error);
+          }
+        }
+      }
+    }
+
+    if (!this.isBase) {
+      const hostConnection = this.hostConn || this.baseConn;
+      if (hostConnection && hostConnection.open) {
+        try {
+          hostConnection.send(profileMessage);
+        } catch (error) {
+          console.warn(`[Network] Failed to send player profile to host:`, error);
+        }
+      }
+    }
+  },
+
+  // Pass a client's profile on to every other client (host only)
+  relayPlayerProfile(data, fromPeer) {
+    if (!this.isBase || !this.lobbyPeerConnections) return;
+
+    for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+      if (peerId !== fromPeer && conn && conn.open) {
+        try {
+          conn.send(data);
+        } catch (error) {
+          console.warn(`[Network] Failed to relay player profile to ${peerId}:`, error);
+        }
+      }
+    }
+  },
+
+  // --- WORLD RULES ---
+
+  // Set the rules every ship in the lobby sails by - as host they go out with host_ready
+  // and to every connected client now
+  setWorldRules(rules) {
+    this.worldRules = rules;
+    if (!this.isBase || !this.lobbyPeerConnections) return;
+
+    const rulesMessage = {
+      type: 'world_rules',
+      peerId: this.myPeerId,
+      rules: rules,
+      timestamp: Date.now()
+    };
+
+    for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+      if (conn && conn.open) {
+        try {
+          conn.send(rulesMessage);
+        } catch (error) {
+          console.warn(`[Network] Failed to send world rules to ${peerId}:`, error);
+        }
+      }
+    }
+  },
+
   // --- TERRAIN SYNCHRONIZATION ---
   
   // Send terrain changes to all connected peers
@@ -1,5 +1,15 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
-import { GLTFLoader } from 'https://cdn.skypack.dev/three@0.134.0/examples/jsm/loaders/GLTFLoader.js';
+import { oceanModel } from './oceanModel.js';
+import { assetManager } from './assetManager.js';
+import { extrapolateShipMotion } from './shipPhysics.js';
+import { DEFAULT_SHIP_BOUNDS, computeShipBounds } from './shipCollision.js';
+import { applyHullDamageLook } from './hullDamage.js';
+import { getShipClass } from './shipClasses.js';
+import { DEFAULT_PROFILE, sanitizeProfile, applyShipProfile, createNameplate } from './shipProfile.js';
+import { SailRig } from './sailRig.js';
+import { createAnchorRode, updateAnchorRode } from './shipAnchor.js';
+import { worldBounds } from './worldBounds.js';
+import { accessibility } from './accessibility.js';
 
 export class NetworkedPlayer {
     constructor(peerId, scene, isHost = false) {
@@ -11,41 +21,23 @@ export class NetworkedPlayer {
         
         // Create the player group that will hold the ship
         this.pawn = new THREE.Group();
-        this.pawn.position.set(0, 20, 0); // Start at water level
-        
-        // Load Ship1.glb for networked players - same model as local player
-        const loader = new GLTFLoader();
-        loader.load(
-            './Ship1.glb',
-            (gltf) => {
-                // Removed GLTF loading success logging for performance
-                const shipModel = gltf.scene;
-                
-                // Configure the ship
-                shipModel.scale.setScalar(1.0);
-                shipModel.position.y = 0;
-                
-                // Apply different colors based on role
-                this.applyShipStyling(shipModel, isHost);
-                
-                this.pawn.add(shipModel);
-                this.pawn.shipModel = shipModel; // Store reference
-                
-                // Initialize interpolation values to current state
-                this.initializeInterpolation();
-                
-                // Removed ship added logging for performance
-            },
-            (progress) => {
-                // Removed GLTF loading progress logging for performance
-            },
-            (error) => {
-                // Removed GLTF loading error logging for performance
-                
-                // Fallback: create a simple colored ship if GLTF fails
-                this.createFallbackShip(isHost);
-            }
-        );
+        this.pawn.position.set(0, oceanModel.baseHeight, 0); // Start at water level
+        this.floatHeight = 0.5; // Same hull float height as the local ship pawn
+        this.heave = 0; // Reported hull height relative to the water (low when flooded, deep when sinking)
+        this.targetHeave = 0;
+        this.hullState = { integrity: 1, water: 0, sinking: false }; // Reported hull health
+        this.damageLook = 0; // Damage fraction the materials currently show
+        this.modelLoadId = 0; // Bumped per load so a late model for an old class is discarded
+        this.profile = { ...DEFAULT_PROFILE }; // Colors, flag and name - replaced when the peer's profile arrives
+        this.nameplate = null;
+        this.sailRig = null; // Sail animation driven by the peer's reported trim
+        this.sailTrim = { canvas: 0, fill: 0, luff: 0 };
+        this.anchor = null; // Reported anchor position while the peer lies at anchor
+        this.anchorRode = createAnchorRode();
+        this.scene.add(this.anchorRode);
+        
+        // Default class until the peer's first state tells us which ship they sail
+        this.setShipClass(getShipClass().id);
         
         this.scene.add(this.pawn);
         
@@ -76,6 +68,11 @@ export class NetworkedPlayer {
             shipModelLerpSpeed: 10.0 // Fast lerp for ship model details
         };
         
+        // Last reported ship motion, used to dead-reckon between network updates
+        this.networkVelocity = new THREE.Vector3();
+        this.networkAngularVelocity = 0;
+        this.maxExtrapolationTime = 0.5; // Seconds - stop predicting if updates go quiet
+        
         // Network status
         this.lastUpdateTime = Date.now();
         this.isActive = true;
@@ -84,30 +81,75 @@ export class NetworkedPlayer {
         // Removed networked ship creation logging for performance
     }
     
-    // Apply visual styling based on player role
-    applyShipStyling(shipModel, isHost) {
-        const color = isHost ? new THREE.Color(0x00FF00) : new THREE.Color(0xFF0000); // Green for host, red for clients
-        const colorName = isHost ? 'GREEN (HOST)' : 'RED (CLIENT)';
-        
-        shipModel.traverse((child) => {
-            if (child.isMesh && child.material) {
-                // Clone material to avoid affecting other instances
-                child.material = child.material.clone();
-                
-                // Apply color tint
-                if (child.material.color) {
-                    child.material.color.lerp(color, 0.3); // 30% color tint
-                }
-                
-                // Add emissive glow for visibility
-                if (child.material.emissive) {
-                    child.material.emissive.copy(color);
-                    child.material.emissiveIntensity = 0.15;
-                }
+    // Switch to a ship class - loads its model and stats (class ids come from the peer's player state)
+    setShipClass(classId) {
+        const shipClass = getShipClass(classId); // Unknown ids fall back to the default class
+        this.requestedClassId = classId; // What the peer asked for, so a fallback isn't rebuilt on every state
+        this.shipClass = shipClass;
+        this.pawn.shipClass = shipClass;
+        this.pawn.hullBounds = { // Collision footprint, replaced once the model loads
+            ...DEFAULT_SHIP_BOUNDS,
+            halfWidth: DEFAULT_SHIP_BOUNDS.halfWidth * shipClass.scale,
+            halfLength: DEFAULT_SHIP_BOUNDS.halfLength * shipClass.scale,
+            top: DEFAULT_SHIP_BOUNDS.top * shipClass.scale
+        };
+        
+        if (this.pawn.shipModel) {
+            this.pawn.remove(this.pawn.shipModel);
+            this.pawn.shipModel = null;
+        }
+        this.sailRig = null;
+        this.damageLook = 0;
+        
+        const loadId = ++this.modelLoadId;
+        // Shared model, per-instance materials so the captain's colors don't leak onto other ships
+        assetManager.cloneModel(shipClass.model).then((shipModel) => {
+            if (loadId !== this.modelLoadId) {
+                return; // Class changed while loading
             }
+            
+            // Configure the ship
+            shipModel.scale.setScalar(shipClass.scale);
+            shipModel.position.y = 0;
+            
+            this.pawn.hullBounds = computeShipBounds(shipModel);
+            this.pawn.add(shipModel);
+            this.pawn.shipModel = shipModel; // Store reference
+            applyShipProfile(this.pawn, this.profile);
+            this.updateNameplate();
+            this.sailRig = new SailRig(this.pawn);
+            
+            // Initialize interpolation values to current state
+            this.initializeInterpolation();
+        }, (error) => {
+            if (loadId !== this.modelLoadId) {
+                return;
+            }
+            // Fallback: create a simple colored ship if GLTF fails
+            this.createFallbackShip();
         });
-        
-        // Removed ship styling logging for performance
+    }
+    
+    // Paint the ship with the peer's chosen colors, flag and name
+    setProfile(profile) {
+        this.profile = sanitizeProfile(profile);
+        if (this.pawn.shipModel) {
+            applyShipProfile(this.pawn, this.profile);
+            applyHullDamageLook(this.pawn.shipModel, this.damageLook);
+        }
+        this.updateNameplate();
+    }
+    
+    // Name floating above the masthead, in the palette's color for other captains
+    updateNameplate() {
+        if (this.nameplate) {
+            this.pawn.remove(this.nameplate);
+            this.nameplate.material.map.dispose();
+            this.nameplate.material.dispose();
+        }
+        this.nameplate = createNameplate(this.profile.name, accessibility.getShipColor('networked'));
+        this.nameplate.position.y = this.pawn.hullBounds.top + 2.0;
+        this.pawn.add(this.nameplate);
     }
     
     // Initialize interpolation values to match current state
@@ -130,20 +172,19 @@ export class NetworkedPlayer {
     }
     
     // Create fallback ship if GLTF loading fails
-    createFallbackShip(isHost) {
-        const color = isHost ? 0x00FF00 : 0xFF0000; // Green for host, red for clients
-        const emissive = isHost ? 0x004400 : 0x440000;
-        
+    createFallbackShip() {
         const fallbackGeometry = new THREE.BoxGeometry(3, 1, 6);
         const fallbackMaterial = new THREE.MeshLambertMaterial({ 
-            color: color,
-            emissive: emissive,
-            emissiveIntensity: 0.2
+            name: 'Boat Planks', // Recolored by the ship profile
+            color: this.profile.hullColor
         });
         const fallbackShip = new THREE.Mesh(fallbackGeometry, fallbackMaterial);
         fallbackShip.position.y = 0;
+        fallbackShip.scale.setScalar(this.shipClass.scale);
         this.pawn.add(fallbackShip);
         this.pawn.shipModel = fallbackShip;
+        applyShipProfile(this.pawn, this.profile);
+        this.updateNameplate();
         
         // Initialize interpolation values to current state
         this.initializeInterpolation();
@@ -162,6 +203,11 @@ export class NetworkedPlayer {
         this.lastUpdateTime = Date.now();
         this.isActive = true;
         
+        // Rebuild the ship if the peer sails a different class
+        if (state.shipClass && state.shipClass !== this.requestedClassId) {
+            this.setShipClass(state.shipClass);
+        }
+        
         // For the first update, snap immediately to avoid interpolating from spawn position
         if (!this.hasReceivedFirstUpdate) {
             this.hasReceivedFirstUpdate = true;
@@ -226,6 +272,31 @@ export class NetworkedPlayer {
             }
         }
         
+        // Track reported motion for extrapolation
+        if (state.velocity) {
+            this.networkVelocity.set(state.velocity.x, 0, state.velocity.z);
+        }
+        if (typeof state.angularVelocity === 'number') {
+            this.networkAngularVelocity = state.angularVelocity;
+        }
+        if (typeof state.heave === 'number') {
+            this.targetHeave = state.heave;
+        }
+        if (state.sails) {
+            this.sailTrim = state.sails;
+        }
+        if (state.anchor) {
+            this.anchor = state.anchor;
+        }
+        if (state.hull) {
+            this.hullState = state.hull;
+            const damageFraction = 1 - state.hull.integrity;
+            if (this.pawn.shipModel && Math.abs(damageFraction - this.damageLook) > 0.02) {
+                this.damageLook = damageFraction;
+                applyHullDamageLook(this.pawn.shipModel, damageFraction);
+            }
+        }
+        
         // Update surge state if available
         if (typeof state.surgeActive !== 'undefined' && this.pawn.setSurge) {
             this.pawn.setSurge(state.surgeActive);
@@ -233,7 +304,9 @@ export class NetworkedPlayer {
     }
     
     // Update the networked player (called each frame)
-    update(deltaTime, animationTime) {
+    //   focusPosition - where the local player is; in a wrapping world the ship is drawn
+    //                   on the same side of the seam
+    update(deltaTime, animationTime, focusPosition = null) {
         // Check for network timeout (if no updates received for too long)
         const timeSinceLastUpdate = Date.now() - this.lastUpdateTime;
         const NETWORK_TIMEOUT = 5000; // 5 seconds
@@ -246,6 +319,26 @@ export class NetworkedPlayer {
         
         // Smooth interpolation towards target values
         if (this.isActive) {
+            // Dead-reckon the target forward with the ship's last reported motion
+            if (timeSinceLastUpdate / 1000 < this.maxExtrapolationTime) {
+                extrapolateShipMotion(
+                    this.interpolation.targetPosition,
+                    this.interpolation.targetRotation,
+                    this.networkVelocity,
+                    this.networkAngularVelocity,
+                    deltaTime
+                );
+            }
+            
+            // Chase the target the short way round if the peer sailed across the seam
+            const interpolation = this.interpolation;
+            if (worldBounds.isWrapping()) {
+                interpolation.position.x = worldBounds.wrap(interpolation.position.x);
+                interpolation.position.z = worldBounds.wrap(interpolation.position.z);
+                interpolation.targetPosition.x = worldBounds.nearestImage(interpolation.targetPosition.x, interpolation.position.x);
+                interpolation.targetPosition.z = worldBounds.nearestImage(interpolation.targetPosition.z, interpolation.position.z);
+            }
+            
             // Interpolate main position and rotation
             this.interpolation.position.lerp(this.interpolation.targetPosition, this.interpolation.positionLerpSpeed * deltaTime);
             
@@ -255,6 +348,14 @@ export class NetworkedPlayer {
             // Apply interpolated values to the pawn
             this.pawn.position.copy(this.interpolation.position);
             this.pawn.rotation.copy(this.interpolation.rotation);
+            if (focusPosition) {
+                this.pawn.position.x = worldBounds.nearestImage(this.pawn.position.x, focusPosition.x);
+                this.pawn.position.z = worldBounds.nearestImage(this.pawn.position.z, focusPosition.z);
+            }
+            
+            // Float on our local ocean - the sender's wave phase differs from ours
+            this.heave += (this.targetHeave - this.heave) * Math.min(1, this.interpolation.positionLerpSpeed * deltaTime);
+            this.pawn.position.y = oceanModel.getHeight(this.pawn.position.x, this.pawn.position.z) + this.floatHeight + this.heave;
             
             // Interpolate ship model position and rotation if ship model exists
             if (this.pawn.shipModel) {
@@ -264,7 +365,20 @@ export class NetworkedPlayer {
                 this.pawn.shipModel.position.copy(this.interpolation.shipModelPosition);
                 this.pawn.shipModel.rotation.copy(this.interpolation.shipModelRotation);
             }
+            
+            // Show how much canvas the ship carries and how it is drawing
+            if (this.sailRig) {
+                this.sailRig.setTarget(this.sailTrim);
+                this.sailRig.update(deltaTime, animationTime);
+            }
         }
+        // Anchor drawn on the ship's side of the seam
+        const anchor = this.anchor && {
+            ...this.anchor,
+            x: worldBounds.nearestImage(this.anchor.x, this.pawn.position.x),
+            z: worldBounds.nearestImage(this.anchor.z, this.pawn.position.z)
+        };
+        updateAnchorRode(this.anchorRode, this.pawn.position, anchor);
     }
     
     // Helper function to interpolate Euler angles safely
@@ -294,6 +408,7 @@ export class NetworkedPlayer {
     destroy() {
         if (this.pawn && this.scene) {
             this.scene.remove(this.pawn);
+            this.scene.remove(this.anchorRode);
             // Removed networked ship removal logging for performance
         }
     }
@@ -304,11 +419,18 @@ export class NetworkedPlayer {
     }
 }
 
+// Whether a received profile would leave the stored one as it is
+function isSameProfile(current, profile) {
+    const sanitized = sanitizeProfile(profile);
+    return !!current && Object.keys(sanitized).every(key => sanitized[key] === current[key]);
+}
+
 // NetworkedPlayerManager - manages all remote player ships
 export class NetworkedPlayerManager {
     constructor(scene) {
         this.scene = scene;
         this.networkedPlayers = new Map(); // Map<peerId, NetworkedPlayer>
+        this.profiles = new Map(); // Map<peerId, profile> - kept so ships created later still get their look
         this.isMultiplayerMode = false;
         this.localPeerId = null;
         
@@ -357,6 +479,9 @@ export class NetworkedPlayerManager {
         
         const networkedPlayer = new NetworkedPlayer(peerId, this.scene, isHost);
         this.networkedPlayers.set(peerId, networkedPlayer);
+        if (this.profiles.has(peerId)) {
+            networkedPlayer.setProfile(this.profiles.get(peerId));
+        }
         
         // Removed player addition logging for performance
     }
@@ -367,10 +492,28 @@ export class NetworkedPlayerManager {
         if (networkedPlayer) {
             networkedPlayer.destroy();
             this.networkedPlayers.delete(peerId);
+            this.profiles.delete(peerId);
             // Removed ship removal logging for performance
         }
     }
     
+    // A peer's customization - colors, flag and ship name
+    updateProfile(peerId, profile) {
+        const sanitized = sanitizeProfile(profile);
+        this.profiles.set(peerId, sanitized);
+        const networkedPlayer = this.networkedPlayers.get(peerId);
+        if (networkedPlayer) {
+            networkedPlayer.setProfile(sanitized);
+        }
+    }
+    
+    // Reletter every nameplate after a color palette change
+    refreshNameplates() {
+        for (const networkedPlayer of this.networkedPlayers.values()) {
+            networkedPlayer.updateNameplate();
+        }
+    }
+    
     // Update a player's state from network data
     updatePlayer(peerId, state) {
         // Only handle updates in multiplayer mode
@@ -378,6 +521,11 @@ export class NetworkedPlayerManager {
             return;
         }
         
+        // Profiles ride along now and then - only repaint when one actually changed
+        if (state.profile && !isSameProfile(this.profiles.get(peerId), state.profile)) {
+            this.updateProfile(peerId, state.profile);
+        }
+        
         const networkedPlayer = this.networkedPlayers.get(peerId);
         if (networkedPlayer) {
             networkedPlayer.updateFromNetwork(state);
@@ -396,14 +544,15 @@ export class NetworkedPlayerManager {
     }
     
     // Update all networked player ships (called each frame)
-    update(deltaTime, animationTime) {
+    //   focusPosition - the local player's position, see NetworkedPlayer.update
+    update(deltaTime, animationTime, focusPosition = null) {
         // Only update in multiplayer mode
         if (!this.shouldCreateNetworkedPlayers()) {
             return;
         }
         
         for (const [peerId, networkedPlayer] of this.networkedPlayers) {
-            networkedPlayer.update(deltaTime, animationTime);
+            networkedPlayer.update(deltaTime, animationTime, focusPosition);
         }
         
         // Clean up inactive players periodically
@@ -442,6 +591,28 @@ export class NetworkedPlayerManager {
         return positions;
     }
     
+    // Get active networked ships in the shape the host's collision detection expects
+    getCollisionShips() {
+        if (!this.shouldCreateNetworkedPlayers()) {
+            return [];
+        }
+        
+        const ships = [];
+        for (const [peerId, networkedPlayer] of this.networkedPlayers) {
+            if (networkedPlayer.isPlayerActive()) {
+                ships.push({
+                    id: peerId,
+                    position: networkedPlayer.pawn.position,
+                    heading: networkedPlayer.pawn.rotation.y,
+                    velocity: networkedPlayer.networkVelocity,
+                    mass: networkedPlayer.shipClass.mass,
+                    bounds: networkedPlayer.pawn.hullBounds
+                });
+            }
+        }
+        return ships;
+    }
+    
     // Get count of active networked players
     getActivePlayerCount() {
         if (!this.shouldCreateNetworkedPlayers()) {
@@ -0,0 +1,195 @@
+// oceanModel.js - Shared ocean surface model
+// Single source of truth for wave time and sea state; storms come from the WeatherSystem.
+// The global ocean mesh, local ship buoyancy and networked ships all sample this
+// model so hulls sit on exactly the water that is rendered.
+// The surface is a sum of directional Gerstner waves built from a sea-state spectrum.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { SEA_STATES, DEFAULT_SEA_STATE, generateGerstnerWaves } from './waveSpectrum.js';
+import { weatherSystem } from './weatherSystem.js';
+import { worldBounds } from './worldBounds.js';
+
+export class OceanModel {
+    constructor(seaStateName = DEFAULT_SEA_STATE, weather = null) {
+        this.baseHeight = 20.0; // Calm sea level (ocean mesh sits here)
+        this.time = Math.random() * 1000; // Wave time in seconds (advances by deltaTime * speed)
+
+        // Wave state - playback speed
+        this.waveState = {
+            speed: 1.0 // Wave playback rate, set by the sea state
+        };
+
+        // Weather system that raises waves inside storms
+        this.weather = weather;
+
+        // Sea state - current Gerstner components plus the set we are blending away from
+        this.seaStateName = null;
+        this.seaState = null;
+        this.waves = [];
+        this.previousWaves = null;
+        this.blend = 1.0; // 0 = previous sea state, 1 = current sea state
+        this.transitionDuration = 8.0; // Seconds to blend between sea states
+
+        // Distance the waves repeat over - follows the world bounds so a wrapping world has no seam
+        this.period = worldBounds.getPeriod();
+
+        // Fixed-point iterations used to find which rest point lands under (x, z)
+        this.inversionIterations = 3;
+
+        // Step used for finite-difference normals
+        this.sampleDistance = 0.5;
+
+        // Scratch displacement to avoid allocating in hot loops
+        this._displacement = { x: 0, y: 0, z: 0 };
+
+        this.setSeaState(seaStateName, true);
+    }
+
+    // Switch to a named sea-state preset, blending over transitionDuration unless immediate
+    setSeaState(name, immediate = false) {
+        const preset = SEA_STATES[name];
+        if (!preset) {
+            console.warn(`[OceanModel] Unknown sea state "${name}"`);
+            return false;
+        }
+        if (name === this.seaStateName) {
+            return true;
+        }
+
+        this.previousWaves = immediate ? null : this.waves;
+        this.blend = immediate ? 1.0 : 0.0;
+        this.waves = generateGerstnerWaves(preset, undefined, this.period);
+        this.seaStateName = name;
+        this.seaState = preset;
+        this.waveState.speed = preset.timeScale;
+        return true;
+    }
+
+    // Names of all available sea-state presets
+    getSeaStateNames() {
+        return Object.keys(SEA_STATES);
+    }
+
+    // Advance wave time and sea-state blending (call once per frame)
+    update(deltaTime) {
+        const state = this.waveState;
+
+        // World started or stopped wrapping - rebuild the waves to tile (or not)
+        const period = worldBounds.getPeriod();
+        if (period !== this.period) {
+            this.period = period;
+            this.waves = generateGerstnerWaves(this.seaState, undefined, period);
+            this.previousWaves = null;
+            this.blend = 1.0;
+        }
+
+        // Blend towards the newly selected sea state
+        if (this.previousWaves) {
+            this.blend = Math.min(1.0, this.blend + deltaTime / this.transitionDuration);
+            if (this.blend >= 1.0) {
+                this.previousWaves = null;
+            }
+        }
+
+        this.time += deltaTime * state.speed;
+    }
+
+    // Local amplitude multiplier - storms raise the waves inside their radius
+    getLocalWaveMultiplier(x, z) {
+        return this.weather ? this.weather.getWaveMultiplier(x, z) : 1.0;
+    }
+
+    // Storm multiplier for horizontal motion, capped so crests never loop over
+    getHorizontalMultiplier(multiplier) {
+        return Math.min(multiplier, 1.0 / Math.max(this.seaState.choppiness, 0.01));
+    }
+
+    // Add one set of Gerstner components evaluated at rest point (x0, z0)
+    accumulateWaves(waves, x0, z0, t, weight, out) {
+        for (const wave of waves) {
+            const theta = wave.k * (wave.dirX * x0 + wave.dirZ * z0) - wave.omega * t + wave.phase;
+            const amplitude = wave.amplitude * weight;
+            const horizontal = wave.steepness * amplitude * Math.cos(theta);
+            out.x += wave.dirX * horizontal;
+            out.z += wave.dirZ * horizontal;
+            out.y += amplitude * Math.sin(theta);
+        }
+    }
+
+    // Surface displacement of the water particle that rests at (x0, z0)
+    // Writes into out (x/z horizontal offset, y height above baseHeight) and returns it.
+    getDisplacement(x0, z0, t = this.time, out = { x: 0, y: 0, z: 0 }) {
+        out.x = 0;
+        out.y = 0;
+        out.z = 0;
+
+        if (this.previousWaves) {
+            this.accumulateWaves(this.previousWaves, x0, z0, t, 1.0 - this.blend, out);
+        }
+        this.accumulateWaves(this.waves, x0, z0, t, this.blend, out);
+
+        // Storms raise the waves
+        const multiplier = this.getLocalWaveMultiplier(x0, z0);
+        const horizontalMultiplier = this.getHorizontalMultiplier(multiplier);
+        out.x *= horizontalMultiplier;
+        out.z *= horizontalMultiplier;
+        out.y *= multiplier;
+        return out;
+    }
+
+    // Find the rest point whose displaced position lies over world (x, z)
+    findRestPoint(x, z, t) {
+        const d = this._displacement;
+        let x0 = x;
+        let z0 = z;
+        for (let i = 0; i < this.inversionIterations; i++) {
+            this.getDisplacement(x0, z0, t, d);
+            x0 = x - d.x;
+            z0 = z - d.z;
+        }
+        return { x: x0, z: z0 };
+    }
+
+    // World-space ocean surface height at (x, z) for wave time t
+    getHeight(x, z, t = this.time) {
+        const rest = this.findRestPoint(x, z, t);
+        return this.baseHeight + this.getDisplacement(rest.x, rest.z, t, this._displacement).y;
+    }
+
+    // Unit surface normal at (x, z) for wave time t
+    getNormal(x, z, t = this.time) {
+        const d = this.sampleDistance;
+        const dhdx = (this.getHeight(x + d, z, t) - this.getHeight(x - d, z, t)) / (2 * d);
+        const dhdz = (this.getHeight(x, z + d, t) - this.getHeight(x, z - d, t)) / (2 * d);
+        return new THREE.Vector3(-dhdx, 1, -dhdz).normalize();
+    }
+
+    // Orbital velocity of the water surface at (x, z) in world units per second
+    getVelocity(x, z, t = this.time) {
+        const rest = this.findRestPoint(x, z, t);
+        const velocity = new THREE.Vector3();
+        const sets = this.previousWaves ?
+            [[this.previousWaves, 1.0 - this.blend], [this.waves, this.blend]] :
+            [[this.waves, 1.0]];
+
+        for (const [waves, weight] of sets) {
+            for (const wave of waves) {
+                const theta = wave.k * (wave.dirX * rest.x + wave.dirZ * rest.z) - wave.omega * t + wave.phase;
+                const amplitude = wave.amplitude * weight;
+                const horizontal = wave.steepness * amplitude * wave.omega * Math.sin(theta);
+                velocity.x += wave.dirX * horizontal;
+                velocity.z += wave.dirZ * horizontal;
+                velocity.y -= amplitude * wave.omega * Math.cos(theta);
+            }
+        }
+
+        const multiplier = this.getLocalWaveMultiplier(rest.x, rest.z);
+        const horizontalMultiplier = this.getHorizontalMultiplier(multiplier);
+        velocity.x *= horizontalMultiplier;
+        velocity.z *= horizontalMultiplier;
+        velocity.y *= multiplier;
+        return velocity.multiplyScalar(this.waveState.speed);
+    }
+}
+
+// Shared instance used by game.js, shipPawn.js and networkedPlayer.js
+export const oceanModel = new OceanModel(DEFAULT_SEA_STATE, weatherSystem);
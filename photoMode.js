@@ -0,0 +1,216 @@
+// photoMode.js - Photo mode rendering and capture
+// While photo mode is on the game holds our ship, the ocean and the weather still and flies
+// the spectator camera (in multiplayer the peers and the host's combat keep running);
+// this module does the look. The scene is rendered into an offscreen target with a depth
+// texture, then a full-screen pass blurs it by distance from the focus plane (a
+// depth-of-field style bokeh), applies a color filter and a vignette. Captures run the
+// same passes at a multiple of the screen resolution and come back as a PNG blob.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+
+export const PHOTO_FILTERS = [
+    { id: 'none', label: 'None' },
+    { id: 'vivid', label: 'Vivid' },
+    { id: 'noir', label: 'Noir' },
+    { id: 'sepia', label: 'Sepia' },
+    { id: 'warm', label: 'Warm' },
+    { id: 'cool', label: 'Cool' }
+];
+
+export const DEFAULT_PHOTO_SETTINGS = {
+    fov: 60, // Vertical field of view in degrees
+    blur: 0, // Depth-of-field strength, 0 (everything sharp) to 1
+    focusDistance: 30, // Distance from the camera that stays sharp
+    filter: 'none',
+    vignette: 0.3, // Darkening toward the corners, 0..1
+    hideHud: true, // Hide the HUD while composing a shot
+    captureScale: 2 // Capture size as a multiple of the screen resolution
+};
+
+const photoVertexShader = `
+varying vec2 vUv;
+void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const photoFragmentShader = `
+#include <packing>
+uniform sampler2D tColor;
+uniform sampler2D tDepth;
+uniform float cameraNear;
+uniform float cameraFar;
+uniform float focusDistance;
+uniform float blur;
+uniform float aspect;
+uniform float vignette;
+uniform int filterMode;
+varying vec2 vUv;
+
+float viewDistance(vec2 uv) {
+    return -perspectiveDepthToViewZ(texture2D(tDepth, uv).x, cameraNear, cameraFar);
+}
+
+// How out of focus a point is, 0 (sharp) to blur
+float circleOfConfusion(float dist) {
+    return clamp(abs(dist - focusDistance) / max(dist, 0.001), 0.0, 1.0) * blur;
+}
+
+void main() {
+    vec3 color = texture2D(tColor, vUv).rgb;
+
+    // Bokeh - gather a golden-angle disc scaled by the circle of confusion. Samples that
+    // are sharper than this pixel count for less, so in-focus edges don't smear outward
+    float coc = circleOfConfusion(viewDistance(vUv));
+    if (coc > 0.002) {
+        vec3 sum = color;
+        float total = 1.0;
+        for (int i = 0; i < 32; i++) {
+            float f = float(i) + 0.5;
+            float radius = sqrt(f / 32.0) * coc * 0.015;
+            float angle = f * 2.39996323;
+            vec2 uv = vUv + vec2(cos(angle) / aspect, sin(angle)) * radius;
+            float weight = clamp(circleOfConfusion(viewDistance(uv)) / coc, 0.0, 1.0);
+            sum += texture2D(tColor, uv).rgb * weight;
+            total += weight;
+        }
+        color = sum / total;
+    }
+
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    if (filterMode == 1) {
+        color = mix(vec3(luma), color, 1.4);
+        color = (color - 0.5) * 1.1 + 0.5;
+    } else if (filterMode == 2) {
+        color = vec3((luma - 0.5) * 1.35 + 0.5);
+    } else if (filterMode == 3) {
+        color = vec3(
+            dot(color, vec3(0.393, 0.769, 0.189)),
+            dot(color, vec3(0.349, 0.686, 0.168)),
+            dot(color, vec3(0.272, 0.534, 0.131))
+        );
+    } else if (filterMode == 4) {
+        color *= vec3(1.08, 1.0, 0.86);
+    } else if (filterMode == 5) {
+        color *= vec3(0.88, 1.0, 1.12);
+    }
+
+    float edge = distance(vUv, vec2(0.5));
+    color *= 1.0 - vignette * smoothstep(0.3, 0.75, edge);
+    gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}
+`;
+
+// Offscreen target holding the scene color and depth
+function createSceneTarget(width, height) {
+    const target = new THREE.WebGLRenderTarget(width, height);
+    target.depthTexture = new THREE.DepthTexture(width, height);
+    return target;
+}
+
+export class PhotoMode {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_PHOTO_SETTINGS, ...settings };
+        this.active = false;
+        this.previewTarget = null; // Screen-sized scene target, created on first render
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                tColor: { value: null },
+                tDepth: { value: null },
+                cameraNear: { value: 1 },
+                cameraFar: { value: 1000 },
+                focusDistance: { value: this.settings.focusDistance },
+                blur: { value: 0 },
+                aspect: { value: 1 },
+                vignette: { value: 0 },
+                filterMode: { value: 0 }
+            },
+            vertexShader: photoVertexShader,
+            fragmentShader: photoFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material));
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this._size = new THREE.Vector2();
+    }
+
+    // Render the scene through the photo passes into output (null for the screen)
+    renderThrough(renderer, scene, camera, sceneTarget, output) {
+        const settings = this.settings;
+        const uniforms = this.material.uniforms;
+        renderer.setRenderTarget(sceneTarget);
+        renderer.render(scene, camera);
+
+        uniforms.tColor.value = sceneTarget.texture;
+        uniforms.tDepth.value = sceneTarget.depthTexture;
+        uniforms.cameraNear.value = camera.near;
+        uniforms.cameraFar.value = camera.far;
+        uniforms.focusDistance.value = settings.focusDistance;
+        uniforms.blur.value = settings.blur;
+        uniforms.aspect.value = sceneTarget.width / sceneTarget.height;
+        uniforms.vignette.value = settings.vignette;
+        uniforms.filterMode.value = Math.max(0, PHOTO_FILTERS.findIndex(filter => filter.id === settings.filter));
+
+        renderer.setRenderTarget(output);
+        renderer.render(this.quadScene, this.quadCamera);
+        renderer.setRenderTarget(null);
+    }
+
+    // Draw a frame to the screen with the current look - replaces renderer.render while active
+    render(renderer, scene, camera) {
+        const size = renderer.getDrawingBufferSize(this._size);
+        if (!this.previewTarget || this.previewTarget.width !== size.x || this.previewTarget.height !== size.y) {
+            this.disposePreview();
+            this.previewTarget = createSceneTarget(size.x, size.y);
+        }
+        this.renderThrough(renderer, scene, camera, this.previewTarget, null);
+    }
+
+    // Capture at captureScale times the screen resolution - resolves with a PNG blob
+    capture(renderer, scene, camera, scale = this.settings.captureScale) {
+        const size = renderer.getDrawingBufferSize(this._size);
+        // The GPU can only render so big - shrink the multiple to fit
+        const maxSize = renderer.capabilities.maxTextureSize;
+        const factor = Math.max(0.1, Math.min(scale, maxSize / size.x, maxSize / size.y));
+        const width = Math.floor(size.x * factor);
+        const height = Math.floor(size.y * factor);
+
+        const sceneTarget = createSceneTarget(width, height);
+        const outputTarget = new THREE.WebGLRenderTarget(width, height);
+        const pixels = new Uint8Array(width * height * 4);
+        try {
+            this.renderThrough(renderer, scene, camera, sceneTarget, outputTarget);
+            renderer.readRenderTargetPixels(outputTarget, 0, 0, width, height, pixels);
+        } finally {
+            sceneTarget.depthTexture.dispose();
+            sceneTarget.dispose();
+            outputTarget.dispose();
+        }
+
+        // WebGL rows run bottom-up; images run top-down
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(width, height);
+        const rowBytes = width * 4;
+        for (let row = 0; row < height; row++) {
+            image.data.set(pixels.subarray((height - 1 - row) * rowBytes, (height - row) * rowBytes), row * rowBytes);
+        }
+        context.putImageData(image, 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    }
+
+    disposePreview() {
+        if (this.previewTarget) {
+            this.previewTarget.depthTexture.dispose();
+            this.previewTarget.dispose();
+            this.previewTarget = null;
+        }
+    }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { inputManager } from './inputActions.js';
 
 function pseudoPerlinNoise(t, seed) {
     const a = Math.sin(t * 1.3 + seed) * 1.7;
@@ -52,7 +53,7 @@ export function createPlayerPawn(isAI = false, color = null) {
     const minDistance = originalDistance * 0.9;
     const maxDistance = originalDistance * 2;
 
-    // Space key state (only for human player)
+    // Surge action state (only for human player)
     let isSpacePressed = false;
 
     // For AI, expose a way to control surge
@@ -62,18 +63,13 @@ export function createPlayerPawn(isAI = false, color = null) {
             this.__spacePressed = active;
         };
     } else {
-        // Only add spacebar listeners for human player
-        document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && !isSpacePressed) {
-                isSpacePressed = true;
-                surgeVelocity = 0.015;
-            }
+        // Only the human player listens for the surge action
+        inputManager.onPress('surge', () => {
+            isSpacePressed = true;
+            surgeVelocity = 0.015;
         });
-
-        document.addEventListener('keyup', (e) => {
-            if (e.code === 'Space') {
-                isSpacePressed = false;
-            }
+        inputManager.onRelease('surge', () => {
+            isSpacePressed = false;
         });
     }
 
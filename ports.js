@@ -0,0 +1,70 @@
+// ports.js - Harbours where ships repair and pump out, and where lost ships respawn
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { oceanModel } from './oceanModel.js';
+
+// Fixed harbours in open water - the first is home, where new ships are launched
+export const PORTS = [
+    { name: 'Home Port', x: 0, z: 0, radius: 60 },
+    { name: 'Eastwatch', x: 1200, z: -600, radius: 60 },
+    { name: 'Westhaven', x: -1300, z: -900, radius: 60 }
+];
+
+// Port whose harbour contains (x, z), or null
+export function findPort(x, z) {
+    for (const port of PORTS) {
+        const dx = x - port.x;
+        const dz = z - port.z;
+        if (dx * dx + dz * dz < port.radius * port.radius) {
+            return port;
+        }
+    }
+    return null;
+}
+
+// Closest port to (x, z)
+export function findNearestPort(x, z) {
+    let nearest = PORTS[0];
+    let nearestDistSq = Infinity;
+    for (const port of PORTS) {
+        const distSq = (x - port.x) ** 2 + (z - port.z) ** 2;
+        if (distSq < nearestDistSq) {
+            nearest = port;
+            nearestDistSq = distSq;
+        }
+    }
+    return nearest;
+}
+
+// Pier and lighthouse at each harbour so they can be found from the water
+export function createPortMarkers(scene) {
+    const markers = [];
+    const pierMaterial = new THREE.MeshLambertMaterial({ color: 0x6B4423 });
+    const towerMaterial = new THREE.MeshLambertMaterial({ color: 0xEEEEEE });
+    const lampMaterial = new THREE.MeshLambertMaterial({
+        color: 0xFFEE88,
+        emissive: new THREE.Color(0xFFCC33),
+        emissiveIntensity: 0.8
+    });
+
+    for (const port of PORTS) {
+        const group = new THREE.Group();
+        group.position.set(port.x + port.radius * 0.7, oceanModel.baseHeight, port.z);
+
+        const pier = new THREE.Mesh(new THREE.BoxGeometry(4, 1, 24), pierMaterial);
+        pier.position.y = 0.5;
+        group.add(pier);
+
+        const tower = new THREE.Mesh(new THREE.CylinderGeometry(1.2, 1.8, 14, 8), towerMaterial);
+        tower.position.set(0, 7, -12);
+        group.add(tower);
+
+        const lamp = new THREE.Mesh(new THREE.SphereGeometry(1.4, 8, 8), lampMaterial);
+        lamp.position.set(0, 15, -12);
+        group.add(lamp);
+
+        group.name = `port-${port.name}`;
+        scene.add(group);
+        markers.push(group);
+    }
+    return markers;
+}
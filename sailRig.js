@@ -0,0 +1,174 @@
+// sailRig.js - Sails that furl, billow and luff
+// Finds every mesh using the 'Sails' material (the Ship1.glb sails or the procedural
+// fallback sails) and reshapes its vertices each frame: canvas is furled up toward the
+// yard as sail is shortened, bellies forward with the wind and flutters when the ship
+// points too close to the wind. The trim is a small plain object so it can be sent to peers.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { windField } from './windField.js';
+
+const SAIL_MATERIAL = 'Sails';
+const FURLED_HEIGHT = 0.1; // Fraction of the sail still showing when fully furled
+const FURL_RATE = 0.6; // Canvas fraction per second the crew can set or take in
+const BILLOW_DEPTH = 0.18; // Belly depth as a fraction of sail width at full wind
+const LUFF_DEPTH = 0.06; // Flutter depth as a fraction of sail width
+const LUFF_START = 55 * Math.PI / 180; // Sails start to luff inside this angle off the wind
+const IN_IRONS = 35 * Math.PI / 180; // Fully luffing inside this angle
+
+// Sail trim from the ship's sail state
+//   sailState - from the ship update: { wind, angleOffWind, efficiency }
+//   canvas    - 0 (furled) to 1 (full sail)
+export function getSailTrim(sailState, canvas) {
+    if (!sailState) {
+        return { canvas, fill: 0, luff: 0 };
+    }
+    const luff = Math.max(0, Math.min(1, (LUFF_START - sailState.angleOffWind) / (LUFF_START - IN_IRONS)));
+    return {
+        canvas,
+        fill: Math.min(1.2, sailState.efficiency * windField.getStrengthFactor(sailState.wind) * (1 - luff)),
+        luff
+    };
+}
+
+// Union-find over the triangles of an indexed geometry - each connected piece is one sail
+function findSailPanels(geometry, vertexCount) {
+    const parent = new Int32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+        parent[i] = i;
+    }
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const index = geometry.index;
+    if (index) {
+        for (let i = 0; i < index.count; i += 3) {
+            const a = find(index.getX(i));
+            parent[find(index.getX(i + 1))] = a;
+            parent[find(index.getX(i + 2))] = a;
+        }
+    } else {
+        for (let i = 0; i < vertexCount; i += 3) {
+            parent[i + 1] = i;
+            parent[i + 2] = i;
+        }
+    }
+
+    const panelOf = new Int32Array(vertexCount);
+    const panelIds = new Map();
+    for (let i = 0; i < vertexCount; i++) {
+        const root = find(i);
+        if (!panelIds.has(root)) {
+            panelIds.set(root, panelIds.size);
+        }
+        panelOf[i] = panelIds.get(root);
+    }
+    return { panelOf, panelCount: panelIds.size };
+}
+
+export class SailRig {
+    // shipFrame - the ship group; sails are shaped in its space so forward and up are known
+    constructor(shipFrame) {
+        this.trim = { canvas: 0, fill: 0, luff: 0 };
+        this.targetTrim = { canvas: 0, fill: 0, luff: 0 };
+        this.sails = [];
+
+        shipFrame.updateMatrixWorld(true);
+        const toFrame = new THREE.Matrix4().copy(shipFrame.matrixWorld).invert();
+        shipFrame.traverse((child) => {
+            if (child.isMesh && child.material && child.material.name === SAIL_MATERIAL) {
+                this.sails.push(this.createSail(child, toFrame));
+            }
+        });
+    }
+
+    createSail(mesh, toFrame) {
+        mesh.geometry = mesh.geometry.clone(); // Each ship reshapes its own canvas
+        const positions = mesh.geometry.attributes.position;
+        const count = positions.count;
+        const toShip = new THREE.Matrix4().multiplyMatrices(toFrame, mesh.matrixWorld);
+        const fromShip = toShip.clone().invert();
+
+        // Rest shape in ship space
+        const rest = new Float32Array(count * 3);
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            vertex.fromBufferAttribute(positions, i).applyMatrix4(toShip);
+            rest[i * 3] = vertex.x;
+            rest[i * 3 + 1] = vertex.y;
+            rest[i * 3 + 2] = vertex.z;
+        }
+
+        // Extent of each sail panel - the yard is its top edge
+        const { panelOf, panelCount } = findSailPanels(mesh.geometry, count);
+        const panels = [];
+        for (let p = 0; p < panelCount; p++) {
+            panels.push({ minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
+        }
+        for (let i = 0; i < count; i++) {
+            const panel = panels[panelOf[i]];
+            panel.minX = Math.min(panel.minX, rest[i * 3]);
+            panel.maxX = Math.max(panel.maxX, rest[i * 3]);
+            panel.minY = Math.min(panel.minY, rest[i * 3 + 1]);
+            panel.maxY = Math.max(panel.maxY, rest[i * 3 + 1]);
+        }
+
+        // Position of each vertex across (u) and up (v) its panel, 0..1
+        const across = new Float32Array(count);
+        const up = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const panel = panels[panelOf[i]];
+            const width = panel.maxX - panel.minX;
+            const height = panel.maxY - panel.minY;
+            across[i] = width > 0 ? (rest[i * 3] - panel.minX) / width : 0.5;
+            up[i] = height > 0 ? (rest[i * 3 + 1] - panel.minY) / height : 0.5;
+        }
+
+        return { mesh, positions, rest, panels, panelOf, across, up, fromShip: fromShip.elements };
+    }
+
+    // Trim the sails should move toward - { canvas, fill, luff }
+    setTarget(trim) {
+        this.targetTrim = trim;
+    }
+
+    update(deltaTime, time) {
+        const trim = this.trim;
+        const target = this.targetTrim;
+        const canvasStep = FURL_RATE * deltaTime;
+        trim.canvas += Math.max(-canvasStep, Math.min(canvasStep, target.canvas - trim.canvas));
+        const blend = Math.min(1, 3 * deltaTime);
+        trim.fill += (target.fill - trim.fill) * blend;
+        trim.luff += (target.luff - trim.luff) * blend;
+
+        const showing = FURLED_HEIGHT + (1 - FURLED_HEIGHT) * trim.canvas;
+        for (const sail of this.sails) {
+            const { positions, rest, panels, panelOf, across, up } = sail;
+            const m = sail.fromShip;
+            const array = positions.array;
+            for (let i = 0; i < positions.count; i++) {
+                const panel = panels[panelOf[i]];
+                const width = panel.maxX - panel.minX;
+                const u = across[i];
+                const v = up[i];
+
+                // Gather the canvas up toward the yard
+                const x = rest[i * 3];
+                const y = panel.maxY - (panel.maxY - rest[i * 3 + 1]) * showing;
+
+                // Belly forward with the wind, ripple when luffing
+                const shape = Math.sin(Math.PI * u) * Math.sin(Math.PI * v);
+                const flutter = trim.luff * LUFF_DEPTH * Math.sin(time * 14 + u * 9 + v * 6);
+                const z = rest[i * 3 + 2] - (trim.fill * BILLOW_DEPTH + flutter) * width * shape * trim.canvas;
+
+                // Back into the mesh's own space
+                array[i * 3] = m[0] * x + m[4] * y + m[8] * z + m[12];
+                array[i * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+                array[i * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+            }
+            positions.needsUpdate = true;
+        }
+    }
+}
@@ -0,0 +1,237 @@
+// settings.js - Player settings with a schema, defaults, versioned storage and change events
+// Every setting is declared once in SETTINGS_SCHEMA with its type, default and limits, so a
+// missing, stale or hand-edited value falls back to something valid. Values are stored
+// together under one localStorage key with a version number; when the layout changes,
+// MIGRATIONS brings older saves forward (version 0 is the old one-key-per-setting layout).
+// Modules subscribe to the settings they care about and apply changes live.
+
+const STORAGE_KEY = 'settings';
+
+export const SETTINGS_VERSION = 1;
+
+// The operating system's reduce-motion preference, where there is one
+function prefersReducedMotion() {
+    return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Graphics quality presets - 'high' matches the game's original fixed settings
+export const GRAPHICS_PRESETS = {
+    low: { oceanSegments: 64, oceanUpdateInterval: 4, terrainRenderDistance: 400, terrainChunkResolution: 16, antialias: false, pixelRatio: 0.75 },
+    medium: { oceanSegments: 96, oceanUpdateInterval: 3, terrainRenderDistance: 600, terrainChunkResolution: 24, antialias: false, pixelRatio: 1 },
+    high: { oceanSegments: 128, oceanUpdateInterval: 3, terrainRenderDistance: 800, terrainChunkResolution: 32, antialias: true, pixelRatio: 1 },
+    ultra: { oceanSegments: 192, oceanUpdateInterval: 1, terrainRenderDistance: 1200, terrainChunkResolution: 48, antialias: true, pixelRatio: 2 }
+};
+export const GRAPHICS_KEYS = Object.keys(GRAPHICS_PRESETS.high);
+
+export const SETTINGS_SCHEMA = {
+    thetaSensitivity: { type: 'number', default: 0.02, min: 0.0001, max: 0.1 }, // Mouse orbit, radians per pixel
+    phiSensitivity: { type: 'number', default: 0.002, min: 0.0001, max: 0.1 },
+    gamepadDeadZone: { type: 'number', default: 0.15, min: 0, max: 0.5 },
+    gamepadSensitivity: { type: 'number', default: 1, min: 0.2, max: 3 },
+    seaState: { type: 'string', default: 'moderate' }, // Checked against the sea states by the ocean model
+    worldBounds: { type: 'enum', default: 'wall', options: ['wall', 'pushBack', 'wrap'] },
+    cameraMode: { type: 'enum', default: 'orbit', options: ['orbit', 'chase', 'helm', 'cinematic'] },
+    shipClass: { type: 'string', default: '' }, // Empty until a class is picked - the game uses its default
+    graphicsQuality: { type: 'enum', default: 'high', options: [...Object.keys(GRAPHICS_PRESETS), 'custom'] },
+    oceanSegments: { type: 'number', integer: true, default: 128, min: 32, max: 256 }, // Ocean mesh grid per side
+    oceanUpdateInterval: { type: 'number', integer: true, default: 3, min: 1, max: 6 }, // Reshape the ocean every Nth frame
+    terrainRenderDistance: { type: 'number', default: 800, min: 200, max: 2000 },
+    terrainChunkResolution: { type: 'number', integer: true, default: 32, min: 8, max: 64 }, // Grid per terrain chunk
+    antialias: { type: 'boolean', default: true },
+    pixelRatio: { type: 'number', default: 1, min: 0.5, max: 2 }, // Capped at the device's own pixel ratio
+    colorPalette: { type: 'enum', default: 'neon', options: ['neon', 'redGreen', 'blueYellow', 'highContrast'] },
+    uiScale: { type: 'number', default: 1, min: 0.75, max: 2 }, // HUD and menu size
+    reducedMotion: { type: 'boolean', default: prefersReducedMotion() }, // Follows the system setting until changed
+    subtitles: { type: 'boolean', default: false }, // Text cues for sounds
+    masterVolume: { type: 'number', default: 0.8, min: 0, max: 1 },
+    ambienceVolume: { type: 'number', default: 1, min: 0, max: 1 }, // Ocean swell
+    shipVolume: { type: 'number', default: 1, min: 0, max: 1 }, // Our hull creaks and sail flaps
+    weatherVolume: { type: 'number', default: 1, min: 0, max: 1 }, // Wind and thunder
+    fleetVolume: { type: 'number', default: 1, min: 0, max: 1 } // Other ships
+};
+
+// Upgrades from each older version, keyed by the version they produce
+//   (values, storage) => values
+export const MIGRATIONS = {
+    // Version 0 kept each setting in its own localStorage key
+    1: (values, storage) => {
+        const migrated = { ...values };
+        for (const key of ['thetaSensitivity', 'phiSensitivity', 'gamepadDeadZone', 'gamepadSensitivity', 'seaState', 'worldBounds', 'cameraMode', 'shipClass']) {
+            const legacy = storage.getItem(key);
+            if (legacy !== null) {
+                migrated[key] = legacy;
+                storage.removeItem(key);
+            }
+        }
+        return migrated;
+    }
+};
+
+// A value coerced to the schema entry, or undefined if it can't be
+function coerce(entry, value) {
+    switch (entry.type) {
+        case 'number': {
+            let number = typeof value === 'number' ? value : parseFloat(value);
+            if (!Number.isFinite(number)) {
+                return undefined;
+            }
+            if (entry.integer) {
+                number = Math.round(number);
+            }
+            return Math.max(entry.min ?? -Infinity, Math.min(entry.max ?? Infinity, number));
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return undefined;
+        case 'enum':
+            return entry.options.includes(value) ? value : undefined;
+        default:
+            return typeof value === 'string' ? value : undefined;
+    }
+}
+
+export class Settings {
+    constructor(storage = globalThis.localStorage, schema = SETTINGS_SCHEMA) {
+        this.storage = storage;
+        this.schema = schema;
+        this.values = {};
+        this.listeners = new Map(); // key (or '*') -> Set of callbacks
+        this.load();
+    }
+
+    // Read the saved settings, migrating older saves and dropping anything invalid
+    load() {
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(STORAGE_KEY)) : null;
+        } catch (error) {
+            console.warn('[Settings] Ignoring unreadable saved settings', error);
+        }
+        let version = saved && Number.isInteger(saved.version) ? saved.version : 0;
+        let values = saved && saved.values && typeof saved.values === 'object' ? saved.values : {};
+
+        const migrated = version < SETTINGS_VERSION;
+        while (version < SETTINGS_VERSION) {
+            version++;
+            if (MIGRATIONS[version] && this.storage) {
+                values = MIGRATIONS[version](values, this.storage);
+            }
+        }
+
+        this.values = {};
+        for (const [key, entry] of Object.entries(this.schema)) {
+            const value = key in values ? coerce(entry, values[key]) : undefined;
+            this.values[key] = value === undefined ? entry.default : value;
+        }
+        if (migrated) {
+            this.save();
+        }
+    }
+
+    save() {
+        if (this.storage) {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, values: this.values }));
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    // Change one setting - returns false if the key is unknown or the value invalid
+    set(key, value) {
+        return this.setMany({ [key]: value });
+    }
+
+    // Change several settings at once, saving once and then notifying for each change
+    setMany(updates) {
+        const changes = [];
+        for (const [key, value] of Object.entries(updates)) {
+            const entry = this.schema[key];
+            const coerced = entry ? coerce(entry, value) : undefined;
+            if (coerced === undefined) {
+                console.warn(`[Settings] Rejected ${key} = ${value}`);
+                return false;
+            }
+            if (coerced !== this.values[key]) {
+                changes.push({ key, value: coerced, previous: this.values[key] });
+            }
+        }
+        if (changes.length === 0) {
+            return true;
+        }
+        for (const change of changes) {
+            this.values[change.key] = change.value;
+        }
+
+        // Hand-tuned graphics no longer match a preset
+        if (changes.some(change => GRAPHICS_KEYS.includes(change.key)) && !('graphicsQuality' in updates)) {
+            const quality = this.findGraphicsPreset();
+            if (quality !== this.values.graphicsQuality) {
+                changes.push({ key: 'graphicsQuality', value: quality, previous: this.values.graphicsQuality });
+                this.values.graphicsQuality = quality;
+            }
+        }
+
+        this.save();
+        for (const change of changes) {
+            this.emit(change.key, change);
+            this.emit('*', change);
+        }
+        return true;
+    }
+
+    // Apply a graphics quality preset (low/medium/high/ultra)
+    applyGraphicsPreset(name) {
+        const preset = GRAPHICS_PRESETS[name];
+        if (!preset) {
+            console.warn(`[Settings] Unknown graphics preset "${name}"`);
+            return false;
+        }
+        return this.setMany({ ...preset, graphicsQuality: name });
+    }
+
+    // Preset the current graphics values match, or 'custom'
+    findGraphicsPreset() {
+        const match = Object.entries(GRAPHICS_PRESETS).find(([, preset]) =>
+            GRAPHICS_KEYS.every(key => preset[key] === this.values[key]));
+        return match ? match[0] : 'custom';
+    }
+
+    // Put settings back to their defaults (all of them if no keys are given)
+    reset(keys = Object.keys(this.schema)) {
+        const defaults = {};
+        for (const key of keys) {
+            defaults[key] = this.schema[key].default;
+        }
+        return this.setMany(defaults);
+    }
+
+    // Called with { key, value, previous } when a setting changes ('*' for any) -
+    // returns an unsubscribe function
+    onChange(key, listener) {
+        if (!this.listeners.has(key)) {
+            this.listeners.set(key, new Set());
+        }
+        this.listeners.get(key).add(listener);
+        return () => this.listeners.get(key).delete(listener);
+    }
+
+    emit(key, change) {
+        const listeners = this.listeners.get(key);
+        if (listeners) {
+            for (const listener of listeners) {
+                listener(change);
+            }
+        }
+    }
+}
+
+// Shared by the game and every module with a player setting
+export const settings = new Settings();
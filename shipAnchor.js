@@ -0,0 +1,161 @@
+// shipAnchor.js - Anchoring
+// The anchor only reaches the bottom in water shallower than the rode allows, so it can
+// only be dropped over shoals and near islands. Once down, the rode holds the ship within
+// a circle around the anchor; the wind streams her downwind and swings her bow to face
+// it. Storms and heavy strain make the anchor drag across the bottom. Events on the ship:
+//   'anchorDropped'  { depth }  - anchor is down and biting
+//   'anchorRaised'   {}         - anchor is back aboard
+//   'anchorTooDeep'  { depth }  - tried to anchor where the bottom is out of reach
+//   'anchorDragging' { tension }- the anchor has broken out and is sliding
+//   'anchorHolding'  {}         - it has bitten again
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { DEFAULT_SHIP_PHYSICS } from './shipPhysics.js';
+
+// Default tuning - override per ship through createAnchorState()
+export const DEFAULT_ANCHOR = {
+    maxDepth: 25.0, // Deepest water the anchor can reach bottom in
+    scope: 3.0, // Rode paid out per unit of depth
+    minRode: 12.0, // Shortest rode, for very shallow water
+    stiffness: 3.0, // Pull per unit the rode is stretched past its length
+    damping: 2.0, // Resistance to the ship snubbing against the rode
+    holdingPower: 4.0, // Tension the anchor holds before it drags, for a ship of the default mass
+    stormHoldingLoss: 0.7, // Fraction of holding power lost at full storm intensity
+    dragSpeed: 1.5, // How fast a dragging anchor slides across the bottom
+    windDrift: 0.15, // Wind push on the hull and rigging while riding to the anchor
+    swingRate: 0.8 // How hard the rode swings the bow to face the anchor
+};
+
+// Anchor state carried on the ship
+export function createAnchorState(overrides = {}) {
+    return {
+        config: { ...DEFAULT_ANCHOR, ...overrides },
+        dropped: false,
+        dragging: false,
+        x: 0, // Anchor position on the seabed
+        y: 0,
+        z: 0,
+        rodeLength: 0,
+        tension: 0
+    };
+}
+
+// Let go the anchor - only bites where the seabed is within reach
+//   seabed - anything with getSeabedHeight(x, z)
+//   ocean  - anything with getHeight(x, z)
+export function dropAnchor(ship, seabed, ocean) {
+    const anchor = ship.anchor;
+    if (anchor.dropped) {
+        return false;
+    }
+    const x = ship.position.x;
+    const z = ship.position.z;
+    const bottom = seabed.getSeabedHeight(x, z);
+    const depth = ocean.getHeight(x, z) - bottom;
+    if (depth > anchor.config.maxDepth) {
+        ship.dispatchEvent({ type: 'anchorTooDeep', depth });
+        return false;
+    }
+
+    anchor.dropped = true;
+    anchor.dragging = false;
+    anchor.x = x;
+    anchor.y = bottom;
+    anchor.z = z;
+    anchor.rodeLength = Math.max(anchor.config.minRode, depth * anchor.config.scope);
+    anchor.tension = 0;
+    ship.dispatchEvent({ type: 'anchorDropped', depth });
+    return true;
+}
+
+export function raiseAnchor(ship) {
+    const anchor = ship.anchor;
+    if (!anchor.dropped) {
+        return false;
+    }
+    anchor.dropped = false;
+    anchor.dragging = false;
+    anchor.tension = 0;
+    ship.dispatchEvent({ type: 'anchorRaised' });
+    return true;
+}
+
+// Ride to the anchor - call after the ship's own physics step
+//   ship - Object3D with velocity, angularVelocity, physics, anchor state and weather
+//   wind - { x, z } at the ship
+export function stepAnchor(ship, wind, deltaTime) {
+    const anchor = ship.anchor;
+    if (!anchor.dropped || deltaTime <= 0) {
+        return anchor;
+    }
+    const config = anchor.config;
+    const mass = ship.physics.mass;
+
+    // Wind streams the ship away downwind of the anchor
+    if (wind) {
+        ship.velocity.x += wind.x * config.windDrift / mass * deltaTime;
+        ship.velocity.z += wind.z * config.windDrift / mass * deltaTime;
+    }
+
+    const dx = ship.position.x - anchor.x;
+    const dz = ship.position.z - anchor.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const stretch = distance - anchor.rodeLength;
+    if (stretch <= 0 || distance === 0) {
+        anchor.tension = 0;
+        return anchor; // Rode slack - she drifts freely within its circle
+    }
+
+    // Rode taut - pull the ship back toward the anchor
+    const nx = dx / distance;
+    const nz = dz / distance;
+    const outwardSpeed = Math.max(0, ship.velocity.x * nx + ship.velocity.z * nz);
+    anchor.tension = config.stiffness * stretch + config.damping * outwardSpeed * mass;
+    ship.velocity.x -= nx * anchor.tension / mass * deltaTime;
+    ship.velocity.z -= nz * anchor.tension / mass * deltaTime;
+
+    // Swing the bow round to face the anchor
+    const desiredHeading = Math.atan2(nx, nz); // Forward (-sin, -cos) points back along the rode
+    let headingError = desiredHeading - ship.rotation.y;
+    headingError = Math.atan2(Math.sin(headingError), Math.cos(headingError));
+    ship.angularVelocity += headingError * config.swingRate * deltaTime;
+
+    // Heavier ships carry heavier ground tackle, and storms loosen the bottom's grip -
+    // past its holding power the anchor drags
+    const stormIntensity = ship.weather ? ship.weather.intensity : 0;
+    const holding = config.holdingPower * (mass / DEFAULT_SHIP_PHYSICS.mass) * (1 - stormIntensity * config.stormHoldingLoss);
+    const wasDragging = anchor.dragging;
+    anchor.dragging = anchor.tension > holding;
+    if (anchor.dragging) {
+        const slide = Math.min(stretch, config.dragSpeed * deltaTime);
+        anchor.x += nx * slide;
+        anchor.z += nz * slide;
+    }
+    if (anchor.dragging && !wasDragging) {
+        ship.dispatchEvent({ type: 'anchorDragging', tension: anchor.tension });
+    } else if (!anchor.dragging && wasDragging) {
+        ship.dispatchEvent({ type: 'anchorHolding' });
+    }
+
+    return anchor;
+}
+
+// Line from a ship down to its anchor - added to the scene, updated each frame
+export function createAnchorRode() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+    const rode = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0x3A2A1A }));
+    rode.frustumCulled = false;
+    rode.visible = false;
+    return rode;
+}
+
+//   anchor - { dropped, x, y, z } (a ship's anchor state or one received from a peer)
+export function updateAnchorRode(rode, shipPosition, anchor) {
+    rode.visible = !!(anchor && anchor.dropped);
+    if (!rode.visible) {
+        return;
+    }
+    const positions = rode.geometry.attributes.position;
+    positions.setXYZ(0, shipPosition.x, shipPosition.y, shipPosition.z);
+    positions.setXYZ(1, anchor.x, anchor.y, anchor.z);
+    positions.needsUpdate = true;
+}
@@ -0,0 +1,271 @@
+// shipCamera.js - Camera modes for following your ship
+//   orbit     - free orbit around the ship, turned by the mouse, right stick or a drag
+//   chase     - trails astern and swings round smoothly as she changes heading
+//   helm      - first person at the wheel on the quarterdeck, looking out over the bow
+//   cinematic - an auto-director that cuts between dramatic angles every few seconds
+// Whatever the mode, the camera never goes below the animated ocean surface. With reduced
+// motion on, it follows the ship's height slowly and stays level at the helm instead of
+// riding every swell.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { oceanModel } from './oceanModel.js';
+
+export const CAMERA_MODES = [
+    { id: 'orbit', label: 'Free orbit' },
+    { id: 'chase', label: 'Chase' },
+    { id: 'helm', label: 'Helm' },
+    { id: 'cinematic', label: 'Cinematic' }
+];
+
+export const DEFAULT_CAMERA_CONFIG = {
+    orbitDistance: 19.7, // Distance from the ship in orbit mode
+    minPitch: 0.1, // Orbit elevation limits (radians above the horizon)
+    maxPitch: 1.2,
+    chaseDistance: 22, // How far astern the chase camera sits
+    chaseHeight: 7,
+    chaseStiffness: 2.5, // How quickly the chase camera catches up (1/s)
+    chaseLookAhead: 8, // Aim this far ahead of the bow
+    chaseYawReturn: 1.5, // Rate a look-around in chase mode eases back astern (1/s)
+    helmEyeHeight: 0.35, // Eye height at the wheel, as a fraction of the masthead height
+    helmAft: 0.55, // Wheel position, as a fraction of the half length aft of centre
+    helmMaxYaw: 2.6, // How far you can turn your head at the helm
+    helmMaxPitch: 0.8,
+    steadyHeightRate: 0.6, // With reduced motion, how quickly the camera follows the ship's rise and fall (1/s)
+    waterClearance: 1.5, // Closest the camera may come to the water surface
+    shotMinDuration: 6, // Cinematic shot length range (seconds)
+    shotMaxDuration: 11
+};
+
+// Cinematic shots - each places the camera relative to the ship when it cuts to it
+const CINEMATIC_SHOTS = ['flyby', 'bowWave', 'crane', 'quarter', 'wake'];
+
+export function getCameraModeLabel(mode) {
+    const entry = CAMERA_MODES.find(candidate => candidate.id === mode);
+    return entry ? entry.label : mode;
+}
+
+export class ShipCamera {
+    constructor(camera, { ocean = oceanModel, mode = 'orbit', theta = 0, phi = 0.4, ...config } = {}) {
+        this.camera = camera;
+        this.ocean = ocean;
+        this.config = { ...DEFAULT_CAMERA_CONFIG, ...config };
+        this.mode = CAMERA_MODES.some(entry => entry.id === mode) ? mode : 'orbit';
+        this.theta = theta; // Orbit angle around the ship
+        this.phi = phi; // Orbit elevation
+        this.lookYaw = 0; // Head turn in chase and helm modes
+        this.lookPitch = 0;
+        this.smoothedPosition = new THREE.Vector3();
+        this.snap = true; // Jump straight to the target next update instead of easing
+        this.shot = null; // Current cinematic shot
+        this.reducedMotion = false; // Damp the bob of the swell
+        this.steadyHeight = null; // Ship height the camera follows, eased with reduced motion
+        this._target = new THREE.Vector3();
+        this._desired = new THREE.Vector3();
+    }
+
+    setMode(mode) {
+        if (!CAMERA_MODES.some(entry => entry.id === mode)) {
+            console.warn(`[ShipCamera] Unknown mode "${mode}"`);
+            return false;
+        }
+        if (mode !== this.mode) {
+            this.mode = mode;
+            this.lookYaw = 0;
+            this.lookPitch = 0;
+            this.shot = null;
+            this.snap = true;
+        }
+        return true;
+    }
+
+    // Next mode in the list - returns its id
+    cycleMode() {
+        const index = CAMERA_MODES.findIndex(entry => entry.id === this.mode);
+        this.setMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length].id);
+        return this.mode;
+    }
+
+    // Turn the view (radians) - screen up is negative pitch, like the mouse
+    applyLook(yawDelta, pitchDelta) {
+        const config = this.config;
+        if (this.mode === 'orbit') {
+            this.theta -= yawDelta;
+            this.phi -= pitchDelta;
+            this.phi = Math.max(config.minPitch, Math.min(config.maxPitch, this.phi));
+            this.theta = ((this.theta % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        } else if (this.mode === 'chase' || this.mode === 'helm') {
+            const maxYaw = this.mode === 'helm' ? config.helmMaxYaw : Math.PI;
+            this.lookYaw = Math.max(-maxYaw, Math.min(maxYaw, this.lookYaw - yawDelta));
+            this.lookPitch = Math.max(-config.helmMaxPitch, Math.min(config.helmMaxPitch, this.lookPitch - pitchDelta));
+        }
+    }
+
+    // Height of the ship to follow - eased toward her real height with reduced motion
+    followHeight(ship, deltaTime) {
+        if (!this.reducedMotion || this.steadyHeight === null) {
+            this.steadyHeight = ship.position.y;
+        } else {
+            this.steadyHeight += (ship.position.y - this.steadyHeight) * (1 - Math.exp(-this.config.steadyHeightRate * deltaTime));
+        }
+        return this.steadyHeight;
+    }
+
+    // The ship moved by a whole world width (wrap-around) - keep the camera with her
+    shift(dx, dz) {
+        this.smoothedPosition.x += dx;
+        this.smoothedPosition.z += dz;
+        if (this.shot) {
+            this.shot.anchor.x += dx;
+            this.shot.anchor.z += dz;
+        }
+    }
+
+    // Position and aim the camera for this frame
+    update(ship, deltaTime) {
+        const config = this.config;
+        const heading = ship.rotation.y;
+        const forwardX = -Math.sin(heading);
+        const forwardZ = -Math.cos(heading);
+        const desired = this._desired;
+        const height = this.followHeight(ship, deltaTime);
+        const target = this._target.set(ship.position.x, height, ship.position.z);
+
+        if (this.mode === 'helm') {
+            // At the wheel - rides the deck but the view stays level with the horizon
+            const bounds = ship.hullBounds;
+            desired.set(bounds.centerX, bounds.top * config.helmEyeHeight, bounds.centerZ + bounds.halfLength * config.helmAft);
+            if (this.reducedMotion) {
+                // Turn with her heading only - no pitch or roll, and an eased height
+                desired.multiplyScalar(ship.scale.x).applyAxisAngle(THREE.Object3D.DefaultUp, heading);
+                desired.x += ship.position.x;
+                desired.y += height;
+                desired.z += ship.position.z;
+            } else {
+                ship.updateMatrixWorld();
+                ship.localToWorld(desired);
+            }
+            const yaw = heading + this.lookYaw;
+            target.set(
+                desired.x - Math.sin(yaw) * Math.cos(this.lookPitch) * 10,
+                desired.y + Math.sin(this.lookPitch) * 10,
+                desired.z - Math.cos(yaw) * Math.cos(this.lookPitch) * 10
+            );
+            this.placeCamera(desired, target, 0, deltaTime);
+            return;
+        }
+
+        if (this.mode === 'chase') {
+            // Ease any look-around back to dead astern
+            this.lookYaw *= Math.exp(-config.chaseYawReturn * deltaTime);
+            const yaw = heading + this.lookYaw;
+            desired.set(
+                ship.position.x + Math.sin(yaw) * config.chaseDistance,
+                height + config.chaseHeight * (1 + this.lookPitch),
+                ship.position.z + Math.cos(yaw) * config.chaseDistance
+            );
+            target.set(ship.position.x + forwardX * config.chaseLookAhead, height + 2, ship.position.z + forwardZ * config.chaseLookAhead);
+            this.placeCamera(desired, target, config.chaseStiffness, deltaTime);
+            return;
+        }
+
+        if (this.mode === 'cinematic') {
+            this.updateShot(ship, deltaTime, forwardX, forwardZ);
+            return;
+        }
+
+        // Free orbit
+        const horizontalDistance = config.orbitDistance * Math.cos(this.phi);
+        desired.set(
+            ship.position.x + horizontalDistance * Math.sin(this.theta),
+            height + config.orbitDistance * Math.sin(this.phi),
+            ship.position.z + horizontalDistance * Math.cos(this.theta)
+        );
+        this.placeCamera(desired, target, 0, deltaTime);
+    }
+
+    // Auto-director - hold a shot for a while, then cut to a different one
+    updateShot(ship, deltaTime, forwardX, forwardZ) {
+        const config = this.config;
+        let shot = this.shot;
+        if (shot) {
+            shot.age += deltaTime;
+            const dx = ship.position.x - shot.anchor.x;
+            const dz = ship.position.z - shot.anchor.z;
+            // A fixed camera that the ship has sailed well past is a dead shot
+            if (shot.age > shot.duration || (shot.fixed && dx * dx + dz * dz > 110 * 110)) {
+                shot = null;
+            }
+        }
+        if (!shot) {
+            const choices = CINEMATIC_SHOTS.filter(type => !this.shot || type !== this.shot.type);
+            const type = choices[Math.floor(Math.random() * choices.length)];
+            shot = this.shot = {
+                type,
+                age: 0,
+                duration: config.shotMinDuration + Math.random() * (config.shotMaxDuration - config.shotMinDuration),
+                side: Math.random() < 0.5 ? -1 : 1,
+                fixed: type === 'flyby',
+                anchor: new THREE.Vector3()
+            };
+            if (type === 'flyby') {
+                // A spot beside her course she will sail past
+                shot.anchor.set(
+                    ship.position.x + forwardX * 45 - forwardZ * 14 * shot.side,
+                    ship.position.y + 1,
+                    ship.position.z + forwardZ * 45 + forwardX * 14 * shot.side
+                );
+            }
+            this.snap = true; // A cut, not a pan
+        }
+
+        const rightX = -forwardZ;
+        const rightZ = forwardX;
+        const side = shot.side;
+        const position = ship.position;
+        const desired = this._desired;
+        const target = this._target.copy(position);
+        switch (shot.type) {
+            case 'flyby':
+                desired.copy(shot.anchor);
+                break;
+            case 'bowWave':
+                // Low off the bow, looking back along her side as she cuts through the water
+                desired.set(position.x + forwardX * 14 + rightX * 5 * side, position.y + 0.5, position.z + forwardZ * 14 + rightZ * 5 * side);
+                target.set(position.x - forwardX * 4, position.y + 2, position.z - forwardZ * 4);
+                break;
+            case 'crane': {
+                // High and wide, slowly circling
+                const angle = shot.age * 0.12 * side + Math.atan2(rightX, rightZ);
+                desired.set(position.x + Math.sin(angle) * 55, position.y + 35, position.z + Math.cos(angle) * 55);
+                break;
+            }
+            case 'quarter':
+                // Off the stern quarter, with the sails against the sky
+                desired.set(position.x - forwardX * 12 + rightX * 9 * side, position.y + 2, position.z - forwardZ * 12 + rightZ * 9 * side);
+                target.set(position.x + forwardX * 6, position.y + 5, position.z + forwardZ * 6);
+                break;
+            default:
+                // Down in the wake, looking up at her stern as she pulls away
+                desired.set(position.x - forwardX * (16 + shot.age * 1.5), position.y + 0.5, position.z - forwardZ * (16 + shot.age * 1.5));
+                target.set(position.x, position.y + 3, position.z);
+                break;
+        }
+        this.placeCamera(desired, target, shot.fixed ? 0 : 4, deltaTime);
+    }
+
+    // Move toward the desired position (easing when stiffness > 0), keep clear of the
+    // water and aim at the target
+    placeCamera(desired, target, stiffness, deltaTime) {
+        if (this.snap || stiffness <= 0) {
+            this.smoothedPosition.copy(desired);
+            this.snap = false;
+        } else {
+            this.smoothedPosition.lerp(desired, 1 - Math.exp(-stiffness * deltaTime));
+        }
+        const position = this.camera.position.copy(this.smoothedPosition);
+        const surface = this.ocean.getHeight(position.x, position.z);
+        if (position.y < surface + this.config.waterClearance) {
+            position.y = surface + this.config.waterClearance;
+        }
+        this.camera.lookAt(target);
+    }
+}
@@ -0,0 +1,94 @@
+// shipClasses.js - Registry of ship classes loaded from shipClasses.json
+// A class sets the model, its scale, speed per sail setting, turn rate, hull strength,
+// cannons per side and draft. The player picks one before spawning and the class id is
+// sent with every player state so other peers build the same ship.
+import { DEFAULT_SHIP_PHYSICS } from './shipPhysics.js';
+import { DEFAULT_HULL } from './hullBuoyancy.js';
+
+// Built-in class (matches the brig in shipClasses.json) - used until the JSON loads or if it can't be fetched
+export const DEFAULT_SHIP_CLASS = {
+    id: 'brig',
+    name: 'Brig',
+    description: 'A balanced all-rounder',
+    model: './Ship1.glb',
+    scale: 1.0,
+    sailSpeeds: { noSail: 0, partSail: 2.0, halfSail: 4.0, fullSail: 6.0 },
+    turnRate: 1.0, // Multiplier on rudder authority
+    hullStrength: 100,
+    cannonsPerSide: 4,
+    draft: 1.0, // Keel depth below the waterline
+    mass: 3.0
+};
+
+const shipClasses = new Map([[DEFAULT_SHIP_CLASS.id, DEFAULT_SHIP_CLASS]]);
+
+// Add or replace a class - missing fields fall back to the default class
+export function registerShipClass(definition) {
+    if (!definition || typeof definition.id !== 'string') {
+        console.warn('[ShipClasses] Ignoring ship class without an id:', definition);
+        return null;
+    }
+    const shipClass = {
+        ...DEFAULT_SHIP_CLASS,
+        ...definition,
+        sailSpeeds: { ...DEFAULT_SHIP_CLASS.sailSpeeds, ...definition.sailSpeeds }
+    };
+    shipClasses.set(shipClass.id, shipClass);
+    return shipClass;
+}
+
+// Class by id, or the default class for unknown ids
+export function getShipClass(id) {
+    return shipClasses.get(id) || shipClasses.get(DEFAULT_SHIP_CLASS.id);
+}
+
+export function listShipClasses() {
+    return Array.from(shipClasses.values());
+}
+
+// Fetch the JSON definitions and register every class in them
+export async function loadShipClasses(url = './shipClasses.json') {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const definitions = await response.json();
+        for (const definition of definitions) {
+            registerShipClass(definition);
+        }
+    } catch (error) {
+        console.warn('[ShipClasses] Could not load ship classes, using the built-in class:', error);
+    }
+    return listShipClasses();
+}
+
+// Per-system tuning for createShipPawn derived from a class
+export function getShipClassOptions(shipClass) {
+    const scale = shipClass.scale;
+    const turnRate = shipClass.turnRate;
+    return {
+        physics: {
+            mass: shipClass.mass,
+            maxSpeed: Math.max(DEFAULT_SHIP_PHYSICS.maxSpeed, shipClass.sailSpeeds.fullSail * 2),
+            rudderPower: DEFAULT_SHIP_PHYSICS.rudderPower * turnRate,
+            steerageYawRate: DEFAULT_SHIP_PHYSICS.steerageYawRate * turnRate,
+            minTurnRadius: DEFAULT_SHIP_PHYSICS.minTurnRadius / turnRate
+        },
+        hull: {
+            length: DEFAULT_HULL.length * scale,
+            beam: DEFAULT_HULL.beam * scale,
+            draft: shipClass.draft,
+            hullDepth: DEFAULT_HULL.hullDepth * shipClass.draft, // Same freeboard ratio, same reserve buoyancy
+            // Inertia grows with the hull so bigger ships roll and pitch at a similar period
+            rollInertia: DEFAULT_HULL.rollInertia * scale * scale,
+            pitchInertia: DEFAULT_HULL.pitchInertia * scale * scale
+        },
+        damage: {
+            maxIntegrity: shipClass.hullStrength
+        },
+        cannons: {
+            gunsPerSide: shipClass.cannonsPerSide
+        }
+    };
+}
@@ -0,0 +1,203 @@
+// shipCollision.js - Ship-to-ship collision detection and response
+// Hulls are oriented boxes on the water plane, sized from the loaded ship model.
+// The host runs detection for every ship it knows about and sends the result to all
+// peers, and each peer applies the impulse to its own ship so rammings look the same
+// on every screen.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { DEFAULT_SHIP_PHYSICS } from './shipPhysics.js';
+import { worldBounds } from './worldBounds.js';
+
+// Matches the procedural fallback hull - used until Ship1.glb has loaded
+export const DEFAULT_SHIP_BOUNDS = { halfWidth: 1.5, halfLength: 3.0, centerX: 0, centerZ: 0, top: 4.5 };
+
+// Hull footprint in ship space from a model's bounding box (call before adding it to the ship)
+export function computeShipBounds(shipModel) {
+    shipModel.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(shipModel);
+    if (box.isEmpty()) {
+        return { ...DEFAULT_SHIP_BOUNDS };
+    }
+    return {
+        halfWidth: (box.max.x - box.min.x) * 0.5,
+        halfLength: (box.max.z - box.min.z) * 0.5,
+        centerX: (box.max.x + box.min.x) * 0.5,
+        centerZ: (box.max.z + box.min.z) * 0.5,
+        top: box.max.y // Masthead height - where the flag flies
+    };
+}
+
+// Oriented box on the XZ plane for a ship at a position and heading
+export function getShipBox(position, heading, bounds = DEFAULT_SHIP_BOUNDS) {
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+    // Ship-space X (starboard) and Z (aft) axes in world space
+    const right = { x: cos, z: -sin };
+    const aft = { x: sin, z: cos };
+    return {
+        x: position.x + right.x * bounds.centerX + aft.x * bounds.centerZ,
+        z: position.z + right.z * bounds.centerX + aft.z * bounds.centerZ,
+        axes: [right, aft],
+        halfExtents: [bounds.halfWidth, bounds.halfLength]
+    };
+}
+
+// Whether a point on the water plane lies inside a ship box
+export function pointInShipBox(box, x, z) {
+    const dx = x - box.x;
+    const dz = z - box.z;
+    for (let i = 0; i < 2; i++) {
+        const axis = box.axes[i];
+        if (Math.abs(dx * axis.x + dz * axis.z) > box.halfExtents[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Half the box's shadow on an axis
+function projectRadius(box, axis) {
+    return box.halfExtents[0] * Math.abs(box.axes[0].x * axis.x + box.axes[0].z * axis.z) +
+        box.halfExtents[1] * Math.abs(box.axes[1].x * axis.x + box.axes[1].z * axis.z);
+}
+
+// Corner of a box furthest along a direction
+function supportPoint(box, direction) {
+    let x = box.x;
+    let z = box.z;
+    for (let i = 0; i < 2; i++) {
+        const axis = box.axes[i];
+        const sign = axis.x * direction.x + axis.z * direction.z >= 0 ? 1 : -1;
+        x += axis.x * box.halfExtents[i] * sign;
+        z += axis.z * box.halfExtents[i] * sign;
+    }
+    return { x, z };
+}
+
+// Separating-axis test between two ship boxes
+// Returns { normal (from A toward B), depth, point } or null when they don't touch
+export function testShipCollision(boxA, boxB) {
+    const dx = boxB.x - boxA.x;
+    const dz = boxB.z - boxA.z;
+    let best = null;
+
+    for (const axis of [...boxA.axes, ...boxB.axes]) {
+        const distance = dx * axis.x + dz * axis.z;
+        const overlap = projectRadius(boxA, axis) + projectRadius(boxB, axis) - Math.abs(distance);
+        if (overlap <= 0) {
+            return null;
+        }
+        if (!best || overlap < best.depth) {
+            const sign = distance >= 0 ? 1 : -1;
+            best = { normal: { x: axis.x * sign, z: axis.z * sign }, depth: overlap };
+        }
+    }
+
+    // Contact point midway between the deepest corners of each hull
+    const cornerA = supportPoint(boxA, best.normal);
+    const cornerB = supportPoint(boxB, { x: -best.normal.x, z: -best.normal.z });
+    best.point = { x: (cornerA.x + cornerB.x) * 0.5, z: (cornerA.z + cornerB.z) * 0.5 };
+    return best;
+}
+
+// Host-side detection over every known ship, with a cooldown per pair so a ramming
+// is one event rather than one per frame while the hulls grind apart
+export class ShipCollisionSystem {
+    constructor() {
+        this.restitution = 0.3; // 0 = hulls stick together, 1 = perfectly elastic
+        this.pairCooldown = 0.5; // Seconds before the same pair can collide again
+        this.lastCollisionTimes = new Map();
+        this.nextId = 0;
+    }
+
+    // ships - [{ id, position, heading, velocity: {x, z}, mass, bounds }]
+    // Returns collision records ready to apply locally and send to peers
+    detect(ships, time) {
+        const collisions = [];
+        const boxes = ships.map(ship => getShipBox(ship.position, ship.heading, ship.bounds));
+
+        for (let i = 0; i < ships.length; i++) {
+            for (let j = i + 1; j < ships.length; j++) {
+                const a = ships[i];
+                const b = ships[j];
+                // In a wrapping world, test against the copy of B nearest A
+                const boxB = worldBounds.isWrapping() ? getShipBox({
+                    x: worldBounds.nearestImage(b.position.x, a.position.x),
+                    z: worldBounds.nearestImage(b.position.z, a.position.z)
+                }, b.heading, b.bounds) : boxes[j];
+                const contact = testShipCollision(boxes[i], boxB);
+                if (!contact) {
+                    continue;
+                }
+
+                const pairKey = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+                const lastTime = this.lastCollisionTimes.get(pairKey);
+                if (lastTime !== undefined && time - lastTime < this.pairCooldown) {
+                    continue;
+                }
+
+                const massA = a.mass || DEFAULT_SHIP_PHYSICS.mass;
+                const massB = b.mass || DEFAULT_SHIP_PHYSICS.mass;
+
+                // Closing speed along the normal - positive when the hulls move together
+                const closingSpeed = (a.velocity.x - b.velocity.x) * contact.normal.x +
+                    (a.velocity.z - b.velocity.z) * contact.normal.z;
+                const impulse = closingSpeed > 0
+                    ? (1 + this.restitution) * closingSpeed / (1 / massA + 1 / massB)
+                    : 0;
+
+                this.lastCollisionTimes.set(pairKey, time);
+                collisions.push({
+                    id: this.nextId++,
+                    shipA: a.id,
+                    shipB: b.id,
+                    normal: contact.normal,
+                    depth: contact.depth,
+                    point: contact.point,
+                    impulse, // Along the normal - pushes B forward and A back
+                    closingSpeed: Math.max(0, closingSpeed),
+                    // Heavier ships get shoved less when pushing the hulls apart
+                    shareA: massB / (massA + massB),
+                    shareB: massA / (massA + massB)
+                });
+            }
+        }
+
+        // Forget pairs that have long separated
+        for (const [pairKey, lastTime] of this.lastCollisionTimes) {
+            if (time - lastTime > this.pairCooldown * 4) {
+                this.lastCollisionTimes.delete(pairKey);
+            }
+        }
+
+        return collisions;
+    }
+}
+
+// Apply a host collision record to one of the ships involved
+//   ship - Object3D with velocity, angularVelocity and physics (the ship's owner applies this)
+//   side - 'A' or 'B', which ship of the pair this is
+export function applyShipCollision(ship, collision, side) {
+    const direction = side === 'A' ? -1 : 1;
+    const share = side === 'A' ? collision.shareA : collision.shareB;
+    const mass = ship.physics ? ship.physics.mass : DEFAULT_SHIP_PHYSICS.mass;
+    const impulseX = collision.normal.x * collision.impulse * direction;
+    const impulseZ = collision.normal.z * collision.impulse * direction;
+
+    // Push the hulls apart so they don't stay interpenetrated
+    ship.position.x += collision.normal.x * collision.depth * share * direction;
+    ship.position.z += collision.normal.z * collision.depth * share * direction;
+
+    if (ship.velocity) {
+        ship.velocity.x += impulseX / mass;
+        ship.velocity.z += impulseZ / mass;
+    }
+
+    // An off-centre blow spins the ship (yaw inertia of a solid box the size of the hull)
+    if (typeof ship.angularVelocity === 'number') {
+        const bounds = ship.hullBounds || DEFAULT_SHIP_BOUNDS;
+        const yawInertia = mass * (bounds.halfLength * bounds.halfLength + bounds.halfWidth * bounds.halfWidth) / 3;
+        const armX = worldBounds.delta(collision.point.x, ship.position.x);
+        const armZ = worldBounds.delta(collision.point.z, ship.position.z);
+        ship.angularVelocity += (armZ * impulseX - armX * impulseZ) / yawInertia;
+    }
+}
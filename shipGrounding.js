@@ -0,0 +1,114 @@
+// shipGrounding.js - Running aground on shoals and islands
+// Compares the keel against the terrain heightfield at the bow, midships and stern.
+// A ship that touches bottom decelerates hard and grinds; one driven well up onto a
+// shoal is stuck until she backs off or a wave lifts her clear. Events on the ship:
+//   'aground'  { speed, depth } - keel struck the bottom (speed at impact)
+//   'stuck'    { depth }        - hard aground, only backing the sails will free her
+//   'refloat'  {}               - clear of the bottom again
+
+// Default tuning - override per ship through createGroundingState()
+export const DEFAULT_GROUNDING = {
+    friction: 1.5, // Velocity damping per second while touching bottom
+    frictionPerDepth: 4.0, // Extra damping per unit the seabed rises above the keel
+    stuckDepth: 0.6, // Seabed this far above the floating keel pins the ship
+    backingFriction: 0.2, // Fraction of bottom friction left when backing the sails to get off
+    lookAhead: 20.0, // Distance ahead along the course to check for shoals
+    shallowWarning: 3.0 // Water under the keel that counts as shoal water
+};
+
+// Grounding state carried on the ship
+export function createGroundingState(overrides = {}) {
+    return {
+        config: { ...DEFAULT_GROUNDING, ...overrides },
+        grounded: false,
+        stuck: false,
+        depth: 0, // How far the seabed rises above the floating keel (0 when afloat)
+        clearance: Infinity, // Water under the keel right now
+        aheadClearance: Infinity, // Water under the keel a little way along the course
+        waterDepth: Infinity // Surface to seabed at the ship's position
+    };
+}
+
+// Check the keel against the seabed and apply grounding forces
+//   ship   - Object3D with velocity, angularVelocity, buoyancy and grounding state
+//   seabed - anything with getSeabedHeight(x, z)
+//   ocean  - anything with getHeight(x, z)
+export function stepGrounding(ship, seabed, ocean, moveState, deltaTime) {
+    const grounding = ship.grounding;
+    const config = grounding.config;
+    const hull = ship.buoyancy.hull;
+    const heading = ship.rotation.y;
+    const forwardX = -Math.sin(heading);
+    const forwardZ = -Math.cos(heading);
+    const halfLength = hull.length * 0.5;
+
+    // Highest seabed under the keel, measured from where the keel would float
+    let depth = -Infinity;
+    for (const offset of [-halfLength, 0, halfLength]) {
+        const x = ship.position.x + forwardX * offset;
+        const z = ship.position.z + forwardZ * offset;
+        const floatingKeel = ocean.getHeight(x, z) - hull.draft;
+        depth = Math.max(depth, seabed.getSeabedHeight(x, z) - floatingKeel);
+    }
+    grounding.depth = Math.max(0, depth);
+    grounding.clearance = -depth;
+    grounding.waterDepth = ocean.getHeight(ship.position.x, ship.position.z) -
+        seabed.getSeabedHeight(ship.position.x, ship.position.z);
+
+    // Look ahead along the ship's actual track for shoals
+    const speed = Math.sqrt(ship.velocity.x * ship.velocity.x + ship.velocity.z * ship.velocity.z);
+    const trackX = speed > 0.5 ? ship.velocity.x / speed : forwardX;
+    const trackZ = speed > 0.5 ? ship.velocity.z / speed : forwardZ;
+    const aheadX = ship.position.x + trackX * (halfLength + config.lookAhead);
+    const aheadZ = ship.position.z + trackZ * (halfLength + config.lookAhead);
+    grounding.aheadClearance = ocean.getHeight(aheadX, aheadZ) - hull.draft - seabed.getSeabedHeight(aheadX, aheadZ);
+
+    const wasGrounded = grounding.grounded;
+    const wasStuck = grounding.stuck;
+    grounding.grounded = depth > 0;
+    // Once pinned she needs to come well clear before she is free
+    grounding.stuck = grounding.grounded && depth > (wasStuck ? config.stuckDepth * 0.5 : config.stuckDepth);
+
+    if (grounding.grounded && !wasGrounded) {
+        ship.dispatchEvent({ type: 'aground', speed, depth });
+    }
+    if (grounding.stuck && !wasStuck) {
+        ship.dispatchEvent({ type: 'stuck', depth });
+    }
+    if (!grounding.grounded) {
+        if (wasGrounded) {
+            ship.dispatchEvent({ type: 'refloat' });
+        }
+        return grounding;
+    }
+
+    // Bottom friction - harder the further she is driven onto it, lighter when backing off
+    const backing = moveState && moveState.backward;
+    const friction = backing
+        ? config.friction * config.backingFriction
+        : config.friction + config.frictionPerDepth * depth;
+    const damping = Math.min(1, friction * deltaTime);
+    ship.velocity.x -= ship.velocity.x * damping;
+    ship.velocity.z -= ship.velocity.z * damping;
+    ship.angularVelocity -= ship.angularVelocity * damping;
+
+    if (grounding.stuck) {
+        // Pinned - no way forward, only backing the sails takes her astern
+        const forwardSpeed = ship.velocity.x * forwardX + ship.velocity.z * forwardZ;
+        if (forwardSpeed > 0 || !backing) {
+            ship.velocity.x -= forwardX * forwardSpeed;
+            ship.velocity.z -= forwardZ * forwardSpeed;
+        }
+        ship.angularVelocity = 0;
+    }
+
+    // The hull rests on the bottom instead of sinking through it
+    const restingHeight = ocean.getHeight(ship.position.x, ship.position.z) + hull.floatHeight + depth;
+    const buoyancy = ship.buoyancy.state;
+    if (buoyancy.height < restingHeight && !buoyancy.sinking) {
+        buoyancy.height = restingHeight;
+        buoyancy.verticalVelocity = Math.max(0, buoyancy.verticalVelocity);
+    }
+
+    return grounding;
+}
@@ -1,6 +1,21 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
-import { GLTFLoader } from 'https://cdn.skypack.dev/three@0.134.0/examples/jsm/loaders/GLTFLoader.js';
 import { createStar } from './star.js';
+import { assetManager } from './assetManager.js';
+import { oceanModel } from './oceanModel.js';
+import { weatherSystem } from './weatherSystem.js';
+import { windField, getSailEfficiency, getPointOfSail } from './windField.js';
+import { createShipPhysics, stepShipPhysics } from './shipPhysics.js';
+import { HullBuoyancy } from './hullBuoyancy.js';
+import { DEFAULT_SHIP_BOUNDS, computeShipBounds } from './shipCollision.js';
+import { createGroundingState, stepGrounding } from './shipGrounding.js';
+import { HullDamage, applyHullDamageLook } from './hullDamage.js';
+import { createBatteries, updateBatteries } from './cannons.js';
+import { getShipClass, getShipClassOptions } from './shipClasses.js';
+import { DEFAULT_PROFILE, applyShipProfile } from './shipProfile.js';
+import { SailRig, getSailTrim } from './sailRig.js';
+import { createAnchorState, stepAnchor } from './shipAnchor.js';
+import { worldBounds } from './worldBounds.js';
+import { accessibility } from './accessibility.js';
 
 function pseudoPerlinNoise(t, seed) {
     const a = Math.sin(t * 1.3 + seed) * 1.7;
@@ -9,66 +24,17 @@ function pseudoPerlinNoise(t, seed) {
     return (a + b + c) / 3;
 }
 
-// Calculate ocean surface height at given x,z coordinates (matches game.js exactly)
-function calculateOceanHeight(x, z) {
-    // Access the global ocean variables from game.js
-    // These are the exact same variables used by the global ocean mesh
-    const globalOceanTime = window.globalOceanTime || 0;
-    const globalOceanWaveState = window.globalOceanWaveState || { 
-        amp: 1.0, 
-        speed: 1.0, 
-        storms: [] 
-    };
-    
-    // Base ocean level (matches game.js)
-    let height = 20.0;
-    
-    // Apply the exact same wave calculation as in game.js
-    const t = globalOceanTime;
-    
-    // Use the exact same getLocalWaveMultiplier function from game.js
-    function getLocalWaveMultiplier(x, z) {
-        // Storms: if inside a storm, use its amp
-        let localAmp = 1.0;
-        let swirlY = 0;
-        for (let storm of globalOceanWaveState.storms) {
-            const dx = x - storm.x;
-            const dz = z - storm.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-            if (dist < storm.radius) {
-                // Smoother, more natural swirl
-                swirlY += Math.sin(storm.swirl + dist * 0.02) * storm.amp * (1 - dist / storm.radius) * 0.5;
-                localAmp = Math.max(localAmp, 1 + (storm.amp - 1) * (1 - dist / storm.radius));
-            }
-        }
-        // Example: Calm in center, wilder at edges
-        const dist = Math.sqrt(x * x + z * z);
-        let base = 1.0;
-        if (dist < 30) base = 0.7;
-        if (dist > 80) base = 1.5;
-        return base * localAmp + swirlY;
-    }
-    
-    const waveMultiplier = getLocalWaveMultiplier(x, z);
-    
-    // Apply the exact wave formulas from game.js
-    height += Math.sin(0.09 * x + t * 0.7) * 1.2 * waveMultiplier;
-    height += Math.cos(0.08 * z + t * 0.5) * 1.0 * waveMultiplier;
-    height += Math.sin(0.07 * (x + z) + t * 0.3) * 0.7 * waveMultiplier;
-    
-    return height;
-}
-
-export function createShipPawn(isAI = false, color = null, showStar = false) {
+export function createShipPawn(isAI = false, color = null, showStar = false, shipClass = getShipClass(), profile = DEFAULT_PROFILE) {
     // Determine color: custom color takes priority, then AI/human default
     let shipColor;
     if (color !== null) {
         shipColor = color;
     } else {
-        shipColor = isAI ? 0xFF00FF : 0x00FFFF;  // Purple for AI, Cyan for human
+        shipColor = accessibility.getShipColor(isAI ? 'ai' : 'player');  // Purple for AI, Cyan for human (in the default palette)
     }
     
     const playerGroup = new THREE.Group();
+    const classOptions = getShipClassOptions(shipClass);
     
     // Create procedural ship geometry as fallback
     // Removed ship creation logging for performance
@@ -83,42 +49,22 @@ export function createShipPawn(isAI = false, color = null, showStar = false) {
         // Skip creating the simple red box - networked players will use the GLTF model instead
         console.log('Skipping simple ship creation for networked player - will use GLTF model');
         
-        // Try to load Ship1.glb for networked players too
-        const loader = new GLTFLoader();
-        loader.load(
-        './Ship1.glb',
-        (gltf) => {
-            console.log('Ship1.glb loaded successfully for networked player');
-            const shipModel = gltf.scene;
+        // Copy of the shared class model - per-instance materials so each ship can wear its own colors
+        assetManager.cloneModel(shipClass.model).then((shipModel) => {
+            console.log(`${shipClass.model} ready for networked player`);
             
             // Configure and add the GLTF ship
-            shipModel.scale.setScalar(1.0);
+            shipModel.scale.setScalar(shipClass.scale);
             shipModel.position.y = 0;
             
-            // Apply color tint to ship materials
-            shipModel.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    child.material = child.material.clone();
-                    const colorVector = new THREE.Color(shipColor);
-                    if (child.material.color) {
-                        child.material.color.lerp(colorVector, 0.2);
-                    }
-                    if (child.material.emissive) {
-                        child.material.emissive.copy(colorVector);
-                        child.material.emissiveIntensity = 0.1;
-                    }
-                }
-            });
-            
+            playerGroup.hullBounds = computeShipBounds(shipModel);
             playerGroup.add(shipModel);
             playerGroup.shipModel = shipModel;
-            console.log('Ship1.glb added to networked player group');
-        },
-        (progress) => {
-            console.log('Loading Ship1.glb progress for networked player:', (progress.loaded / progress.total) * 100 + '%');
-        },
-        (error) => {
-            console.error('Error loading Ship1.glb for networked player:', error);
+            applyShipProfile(playerGroup, playerGroup.profile);
+            playerGroup.sailRig = new SailRig(playerGroup);
+            console.log(`${shipClass.model} added to networked player group`);
+        }, (error) => {
+            console.error(`Error loading ${shipClass.model} for networked player:`, error);
             // If GLTF fails, create a simple non-red placeholder
             const simpleShipGeometry = new THREE.BoxGeometry(3, 1, 6);
             const simpleShipMaterial = new THREE.MeshLambertMaterial({ 
@@ -131,63 +77,39 @@ export function createShipPawn(isAI = false, color = null, showStar = false) {
             playerGroup.add(simpleShip);
             playerGroup.shipModel = simpleShip;
             console.log('Gray fallback ship created for networked player');
-        }
-        );
+        });
     } else {
-        console.log('Not a networked player, using GLTF loader. Color:', color);
-        // Try to load Ship1.glb for local and AI players
-        const loader = new GLTFLoader();
-        loader.load(
-        './Ship1.glb',
-        (gltf) => {
-            console.log('Ship1.glb loaded successfully');
-            const shipModel = gltf.scene;
+        console.log('Not a networked player, using shared ship model. Color:', color);
+        // Copy of the shared class model for local and AI players (materials are per-instance)
+        assetManager.cloneModel(shipClass.model).then((shipModel) => {
+            console.log(`${shipClass.model} ready`);
             
             // Configure and add the GLTF ship
-            shipModel.scale.setScalar(1.0); // Adjust scale as needed
+            shipModel.scale.setScalar(shipClass.scale); // Size set by the ship class
             shipModel.position.y = 0; // Position on water surface
             
-            // Apply color tint to ship materials
-            shipModel.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    // Clone material to avoid affecting other instances
-                    child.material = child.material.clone();
-                    
-                    // Apply color tint based on player type
-                    const colorVector = new THREE.Color(shipColor);
-                    if (child.material.color) {
-                        child.material.color.lerp(colorVector, 0.2); // 20% color tint
-                    }
-                    
-                    // Add slight emissive glow for visibility
-                    if (child.material.emissive) {
-                        child.material.emissive.copy(colorVector);
-                        child.material.emissiveIntensity = 0.1;
-                    }
-                }
-            });
-            
+            playerGroup.hullBounds = computeShipBounds(shipModel); // Collision footprint from the model
             playerGroup.add(shipModel);
             playerGroup.shipModel = shipModel; // Store reference for animations
+            applyShipProfile(playerGroup, playerGroup.profile); // Captain's colors and flag
+            playerGroup.sailRig = new SailRig(playerGroup); // Furl, billow and luff with the sail setting
             
-            console.log('Ship1.glb added to player group');
-        },
-        (progress) => {
-            console.log('Loading Ship1.glb progress:', (progress.loaded / progress.total) * 100 + '%');
-        },
-        (error) => {
-            console.error('Error loading Ship1.glb:', error);
+            console.log(`${shipClass.model} added to player group`);
+        }, (error) => {
+            console.error(`Error loading ${shipClass.model}:`, error);
             console.log('Using procedural ship geometry fallback');
             
             // Create the procedural ship hull
             const shipGeometry = createFallbackShipGeometry();
             const shipMaterial = new THREE.MeshLambertMaterial({ 
+                name: 'Boat Planks', // Recolored by the ship profile
                 color: 0x8B4513, // Brown hull color
                 emissive: new THREE.Color(shipColor),
                 emissiveIntensity: 0.05
             });
             const shipMesh = new THREE.Mesh(shipGeometry, shipMaterial);
             shipMesh.position.y = 0; // Position on water surface
+            shipMesh.scale.setScalar(shipClass.scale);
             playerGroup.add(shipMesh);
             
             // Add sailing ship details
@@ -195,8 +117,9 @@ export function createShipPawn(isAI = false, color = null, showStar = false) {
             
             // Store ship reference for animations
             playerGroup.shipModel = shipMesh;
-        }
-        );
+            applyShipProfile(playerGroup, playerGroup.profile);
+            playerGroup.sailRig = new SailRig(playerGroup);
+        });
     }
 
     // Create and add star to the player group (positioned above ship) - only if showStar is true
@@ -206,133 +129,153 @@ export function createShipPawn(isAI = false, color = null, showStar = false) {
         playerGroup.add(star);
     }
 
-    // Ship motion variables for ocean movement
-    let bobPhase = Math.random() * Math.PI * 2;
-    let bobSpeed = 0.8 + Math.random() * 0.4;
-    let bobAmplitude = 0.15 + Math.random() * 0.1;
-    
-    let rollPhase = Math.random() * Math.PI * 2;
-    let rollSpeed = 0.6 + Math.random() * 0.3;
-    let rollAmplitude = 0.05 + Math.random() * 0.03;
-    
-    let pitchPhase = Math.random() * Math.PI * 2;
-    let pitchSpeed = 0.7 + Math.random() * 0.3;
-    let pitchAmplitude = 0.03 + Math.random() * 0.02;
-
     // Add properties for game mechanics
     playerGroup.position.set(0, 21.5, 0); // Start at water level (ocean surface is at y=20) + ship float height
-    playerGroup.velocity = new THREE.Vector3();
-    playerGroup.maxSpeed = 8;
-    playerGroup.acceleration = 0.15;
-    playerGroup.deceleration = 0.92;
+    playerGroup.velocity = new THREE.Vector3(); // World velocity (units per second)
+    playerGroup.angularVelocity = 0; // Yaw rate (rad/s)
+    playerGroup.profile = profile; // Hull and sail colors, flag and name
+    playerGroup.shipClass = shipClass; // Model, sail speeds, turn rate, hull strength, cannons and draft
+    playerGroup.physics = createShipPhysics(classOptions.physics); // Per-ship tuning (mass, drag, keel, rudder)
+    playerGroup.maxSpeed = playerGroup.physics.maxSpeed;
+    playerGroup.buoyancy = new HullBuoyancy(classOptions.hull); // Hull shape, stability and flooding
+    playerGroup.hullBounds = { // Collision footprint, replaced once the model loads
+        ...DEFAULT_SHIP_BOUNDS,
+        halfWidth: DEFAULT_SHIP_BOUNDS.halfWidth * shipClass.scale,
+        halfLength: DEFAULT_SHIP_BOUNDS.halfLength * shipClass.scale,
+        top: DEFAULT_SHIP_BOUNDS.top * shipClass.scale
+    };
+    playerGroup.grounding = createGroundingState(); // Keel clearance, aground and stuck flags
+    playerGroup.seabed = null; // Terrain heightfield for grounding, set by the game
+    playerGroup.anchor = createAnchorState(); // Anchor position, rode length and whether it holds
+    playerGroup.worldEdge = null; // Distance to the edge of the world and whether to warn
+    playerGroup.damage = new HullDamage(classOptions.damage); // Hull integrity, leaks and repair
+    playerGroup.damage.attach(playerGroup);
+    playerGroup.damageLook = 0; // Damage fraction the materials currently show
+    playerGroup.cannons = createBatteries(classOptions.cannons); // Port and starboard broadside batteries
+    playerGroup.sailRig = null; // Sail animation, created once the model is in place
+    playerGroup.sailTrim = { canvas: 0, fill: 0, luff: 0 }; // How much canvas is set and how it draws
+    playerGroup.fullSailSpeed = shipClass.sailSpeeds.fullSail; // Sail speed at full canvas - sets how hard the wind heels her
     playerGroup.isAI = isAI;
     
     // Create a forward direction vector that stays with the ship
     playerGroup.forwardVector = new THREE.Vector3(0, 0, -1); // Forward is negative Z in Three.js
 
-    // Simplified update function for ship movement independent of ocean waves
+    // Ship update - sails and rudder drive the hull, the buoyancy solver floats it on the waves
     playerGroup.update = function(deltaTime, animationTime, sailSpeed, moveState, camera) {
-        // Calculate the actual ocean surface height at the ship's position
-        const oceanHeight = calculateOceanHeight(this.position.x, this.position.z);
-        const shipFloatHeight = 0.5; // Reduced - more hull in water for realistic look
-        
-        // Add a visual indicator when ship should be moving
-        let movingIndicator = 0;
-        if (sailSpeed && sailSpeed > 0) {
-            movingIndicator = Math.sin(animationTime * 4) * 0.2; // Reduced bounce
-        }
-        
-        // Ship follows the actual ocean surface (including waves and storms)
-        this.position.y = oceanHeight + shipFloatHeight + movingIndicator;
-        
-        // Calculate ocean surface slopes for realistic ship orientation
-        const sampleDistance = 2.0; // Distance to sample for slope calculation
-        
-        // Sample ocean heights around the ship to calculate surface normal
-        const frontHeight = calculateOceanHeight(
-            this.position.x + Math.sin(this.rotation.y) * sampleDistance,
-            this.position.z - Math.cos(this.rotation.y) * sampleDistance
-        );
-        const backHeight = calculateOceanHeight(
-            this.position.x - Math.sin(this.rotation.y) * sampleDistance,
-            this.position.z + Math.cos(this.rotation.y) * sampleDistance
-        );
-        const leftHeight = calculateOceanHeight(
-            this.position.x - Math.cos(this.rotation.y) * sampleDistance,
-            this.position.z - Math.sin(this.rotation.y) * sampleDistance
-        );
-        const rightHeight = calculateOceanHeight(
-            this.position.x + Math.cos(this.rotation.y) * sampleDistance,
-            this.position.z + Math.sin(this.rotation.y) * sampleDistance
-        );
-        
-        // Calculate pitch (front-back tilt) and roll (left-right tilt)
-        const pitch = Math.atan2(frontHeight - backHeight, sampleDistance * 2) * 0.8; // Reduce intensity
-        const roll = Math.atan2(rightHeight - leftHeight, sampleDistance * 2) * 0.8;
-        
-        // Always add subtle ship movement effects for realism (even during spectator mode)
-        if (this.shipModel) {
-            // Apply ocean-based rotation with some additional bobbing
-            const time = Date.now() * 0.001;
-            const bobOffset = Math.sin(time * 0.8) * 0.1; // Reduced bobbing since we have wave following
-            const additionalRoll = Math.sin(time * 1.2) * 0.02; // Subtle additional movement
-            const additionalPitch = Math.sin(time * 0.6) * 0.01;
-            
-            // Apply ocean-calculated rotations plus subtle additional movement
-            this.shipModel.position.y = bobOffset;
-            this.shipModel.rotation.z = roll + additionalRoll; // Roll based on ocean + subtle extra
-            this.shipModel.rotation.x = pitch + additionalPitch; // Pitch based on ocean + subtle extra
-        }
-        
         // Handle movement based on sail mode and controls (only if parameters are provided)
-        if (sailSpeed !== undefined && moveState && camera) {
-            const isAutoSailing = !moveState.left && !moveState.right && !moveState.backward && sailSpeed > 0;
-            
-            if (isAutoSailing) {
-                // Removed frequent auto-sailing logging for performance
-            } else {
-                // Removed frequent manual control logging for performance
-            }
-            
+        if (sailSpeed !== undefined && moveState) {
             // Use the ship's forward vector that automatically rotates with the ship
             const worldForward = this.forwardVector.clone().applyQuaternion(this.quaternion);
             worldForward.normalize();
 
-            // Removed frequent forward direction logging for performance
+            // Sail speed depends on the sail setting, wind strength and point of sail
+            const wind = windField.getWindAt(this.position.x, this.position.z);
+            const angleOffWind = windField.getAngleOffWind(wind, worldForward.x, worldForward.z);
+            const efficiency = getSailEfficiency(angleOffWind);
+            // Water in the hull slows her down, and a foundering ship makes no headway
+            const effectiveSpeed = this.buoyancy.state.sinking ? 0 :
+                sailSpeed * efficiency * windField.getStrengthFactor(wind) * this.damage.getSpeedFactor(this.buoyancy);
 
-            // Ship movement - automatic forward movement based on sail mode
-            if (sailSpeed > 0) {
-                const movement = worldForward.clone().multiplyScalar(sailSpeed * deltaTime);
-                this.position.add(movement);
-                // Removed frequent movement logging for performance
-            }
+            // Storm currents swirl the ship around the eye
+            const weather = weatherSystem.getWeatherAt(this.position.x, this.position.z);
+            this.weather = weather;
 
-            // New simple turning mechanics with better rotation speed
-            const turnSpeed = 2.0; // Increased turn speed for responsive control
-            if (moveState.left) {
-                // Turn left with consistent speed
-                this.rotation.y += turnSpeed * deltaTime;
-            }
-            if (moveState.right) {
-                // Turn right with consistent speed
-                this.rotation.y -= turnSpeed * deltaTime;
-            }
+            // Sails and rudder apply forces - the ship coasts, drifts and carves turns
+            // (keys put the helm hard over, a gamepad stick sets it proportionally)
+            const helm = (moveState.left ? 1 : 0) - (moveState.right ? 1 : 0) + (moveState.rudder || 0);
+            const rudder = Math.max(-1, Math.min(1, helm));
+            const motion = stepShipPhysics(this, {
+                thrustSpeed: effectiveSpeed,
+                rudder,
+                reverse: moveState.backward
+            }, {
+                current: weather.current,
+                wind
+            }, deltaTime);
 
-            // Manual reverse with S key (only when pressed in normal mode)
-            if (moveState.backward) {
-                const reverseMovement = worldForward.clone().multiplyScalar(-sailSpeed * 0.5 * deltaTime);
-                this.position.add(reverseMovement);
-            }
+            // Riding to the anchor - the rode holds her and she swings to the wind
+            stepAnchor(this, wind, deltaTime);
 
+            this.sailState = {
+                wind,
+                angleOffWind,
+                pointOfSail: getPointOfSail(angleOffWind),
+                efficiency,
+                targetSpeed: effectiveSpeed,
+                speed: motion.forwardSpeed
+            };
+            this.sailTrim = getSailTrim(this.sailState, Math.min(1, sailSpeed / this.fullSailSpeed));
         }
         
-        // Update velocity
-        this.velocity.multiplyScalar(this.deceleration);
-        
-        // Don't override position changes from movement logic above
-        // Just clamp position to reasonable bounds
-        this.position.x = Math.max(-2000, Math.min(2000, this.position.x));
-        this.position.z = Math.max(-2000, Math.min(2000, this.position.z));
+        // Edge of the world - wall, push-back current or wrap-around, per the world bounds
+        this.worldEdge = worldBounds.constrain(this, deltaTime);
+        if (this.worldEdge.shiftX !== 0 || this.worldEdge.shiftZ !== 0) {
+            // The anchor comes round the seam with her
+            this.anchor.x += this.worldEdge.shiftX;
+            this.anchor.z += this.worldEdge.shiftZ;
+            this.dispatchEvent({ type: 'wrapped', shiftX: this.worldEdge.shiftX, shiftZ: this.worldEdge.shiftZ });
+        }
+
+        // Heave, pitch and roll from the hull sample points (runs in spectator mode too)
+        const sailFraction = sailSpeed ? Math.min(1, sailSpeed / this.fullSailSpeed) : 0;
+        const hull = this.buoyancy.update(this, oceanModel, {
+            wind: this.sailState ? this.sailState.wind : null,
+            sailFraction
+        }, deltaTime);
+
+        // Keel against the seabed - shoals slow her down, islands stop her dead
+        if (this.seabed) {
+            stepGrounding(this, this.seabed, oceanModel, moveState, deltaTime);
+        }
+
+        // Wear, leaks, repairs and reloading (not while the game is paused)
+        if (moveState) {
+            this.damage.update(this, deltaTime);
+            updateBatteries(this.cannons, deltaTime);
+        }
+        const damageFraction = this.damage.getDamageFraction();
+        if (Math.abs(damageFraction - this.damageLook) > 0.02) {
+            this.damageLook = damageFraction;
+            applyHullDamageLook(this.shipModel, damageFraction);
+        }
+        if (this.sailRig) {
+            this.sailRig.setTarget(this.sailTrim);
+            this.sailRig.update(deltaTime, animationTime);
+        }
+
+        this.position.y = hull.height;
+        if (this.shipModel) {
+            this.shipModel.position.y = 0;
+            this.shipModel.rotation.x = hull.pitch;
+            this.shipModel.rotation.z = hull.roll;
+        }
+    };
+
+    // Repaint the ship with a new profile
+    playerGroup.setProfile = function(newProfile) {
+        this.profile = newProfile;
+        if (this.shipModel) {
+            applyShipProfile(this, newProfile);
+            applyHullDamageLook(this.shipModel, this.damageLook);
+        }
+    };
+
+    // Put the ship back on the surface, level, dry and at rest
+    playerGroup.respawn = function(x = 0, z = 0) {
+        this.position.set(x, oceanModel.getHeight(x, z) + this.buoyancy.hull.floatHeight, z);
+        this.velocity.set(0, 0, 0);
+        this.angularVelocity = 0;
+        this.buoyancy.reset();
+        this.grounding = createGroundingState(this.grounding.config);
+        this.anchor = createAnchorState(this.anchor.config);
+        this.damage.reset();
+        this.cannons = createBatteries(this.cannons.config);
+        this.damageLook = 0;
+        applyHullDamageLook(this.shipModel, 0);
+        if (this.shipModel) {
+            this.shipModel.rotation.x = 0;
+            this.shipModel.rotation.z = 0;
+        }
     };
 
     // Removed old keyboard controls - now using sail-based movement system from game.js
@@ -425,8 +368,9 @@ function addShipDetails(shipGroup, shipColor) {
     shipGroup.add(foreMast);
     
     // === MAIN SAIL ===
-    const mainSailGeometry = new THREE.PlaneGeometry(2, 2.5);
+    const mainSailGeometry = new THREE.PlaneGeometry(2, 2.5, 6, 6);
     const sailMaterial = new THREE.MeshLambertMaterial({ 
+        name: 'Sails', // Recolored by the ship profile
         color: 0xF5F5DC, // Beige
         side: THREE.DoubleSide,
         transparent: true,
@@ -439,7 +383,7 @@ function addShipDetails(shipGroup, shipColor) {
     shipGroup.add(mainSail);
     
     // === FORE SAIL ===
-    const foreSailGeometry = new THREE.PlaneGeometry(1.5, 2);
+    const foreSailGeometry = new THREE.PlaneGeometry(1.5, 2, 6, 6);
     const foreSail = new THREE.Mesh(foreSailGeometry, sailMaterial);
     foreSail.position.set(0, 2.5, 1.2);
     shipGroup.add(foreSail);
@@ -0,0 +1,105 @@
+// shipPhysics.js - Rigid-body-lite ship motion
+// Thrust, hydrodynamic drag, keel lateral resistance, windage and a rudder with a
+// speed-dependent turning radius. Works on any ship object that carries velocity,
+// angularVelocity and a physics config, so the local pawn, AI ships and network
+// extrapolation all share the same model.
+
+// Default tuning - override per ship through createShipPhysics()
+export const DEFAULT_SHIP_PHYSICS = {
+    mass: 3.0, // Resistance to speed changes - heavier ships coast further
+    linearDrag: 0.4, // Hull drag proportional to speed through the water
+    quadraticDrag: 0.03, // Wave-making drag, grows with the square of speed
+    lateralDrag: 9.0, // Keel resistance to sideways motion
+    windage: 0.05, // How hard the wind pushes the hull and rigging sideways
+    maxSpeed: 12.0, // Hard cap on speed through the water
+    reverseSpeed: 1.5, // Terminal speed when backing the sails
+    inertia: 1.0, // Resistance to yaw changes
+    angularDrag: 2.0, // Yaw damping
+    rudderPower: 0.4, // Rudder torque per unit of flow over the rudder
+    steerageSpeed: 1.0, // Flow the rudder still feels when almost stopped
+    steerageYawRate: 0.15, // Max yaw rate with no way on (rad/s)
+    minTurnRadius: 10.0, // Tightest turning circle at low speed
+    turnRadiusPerSpeed: 1.0 // Turning circle grows with speed
+};
+
+// Build a physics config from defaults plus per-ship overrides
+export function createShipPhysics(overrides = {}) {
+    return { ...DEFAULT_SHIP_PHYSICS, ...overrides };
+}
+
+const NO_FLOW = { x: 0, z: 0 };
+
+// Advance one ship by deltaTime
+//   ship        - Object3D with velocity (Vector3), angularVelocity (number) and physics (config)
+//   controls    - { thrustSpeed, rudder (-1 right .. 1 left), reverse }
+//   environment - { current: {x, z}, wind: {x, z} } in world units per second
+export function stepShipPhysics(ship, controls, environment, deltaTime) {
+    const p = ship.physics;
+    const heading = ship.rotation.y;
+
+    // Ship axes in world space (forward is -Z rotated by heading)
+    const forwardX = -Math.sin(heading);
+    const forwardZ = -Math.cos(heading);
+    const rightX = Math.cos(heading);
+    const rightZ = -Math.sin(heading);
+
+    // Velocity through the water - drag acts relative to the current
+    const current = environment.current || NO_FLOW;
+    const relativeX = ship.velocity.x - current.x;
+    const relativeZ = ship.velocity.z - current.z;
+    const forwardSpeed = relativeX * forwardX + relativeZ * forwardZ;
+    const lateralSpeed = relativeX * rightX + relativeZ * rightZ;
+
+    // Thrust sized so terminal forward speed equals the requested speed
+    let targetSpeed = controls.thrustSpeed || 0;
+    if (controls.reverse) {
+        targetSpeed -= p.reverseSpeed;
+    }
+    const thrust = p.linearDrag * targetSpeed + p.quadraticDrag * targetSpeed * Math.abs(targetSpeed);
+    const drag = p.linearDrag * forwardSpeed + p.quadraticDrag * forwardSpeed * Math.abs(forwardSpeed);
+    const forwardAcceleration = (thrust - drag) / p.mass;
+
+    // Keel resists sideways motion, windage pushes the hull to leeward
+    let lateralAcceleration = -p.lateralDrag * lateralSpeed / p.mass;
+    if (environment.wind) {
+        const sideWind = environment.wind.x * rightX + environment.wind.z * rightZ;
+        lateralAcceleration += p.windage * sideWind / p.mass;
+    }
+
+    ship.velocity.x += (forwardX * forwardAcceleration + rightX * lateralAcceleration) * deltaTime;
+    ship.velocity.z += (forwardZ * forwardAcceleration + rightZ * lateralAcceleration) * deltaTime;
+
+    // Cap speed through the water
+    const throughWaterX = ship.velocity.x - current.x;
+    const throughWaterZ = ship.velocity.z - current.z;
+    const throughWaterSpeed = Math.sqrt(throughWaterX * throughWaterX + throughWaterZ * throughWaterZ);
+    if (throughWaterSpeed > p.maxSpeed) {
+        const scale = p.maxSpeed / throughWaterSpeed;
+        ship.velocity.x = current.x + throughWaterX * scale;
+        ship.velocity.z = current.z + throughWaterZ * scale;
+    }
+
+    // Rudder torque scales with flow over the rudder and reverses when going astern
+    const flow = Math.abs(forwardSpeed);
+    const flowDirection = forwardSpeed >= 0 ? 1 : -1;
+    const rudderTorque = p.rudderPower * (controls.rudder || 0) * (flow + p.steerageSpeed) * flowDirection;
+    ship.angularVelocity += (rudderTorque - p.angularDrag * ship.angularVelocity) / p.inertia * deltaTime;
+
+    // Turning circle widens with speed, so yaw rate is limited to v / R
+    const turnRadius = p.minTurnRadius + p.turnRadiusPerSpeed * flow;
+    const maxYawRate = flow / turnRadius + p.steerageYawRate;
+    ship.angularVelocity = Math.max(-maxYawRate, Math.min(maxYawRate, ship.angularVelocity));
+
+    ship.position.x += ship.velocity.x * deltaTime;
+    ship.position.z += ship.velocity.z * deltaTime;
+    ship.rotation.y += ship.angularVelocity * deltaTime;
+
+    return { forwardSpeed, lateralSpeed };
+}
+
+// Dead-reckon a remote ship's position and heading from its last known motion
+export function extrapolateShipMotion(position, rotation, velocity, angularVelocity, deltaTime) {
+    position.x += velocity.x * deltaTime;
+    position.z += velocity.z * deltaTime;
+    rotation.y += angularVelocity * deltaTime;
+}
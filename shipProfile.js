@@ -0,0 +1,218 @@
+// shipProfile.js - Player ship customization: hull and sail colors, flag emblem and name
+// The profile is saved to localStorage and sent to peers in a 'player_profile' message,
+// so every client paints each ship the way its captain chose.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+
+export const DEFAULT_PROFILE = {
+    name: 'Captain',
+    hullColor: '#8B5A2B',
+    sailColor: '#F5F0E1',
+    flag: 'skull'
+};
+
+export const FLAG_EMBLEMS = ['none', 'skull', 'anchor', 'star', 'crown', 'swords'];
+
+const PROFILE_STORAGE_KEY = 'shipProfile';
+const MAX_NAME_LENGTH = 20;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Ship1.glb material names for each customizable part (the fallback hull uses the same names)
+const HULL_MATERIALS = ['Boat Planks'];
+const TRIM_MATERIALS = ['Trim', 'Railings', 'Railings.001'];
+const SAIL_MATERIALS = ['Sails'];
+
+// Fill in defaults and reject anything malformed - profiles arrive from other peers
+export function sanitizeProfile(profile) {
+    const source = profile && typeof profile === 'object' ? profile : {};
+    const name = typeof source.name === 'string'
+        ? source.name.replace(/[\u0000-\u001F\u007F]/g, '').trim().slice(0, MAX_NAME_LENGTH)
+        : '';
+    return {
+        name: name || DEFAULT_PROFILE.name,
+        hullColor: COLOR_PATTERN.test(source.hullColor) ? source.hullColor : DEFAULT_PROFILE.hullColor,
+        sailColor: COLOR_PATTERN.test(source.sailColor) ? source.sailColor : DEFAULT_PROFILE.sailColor,
+        flag: FLAG_EMBLEMS.includes(source.flag) ? source.flag : DEFAULT_PROFILE.flag
+    };
+}
+
+export function loadProfile() {
+    try {
+        return sanitizeProfile(JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)));
+    } catch (error) {
+        return { ...DEFAULT_PROFILE };
+    }
+}
+
+export function saveProfile(profile) {
+    const sanitized = sanitizeProfile(profile);
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(sanitized));
+    return sanitized;
+}
+
+// Paint a flag - emblem in the sail color on a field of the hull color
+export function drawFlag(context, profile) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const cx = width / 2;
+    const cy = height / 2;
+    const size = height * 0.3;
+
+    context.fillStyle = profile.hullColor;
+    context.fillRect(0, 0, width, height);
+    context.fillStyle = profile.sailColor;
+    context.strokeStyle = profile.sailColor;
+    context.lineWidth = height * 0.07;
+    context.lineCap = 'round';
+
+    switch (profile.flag) {
+        case 'skull':
+            // Crossbones behind a skull
+            context.beginPath();
+            context.moveTo(cx - size * 1.4, cy - size * 0.6);
+            context.lineTo(cx + size * 1.4, cy + size * 1.2);
+            context.moveTo(cx + size * 1.4, cy - size * 0.6);
+            context.lineTo(cx - size * 1.4, cy + size * 1.2);
+            context.stroke();
+            context.beginPath();
+            context.arc(cx, cy - size * 0.2, size * 0.8, 0, Math.PI * 2);
+            context.fill();
+            context.fillRect(cx - size * 0.45, cy + size * 0.3, size * 0.9, size * 0.5);
+            context.fillStyle = profile.hullColor;
+            context.beginPath();
+            context.arc(cx - size * 0.32, cy - size * 0.25, size * 0.2, 0, Math.PI * 2);
+            context.arc(cx + size * 0.32, cy - size * 0.25, size * 0.2, 0, Math.PI * 2);
+            context.fill();
+            break;
+        case 'anchor':
+            context.beginPath();
+            context.arc(cx, cy - size * 1.1, size * 0.25, 0, Math.PI * 2);
+            context.moveTo(cx, cy - size * 0.85);
+            context.lineTo(cx, cy + size * 1.1);
+            context.moveTo(cx - size * 0.6, cy - size * 0.45);
+            context.lineTo(cx + size * 0.6, cy - size * 0.45);
+            context.moveTo(cx + size * 1.0, cy + size * 0.4);
+            context.arc(cx, cy + size * 0.4, size, 0, Math.PI);
+            context.stroke();
+            break;
+        case 'star':
+            context.beginPath();
+            for (let i = 0; i < 10; i++) {
+                const radius = i % 2 === 0 ? size * 1.3 : size * 0.55;
+                const angle = -Math.PI / 2 + i * Math.PI / 5;
+                context.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+            }
+            context.closePath();
+            context.fill();
+            break;
+        case 'crown':
+            context.beginPath();
+            context.moveTo(cx - size * 1.2, cy + size * 0.8);
+            context.lineTo(cx - size * 1.2, cy - size * 0.8);
+            context.lineTo(cx - size * 0.6, cy);
+            context.lineTo(cx, cy - size);
+            context.lineTo(cx + size * 0.6, cy);
+            context.lineTo(cx + size * 1.2, cy - size * 0.8);
+            context.lineTo(cx + size * 1.2, cy + size * 0.8);
+            context.closePath();
+            context.fill();
+            break;
+        case 'swords':
+            context.beginPath();
+            context.moveTo(cx - size * 1.2, cy + size * 1.2);
+            context.lineTo(cx + size * 1.2, cy - size * 1.2);
+            context.moveTo(cx + size * 1.2, cy + size * 1.2);
+            context.lineTo(cx - size * 1.2, cy - size * 1.2);
+            // Hilts
+            context.moveTo(cx - size * 1.2, cy + size * 0.5);
+            context.lineTo(cx - size * 0.5, cy + size * 1.2);
+            context.moveTo(cx + size * 1.2, cy + size * 0.5);
+            context.lineTo(cx + size * 0.5, cy + size * 1.2);
+            context.stroke();
+            break;
+        default:
+            break; // Plain flag
+    }
+}
+
+function createFlagTexture(profile) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 80;
+    drawFlag(canvas.getContext('2d'), profile);
+    return new THREE.CanvasTexture(canvas);
+}
+
+// Recolor a ship's hull, trim and sails and hoist its flag at the masthead
+//   ship - pawn group with shipModel and hullBounds (materials must be per-instance clones)
+export function applyShipProfile(ship, profile) {
+    const hullColor = new THREE.Color(profile.hullColor);
+    const trimColor = hullColor.clone().multiplyScalar(0.6);
+    const sailColor = new THREE.Color(profile.sailColor);
+
+    ship.traverse((child) => {
+        if (!child.isMesh || !child.material || !child.material.color) {
+            return;
+        }
+        const name = child.material.name;
+        let color = null;
+        if (HULL_MATERIALS.includes(name)) {
+            color = hullColor;
+        } else if (TRIM_MATERIALS.includes(name)) {
+            color = trimColor;
+        } else if (SAIL_MATERIALS.includes(name)) {
+            color = sailColor;
+        }
+        if (color) {
+            child.material.color.copy(color);
+            child.userData.baseColor = color.clone(); // Damage darkening starts from the chosen color
+        }
+    });
+
+    // Replace the old flag
+    if (ship.profileFlag) {
+        ship.profileFlag.parent.remove(ship.profileFlag);
+        ship.profileFlag.material.map.dispose();
+        ship.profileFlag.material.dispose();
+        ship.profileFlag = null;
+    }
+    if (!ship.shipModel || profile.flag === 'none') {
+        return;
+    }
+    const geometry = new THREE.PlaneGeometry(1.6, 1.0);
+    geometry.translate(0.8, -0.5, 0); // Hang from the top of the pole
+    const flag = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        map: createFlagTexture(profile),
+        side: THREE.DoubleSide
+    }));
+    const scale = ship.shipModel.scale.y || 1;
+    const bounds = ship.hullBounds;
+    const top = bounds && bounds.top !== undefined ? bounds.top : 5 * scale;
+    flag.position.set(bounds ? bounds.centerX / scale : 0, (top + 0.5) / scale, bounds ? bounds.centerZ / scale : 0);
+    flag.rotation.y = -Math.PI / 2; // Stream aft
+    flag.scale.setScalar(1 / scale);
+    ship.shipModel.add(flag);
+    ship.profileFlag = flag;
+}
+
+// Floating name above a ship - other players' ships carry one, lettered in their identity color
+export function createNameplate(name, color = 0xFFFFFF) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 48;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 28px Consolas, monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    context.fillText(name, canvas.width / 2, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false,
+        transparent: true
+    }));
+    sprite.scale.set(6, 1.125, 1);
+    return sprite;
+}
@@ -1,35 +1,52 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { inputManager } from './inputActions.js';
+import { oceanModel } from './oceanModel.js';
 
+// Spectator camera - free flight, or follow mode locked onto one ship with an orbit
+// around it. Next/previous target cycles through the ships the game lists (the local
+// ship and every networked player); free camera lets go of the target.
 export class SpectatorPawn {
-    constructor(scene, camera) {
+    constructor(scene, camera, input = inputManager) {
         this.scene = scene;
         this.camera = camera;
+        this.input = input; // Action map - spectator actions are live while this pawn is active
         this.speed = 100; // Fast movement speed
         this.mouseSensitivity = 0.002;
         this.active = false;
 
+        // Follow mode
+        this.getTargets = () => []; // Set by the game - returns [{ id, label, object }] of ships to follow
+        this.target = null; // Followed ship { id, label, object }, null in free flight
+        this.followYaw = 0; // Orbit around the target
+        this.followPitch = 0.35;
+        this.followDistance = 30;
+        this.minFollowDistance = 8;
+        this.maxFollowDistance = 200;
+        this.zoomRate = 1.2; // How fast forward/back zoom the follow camera (e-folds per second)
+        this.waterClearance = 1.5; // Keep the follow camera this far above the waves
+
+        input.onPress('spectatorNextTarget', () => this.active && this.cycleTarget(1));
+        input.onPress('spectatorPrevTarget', () => this.active && this.cycleTarget(-1));
+        input.onPress('spectatorFreeCam', () => this.active && this.setTarget(null));
+
         // Initial position and rotation
         this.position = new THREE.Vector3(0, 100, 0);
         this.rotation = new THREE.Euler(0, 0, 0);
 
-        // Movement state - tracks which keys are pressed
+        // Movement state - which spectator actions are held, read from the action map each frame
         this.keys = {
-            forward: false,    // W key
-            backward: false,   // S key
-            left: false,       // A key
-            right: false,      // D key
-            up: false,         // Space key
-            down: false        // Shift key
+            forward: false,    // spectatorForward
+            backward: false,   // spectatorBackward
+            left: false,       // spectatorLeft
+            right: false,      // spectatorRight
+            up: false,         // spectatorUp
+            down: false        // spectatorDown
         };
 
         // Mouse look state
         this.yaw = 0;
         this.pitch = 0;
 
-        // Bind event handlers
-        this.handleKeyDown = this.handleKeyDown.bind(this);
-        this.handleKeyUp = this.handleKeyUp.bind(this);
-
         console.log('[SpectatorPawn] Constructor completed with speed:', this.speed);
     }
 
@@ -38,7 +55,14 @@ export class SpectatorPawn {
             return;
         }
 
-        // Calculate movement based on key presses
+        this.readActions();
+
+        if (this.target) {
+            this.updateFollow(deltaTime);
+            return;
+        }
+
+        // Calculate movement based on held actions
         const movement = new THREE.Vector3();
         const speed = this.speed * deltaTime;
 
@@ -82,9 +106,22 @@ export class SpectatorPawn {
     handleMouseMovement(mouseX, mouseY) {
         if (!this.active) return;
 
-        // Update yaw and pitch based on mouse movement
-        this.yaw -= mouseX * this.mouseSensitivity;
-        this.pitch -= mouseY * this.mouseSensitivity;
+        this.look(mouseX * this.mouseSensitivity, mouseY * this.mouseSensitivity);
+    }
+
+    // Turn the view by yaw and pitch deltas in radians (mouse or gamepad right stick)
+    // In follow mode this swings the orbit around the target instead
+    look(yawDelta, pitchDelta) {
+        if (!this.active) return;
+
+        if (this.target) {
+            this.followYaw -= yawDelta;
+            this.followPitch = Math.max(-0.2, Math.min(1.4, this.followPitch - pitchDelta));
+            return;
+        }
+
+        this.yaw -= yawDelta;
+        this.pitch -= pitchDelta;
 
         // Clamp pitch to prevent camera flipping
         this.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.pitch));
@@ -111,10 +148,6 @@ export class SpectatorPawn {
         // Set camera position immediately
         this.camera.position.copy(this.position);
         
-        // Add keyboard event listeners
-        document.addEventListener('keydown', this.handleKeyDown);
-        document.addEventListener('keyup', this.handleKeyUp);
-        
         console.log('[SpectatorPawn] Activated with position:', this.position.toArray(), 'Active:', this.active);
     }
 
@@ -125,71 +158,88 @@ export class SpectatorPawn {
         // Reset key states
         Object.keys(this.keys).forEach(key => this.keys[key] = false);
         
-        // Remove keyboard event listeners
-        document.removeEventListener('keydown', this.handleKeyDown);
-        document.removeEventListener('keyup', this.handleKeyUp);
-        
         console.log('[SpectatorPawn] Deactivated, Active:', this.active);
     }
 
-    // Handle key press events
-    handleKeyDown(event) {
-        if (!this.active) return;
-        
-        const key = event.key.toLowerCase();
-        switch (key) {
-            case 'w':
-                this.keys.forward = true;
-                break;
-            case 's':
-                this.keys.backward = true;
-                break;
-            case 'a':
-                this.keys.left = true;
-                break;
-            case 'd':
-                this.keys.right = true;
-                break;
-            case ' ':
-                this.keys.up = true;
-                event.preventDefault(); // Prevent page scroll
-                break;
-            case 'shift':
-                this.keys.down = true;
-                break;
+    // Follow a ship (or null for free flight)
+    setTarget(target) {
+        if (!target) {
+            if (this.target) {
+                // Carry on flying freely from where the follow camera was
+                this.position.copy(this.camera.position);
+                const forward = new THREE.Vector3();
+                this.camera.getWorldDirection(forward);
+                this.yaw = Math.atan2(-forward.x, -forward.z);
+                this.pitch = Math.asin(Math.max(-1, Math.min(1, forward.y)));
+            }
+            this.target = null;
+            return;
+        }
+        if (!this.target) {
+            // Start the orbit from the side the camera is already on
+            const offset = new THREE.Vector3().subVectors(this.camera.position, target.object.position);
+            this.followYaw = Math.atan2(offset.x, offset.z);
         }
+        this.target = target;
     }
 
-    // Handle key release events
-    handleKeyUp(event) {
-        if (!this.active) return;
-        
-        const key = event.key.toLowerCase();
-        switch (key) {
-            case 'w':
-                this.keys.forward = false;
-                break;
-            case 's':
-                this.keys.backward = false;
-                break;
-            case 'a':
-                this.keys.left = false;
-                break;
-            case 'd':
-                this.keys.right = false;
-                break;
-            case ' ':
-                this.keys.up = false;
-                break;
-            case 'shift':
-                this.keys.down = false;
-                break;
+    // Next (1) or previous (-1) ship in the list - from free flight it starts at the first
+    cycleTarget(direction = 1) {
+        const targets = this.getTargets();
+        if (targets.length === 0) {
+            this.setTarget(null);
+            return null;
         }
+        const index = this.target ? targets.findIndex(candidate => candidate.id === this.target.id) : -1;
+        const next = index === -1
+            ? (direction > 0 ? 0 : targets.length - 1)
+            : (index + direction + targets.length) % targets.length;
+        this.setTarget(targets[next]);
+        return this.target;
+    }
+
+    // Orbit the followed ship - forward/back zoom in and out
+    updateFollow(deltaTime) {
+        // Refresh from the list - the ship may have left, or its label changed
+        const target = this.getTargets().find(candidate => candidate.id === this.target.id);
+        if (!target) {
+            this.setTarget(null);
+            return;
+        }
+        this.target = target;
+
+        const zoom = (this.keys.backward ? 1 : 0) - (this.keys.forward ? 1 : 0);
+        if (zoom !== 0) {
+            this.followDistance *= Math.exp(zoom * this.zoomRate * deltaTime);
+            this.followDistance = Math.max(this.minFollowDistance, Math.min(this.maxFollowDistance, this.followDistance));
+        }
+        this.followYaw += ((this.keys.left ? 1 : 0) - (this.keys.right ? 1 : 0)) * deltaTime;
+
+        const focus = target.object.position;
+        const horizontal = this.followDistance * Math.cos(this.followPitch);
+        this.position.set(
+            focus.x + horizontal * Math.sin(this.followYaw),
+            focus.y + this.followDistance * Math.sin(this.followPitch),
+            focus.z + horizontal * Math.cos(this.followYaw)
+        );
+        const surface = oceanModel.getHeight(this.position.x, this.position.z);
+        this.position.y = Math.max(this.position.y, surface + this.waterClearance);
+        this.camera.position.copy(this.position);
+        this.camera.lookAt(focus);
+    }
+
+    // Held spectator actions from the action map
+    readActions() {
+        this.keys.forward = this.input.isActive('spectatorForward');
+        this.keys.backward = this.input.isActive('spectatorBackward');
+        this.keys.left = this.input.isActive('spectatorLeft');
+        this.keys.right = this.input.isActive('spectatorRight');
+        this.keys.up = this.input.isActive('spectatorUp');
+        this.keys.down = this.input.isActive('spectatorDown');
     }
 
-    // Clean up event listeners
+    // Nothing to clean up - input comes from the shared action map
     destroy() {
-        document.removeEventListener('keydown', this.handleKeyDown);
-        document.removeEventListener('keyup', this.handleKeyUp);
+        this.deactivate();
     }
 }
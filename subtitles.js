@@ -0,0 +1,133 @@
+// subtitles.js - Text cues for the game's sounds
+// With subtitles on, events that make a sound show a short caption at the bottom of the
+// screen, like "[Cannon fire]". Cues with a position say which side the sound came from,
+// relative to where the camera is looking. A cue that is already showing is refreshed with
+// a count instead of stacking, and only the newest few stay on screen.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+
+export const DEFAULT_SUBTITLE_SETTINGS = {
+    duration: 3, // Seconds a cue stays up
+    maxLines: 3, // Cues shown at once
+    aheadAngle: Math.PI / 6 // Sounds within this angle of the view count as straight ahead
+};
+
+export class Subtitles {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_SUBTITLE_SETTINGS, ...settings };
+        this.enabled = false;
+        this.listener = null; // Camera the directions are measured from
+        this.lines = []; // { text, count, until, element }
+        this.element = null; // Created with the first cue
+        this._forward = new THREE.Vector3();
+        this._toSound = new THREE.Vector3();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.clear();
+        }
+    }
+
+    setListener(object) {
+        this.listener = object;
+    }
+
+    // Show a caption - position (world) adds the direction it came from
+    cue(text, { position = null, duration = this.settings.duration } = {}) {
+        if (!this.enabled) {
+            return;
+        }
+        const caption = this.withDirection(text, position);
+        const until = performance.now() + duration * 1000;
+        let line = this.lines.find(candidate => candidate.text === caption);
+        if (line) {
+            line.count++;
+            line.until = until;
+        } else {
+            line = { text: caption, count: 1, until, element: document.createElement('div') };
+            this.lines.push(line);
+            this.getElement().appendChild(line.element);
+            while (this.lines.length > this.settings.maxLines) {
+                this.lines.shift().element.remove();
+            }
+        }
+        line.element.textContent = line.count > 1 ? `${line.text} ×${line.count}` : line.text;
+        this.element.style.display = 'block';
+    }
+
+    // '◀ [text]', '[text] ▶', '[text] (behind)' or just '[text]' for sounds ahead
+    withDirection(text, position) {
+        if (!position || !this.listener) {
+            return text;
+        }
+        const forward = this.listener.getWorldDirection(this._forward).setY(0);
+        const toSound = this._toSound.subVectors(position, this.listener.position).setY(0);
+        if (forward.lengthSq() < 1e-6 || toSound.lengthSq() < 1e-6) {
+            return text;
+        }
+        // Signed angle from the view direction to the sound, positive to the right
+        const angle = Math.atan2(forward.x * toSound.z - forward.z * toSound.x, forward.dot(toSound));
+        if (Math.abs(angle) <= this.settings.aheadAngle) {
+            return text;
+        }
+        if (Math.abs(angle) >= Math.PI - this.settings.aheadAngle) {
+            return `${text} (behind)`;
+        }
+        return angle > 0 ? `${text} ▶` : `◀ ${text}`;
+    }
+
+    // Per frame - let expired cues go
+    update() {
+        if (this.lines.length === 0) {
+            return;
+        }
+        const now = performance.now();
+        this.lines = this.lines.filter(line => {
+            if (line.until > now) {
+                return true;
+            }
+            line.element.remove();
+            return false;
+        });
+        if (this.lines.length === 0) {
+            this.element.style.display = 'none';
+        }
+    }
+
+    clear() {
+        for (const line of this.lines) {
+            line.element.remove();
+        }
+        this.lines = [];
+        if (this.element) {
+            this.element.style.display = 'none';
+        }
+    }
+
+    getElement() {
+        if (!this.element) {
+            const element = document.createElement('div');
+            element.id = 'subtitles';
+            element.style.position = 'absolute';
+            element.style.bottom = '170px';
+            element.style.left = '50%';
+            element.style.transform = 'translateX(-50%)';
+            element.style.padding = '6px 14px';
+            element.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+            element.style.color = 'white';
+            element.style.fontSize = '20px';
+            element.style.lineHeight = '1.4';
+            element.style.textAlign = 'center';
+            element.style.borderRadius = '5px';
+            element.style.zIndex = '1000';
+            element.style.pointerEvents = 'none';
+            document.body.appendChild(element);
+            this.element = element;
+        }
+        return this.element;
+    }
+}
+
+// Shared by everything that makes a sound
+export const subtitles = new Subtitles();
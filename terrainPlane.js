@@ -1,5 +1,6 @@
 // TerrainPlane.js
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { accessibility } from './accessibility.js'; // Reduced motion damps flashes and sparkles
 
 export class TerrainPlane {
     constructor(gridX, gridZ, scene, planeSize, planeGeometry, planeMaterial) {
@@ -534,6 +535,9 @@ export class TerrainPlane {
         this.rotation += deltaTime * this.rotationSpeed * stormRotationMultiplier;
         this.blockGroup.rotation.y = this.rotation;
         
+        // Reduced motion keeps a fraction of the flashing and twinkling
+        const motion = accessibility.motionScale;
+        
         // Cartoony water surface effects with regional personality and sparkles
         if (this.landscapeWireframe.material) {
             // Apply personality-based modifiers
@@ -548,9 +552,9 @@ export class TerrainPlane {
             const aquaGreen = (0.3 + Math.sin(this.wavePhase * 2.0) * 0.15) * sparkleIntensity + personalityMod.colorShift.g;
             
             // Personality-influenced sparkle effects
-            const sparkle1 = Math.sin(this.wavePhase * 6.0 * personalityMod.sparkleRate) * 0.3 + 0.3;
-            const sparkle2 = Math.cos(this.wavePhase * 8.0 * personalityMod.sparkleRate) * 0.25 + 0.25;
-            const diamondSparkle = Math.sin(this.wavePhase * 10.0 * personalityMod.sparkleRate) * Math.cos(this.wavePhase * 7.0) * 0.2 + 0.2;
+            const sparkle1 = (Math.sin(this.wavePhase * 6.0 * personalityMod.sparkleRate) * motion + 1) * 0.3;
+            const sparkle2 = (Math.cos(this.wavePhase * 8.0 * personalityMod.sparkleRate) * motion + 1) * 0.25;
+            const diamondSparkle = (Math.sin(this.wavePhase * 10.0 * personalityMod.sparkleRate) * Math.cos(this.wavePhase * 7.0) * motion + 1) * 0.2;
             
             // Regional underwater activity effects
             let thermalGlow = 0;
@@ -567,8 +571,8 @@ export class TerrainPlane {
                 
                 // Dramatic cartoon storm colors with electric sparkles and personality
                 if (this.stormIntensity > 1.0) {
-                    const lightning = Math.sin(this.wavePhase * 15.0) * 0.3; // Lightning-like flashes
-                    const stormSparkle = Math.cos(this.wavePhase * 12.0) * 0.25; // Storm sparkles
+                    const lightning = Math.sin(this.wavePhase * 15.0) * 0.3 * motion; // Lightning-like flashes
+                    const stormSparkle = Math.cos(this.wavePhase * 12.0) * 0.25 * motion; // Storm sparkles
                     this.landscapeWireframe.material.color.setRGB(
                         Math.max(0, Math.min(1, 0.1 + lightning + stormSparkle + personalityMod.colorShift.r)), 
                         Math.max(0, Math.min(1, 0.4 + aquaGreen * 0.8 + stormSparkle * 0.7 + personalityMod.colorShift.g)), 
@@ -723,7 +727,7 @@ export class TerrainPlane {
                     
                     // Chaotic noise during severe storms - affects the rocky base too
                     if (this.stormIntensity > 1.0) {
-                        const chaosAmp = (this.stormIntensity - 1.0) * amp * 1.5;
+                        const chaosAmp = (this.stormIntensity - 1.0) * amp * 1.5 * motion; // Per-frame jitter - damped with reduced motion
                         waveHeight += (Math.random() - 0.5) * chaosAmp;
                         
                         // During severe storms, even the rocky base shifts slightly
@@ -746,8 +750,8 @@ export class TerrainPlane {
             const sparkleColors = this.sparkleParticles.geometry.attributes.color;
             const sparkleSizes = this.sparkleParticles.geometry.attributes.size;
             
-            // Update sparkle animation phases
-            this.sparklePhase += deltaTime * this.sparkleSpeed;
+            // Update sparkle animation phases (slowed with reduced motion)
+            this.sparklePhase += deltaTime * this.sparkleSpeed * motion;
             this.magicalGlowPhase += deltaTime * this.magicalGlowSpeed;
             this.bubblePhase += deltaTime * this.bubbleSpeed;
             
@@ -764,7 +768,7 @@ export class TerrainPlane {
                 sparklePos.setZ(i, this.originalSparklePositions[i3 + 2] + driftZ);
                 
                 // Animate sparkle brightness and colors
-                const brightness = Math.sin(this.sparklePhase * 2.0 + i * 0.8) * 0.3 + 0.7;
+                const brightness = Math.sin(this.sparklePhase * 2.0 + i * 0.8) * 0.3 * motion + 0.7;
                 const colorShift = Math.cos(this.magicalGlowPhase + i * 0.6) * 0.2;
                 
                 // Cycle through different sparkle colors
@@ -782,7 +786,7 @@ export class TerrainPlane {
                 
                 // Animate sparkle sizes for twinkling effect
                 const sizeVariation = Math.sin(this.sparklePhase * 3.0 + i * 1.2) * 0.3 + 0.7;
-                sparkleSizes.setX(i, sizeVariation * (0.8 + Math.random() * 0.4));
+                sparkleSizes.setX(i, sizeVariation * (1.0 + (Math.random() - 0.5) * 0.4 * motion));
             }
             
             sparklePos.needsUpdate = true;
@@ -0,0 +1,188 @@
+// audioEngine.test.mjs - Offline tests for the procedural audio engine
+// The engine is driven through its createContext seam with a recording stand-in for the
+// WebAudio graph, so cue scheduling and the mixer can be checked without a sound device.
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUDIO_CHANNELS, AudioEngine, createRandom } from '../audioEngine.js';
+
+// AudioParam that records what was scheduled on it
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+    setValueAtTime(value, time) { this.events.push({ type: 'set', value, time }); return this; }
+    linearRampToValueAtTime(value, time) { this.events.push({ type: 'linear', value, time }); return this; }
+    exponentialRampToValueAtTime(value, time) {
+        assert.ok(value > 0, 'exponential ramps need a positive target');
+        this.events.push({ type: 'exponential', value, time });
+        return this;
+    }
+    setTargetAtTime(value, time, timeConstant) { this.events.push({ type: 'target', value, time, timeConstant }); return this; }
+    cancelScheduledValues() { return this; }
+    // Where the param is headed - the last value scheduled on it
+    get target() {
+        return this.events.length > 0 ? this.events[this.events.length - 1].value : this.value;
+    }
+}
+
+class FakeNode {
+    connect(node) { return node; }
+    disconnect() {}
+}
+
+class FakeGain extends FakeNode {
+    constructor() { super(); this.gain = new FakeParam(1); }
+}
+
+class FakeSource extends FakeNode {
+    constructor(context) {
+        super();
+        this.context = context;
+        this.playbackRate = new FakeParam(1);
+        this.frequency = new FakeParam(440);
+    }
+    start() { this.context.started++; }
+    stop(time) { this.stopTime = time; }
+}
+
+class FakeFilter extends FakeNode {
+    constructor() { super(); this.frequency = new FakeParam(350); this.Q = new FakeParam(1); }
+}
+
+class FakePanner extends FakeNode {
+    constructor() { super(); this.positionX = new FakeParam(); this.positionY = new FakeParam(); this.positionZ = new FakeParam(); }
+}
+
+class FakeContext {
+    constructor() {
+        this.sampleRate = 8000;
+        this.currentTime = 0;
+        this.started = 0; // Sources started so far
+        this.destination = new FakeNode();
+        this.listener = {};
+        for (const axis of ['positionX', 'positionY', 'positionZ', 'forwardX', 'forwardY', 'forwardZ', 'upX', 'upY', 'upZ']) {
+            this.listener[axis] = new FakeParam();
+        }
+    }
+    createGain() { return new FakeGain(); }
+    createBufferSource() { return new FakeSource(this); }
+    createOscillator() { return new FakeSource(this); }
+    createBiquadFilter() { return new FakeFilter(); }
+    createPanner() { return new FakePanner(); }
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+}
+
+function createEngine(settings = {}) {
+    const cues = [];
+    const engine = new AudioEngine({
+        createContext: () => new FakeContext(),
+        random: createRandom(7),
+        onCue: (text) => cues.push(text),
+        ...settings
+    });
+    engine.start();
+    return { engine, cues };
+}
+
+// Run the engine for a number of seconds of game time in 50 ms frames
+function run(engine, frame, seconds) {
+    for (let time = 0; time < seconds; time += 0.05) {
+        engine.context.currentTime += 0.05;
+        engine.update(frame, 0.05);
+    }
+}
+
+const CALM = { waveAmplitude: 0.3, stormIntensity: 0, wind: 0.5, ship: null, ships: [] };
+const GALE = { ...CALM, waveAmplitude: 5, stormIntensity: 1.5, wind: 2 };
+
+test('the mixer starts each channel at its volume and eases to new ones', () => {
+    const { engine } = createEngine();
+    assert.equal(engine.master.gain.target, 1);
+    for (const channel of AUDIO_CHANNELS) {
+        assert.equal(engine.buses[channel].gain.target, 1);
+    }
+
+    assert.equal(engine.setVolume('weather', 0.25), true);
+    const last = engine.buses.weather.gain.events.at(-1);
+    assert.equal(last.type, 'target');
+    assert.equal(last.value, 0.25);
+    assert.equal(last.timeConstant, engine.settings.fadeTime);
+
+    engine.setVolume('master', 3);
+    assert.equal(engine.volumes.master, 1, 'volumes are clamped to 0..1');
+    assert.equal(engine.setVolume('music', 0.5), false);
+});
+
+test('pausing silences the master and unpausing restores its volume', () => {
+    const { engine } = createEngine();
+    engine.setVolume('master', 0.8);
+    engine.setPaused(true);
+    assert.equal(engine.master.gain.target, 0);
+
+    engine.setVolume('master', 0.6); // Changed in the menu while paused
+    assert.equal(engine.master.gain.target, 0);
+    assert.equal(engine.buses.ship.gain.target, 1, 'only the master is ducked');
+
+    engine.setPaused(false);
+    assert.equal(engine.master.gain.target, 0.6);
+});
+
+test('ocean and wind follow the sea state', () => {
+    const { engine } = createEngine();
+    run(engine, CALM, 0.1);
+    const calmOcean = engine.ocean.level.gain.target;
+    const calmWind = engine.wind.level.gain.target;
+    run(engine, GALE, 0.1);
+    assert.ok(engine.ocean.level.gain.target > calmOcean);
+    assert.ok(engine.wind.level.gain.target > calmWind);
+});
+
+test('thunder only rolls in storms, and each clap is cued', () => {
+    const { engine, cues } = createEngine();
+    run(engine, { ...CALM, stormIntensity: 0.3 }, 60);
+    assert.equal(cues.filter(text => text === '[Thunder rumbles]').length, 0);
+
+    run(engine, GALE, 60);
+    const claps = cues.filter(text => text === '[Thunder rumbles]').length;
+    const [shortest] = engine.settings.thunderInterval; // Gaps of shortest..2 * shortest at full strength
+    assert.ok(claps >= Math.floor(60 / (shortest * 2)) && claps <= Math.ceil(60 / shortest) + 1, `${claps} claps in a minute`);
+});
+
+test('the wind howl is cued once until the wind drops well below it', () => {
+    const { engine, cues } = createEngine();
+    run(engine, GALE, 5);
+    run(engine, { ...GALE, stormIntensity: 0.9 }, 5); // Still howling
+    assert.equal(cues.filter(text => text === '[Wind howls]').length, 1);
+
+    run(engine, CALM, 1);
+    run(engine, GALE, 1);
+    assert.equal(cues.filter(text => text === '[Wind howls]').length, 2);
+});
+
+test('the same seed schedules the same sounds', () => {
+    const frame = { ...GALE, ship: { sailTrim: { canvas: 1, fill: 1, luff: 0.5 }, roll: 0.2 } };
+    const first = createEngine();
+    const second = createEngine();
+    run(first.engine, frame, 30);
+    run(second.engine, frame, 30);
+    assert.deepEqual(first.cues, second.cues);
+    assert.equal(first.engine.context.started, second.engine.context.started);
+});
+
+test('other ships get a voice while they are around', () => {
+    const { engine } = createEngine();
+    const ship = { id: 'peer', position: { x: 40, y: 0, z: 0 }, speed: 8, sailTrim: { canvas: 1, fill: 1 } };
+    run(engine, { ...CALM, ships: [ship] }, 1);
+    assert.equal(engine.voices.size, 1);
+    const voice = engine.voices.get('peer');
+    assert.equal(voice.panner.positionX.target, 40);
+
+    run(engine, CALM, 0.05);
+    assert.equal(engine.voices.size, 0);
+    assert.ok(voice.source.stopTime > 0, 'the bow wave is stopped');
+});
@@ -0,0 +1,122 @@
+// gamepadInput.test.mjs - Scripted gamepad tests
+// A mocked getGamepads hands the reader a pad list we control, so the dead zone, the
+// proportional helm, trigger presses and connection changes can be checked without a pad.
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAMEPAD_BUTTONS, GamepadInput, applyDeadZone } from '../gamepadInput.js';
+import { InputManager } from '../inputActions.js';
+
+// In-memory stand-in for localStorage
+function createFakeStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// A standard-mapping pad with every button up and the sticks centred
+function createPad({ id = 'Test Pad (STANDARD GAMEPAD)', axes = [0, 0, 0, 0], buttons = {} } = {}) {
+    return {
+        id,
+        connected: true,
+        mapping: 'standard',
+        axes,
+        buttons: GAMEPAD_BUTTONS.map(name => {
+            const value = buttons[name] || 0;
+            return { pressed: value >= 0.5, value };
+        })
+    };
+}
+
+// Reader whose pad list is whatever the test last put in `pads`
+function createReader(settings = {}) {
+    const script = { pads: [] };
+    const input = new InputManager(createFakeStorage());
+    const gamepad = new GamepadInput(input, { getGamepads: () => script.pads, settings });
+    return { script, input, gamepad };
+}
+
+test('the radial dead zone zeroes small travel and rescales the rest', () => {
+    assert.deepEqual(applyDeadZone(0.1, 0.1, 0.2), { x: 0, y: 0 }); // Length 0.14, inside
+    assert.deepEqual(applyDeadZone(0, 0, 0.2), { x: 0, y: 0 });
+
+    // Just past the edge reads almost nothing, halfway out reads half, the rim reads full
+    assert.ok(applyDeadZone(0.21, 0, 0.2).x < 0.02);
+    assert.ok(Math.abs(applyDeadZone(0.6, 0, 0.2).x - 0.5) < 1e-9);
+    assert.ok(Math.abs(applyDeadZone(-1, 0, 0.2).x + 1) < 1e-9);
+
+    // Radial, not per axis - a diagonal keeps its direction
+    const diagonal = applyDeadZone(0.5, 0.5, 0.2);
+    assert.ok(Math.abs(diagonal.x - diagonal.y) < 1e-9);
+    assert.ok(Math.hypot(diagonal.x, diagonal.y) < Math.hypot(0.5, 0.5));
+});
+
+test('the left stick steers in proportion, left for a positive rudder', () => {
+    const { script, input, gamepad } = createReader({ deadZone: 0.1 });
+    script.pads = [createPad({ axes: [-1, 0, 0, 0] })];
+    gamepad.poll();
+    assert.ok(Math.abs(input.getAxis('steer') - 1) < 1e-9, 'hard left is full port rudder');
+
+    script.pads = [createPad({ axes: [0.55, 0, 0, 0] })];
+    gamepad.poll();
+    assert.ok(Math.abs(input.getAxis('steer') + 0.5) < 1e-9, 'half right is half starboard rudder');
+
+    script.pads = [createPad({ axes: [0.05, 0, 0, 0] })];
+    gamepad.poll();
+    assert.equal(input.getAxis('steer'), 0, 'drift inside the dead zone leaves the helm alone');
+});
+
+test('the triggers raise and lower sail past their threshold', () => {
+    const { script, input, gamepad } = createReader({ triggerThreshold: 0.3 });
+    const events = [];
+    for (const actionId of ['raiseSail', 'lowerSail']) {
+        input.onPress(actionId, () => events.push(`press ${actionId}`));
+        input.onRelease(actionId, () => events.push(`release ${actionId}`));
+    }
+
+    script.pads = [createPad({ buttons: { RightTrigger: 0.2 } })];
+    gamepad.poll();
+    assert.deepEqual(events, [], 'a light squeeze is below the threshold');
+
+    script.pads = [createPad({ buttons: { RightTrigger: 0.4 } })];
+    gamepad.poll();
+    gamepad.poll(); // Held - no second press
+    assert.deepEqual(events, ['press raiseSail']);
+    assert.equal(input.isActive('raiseSail'), true);
+
+    script.pads = [createPad({ buttons: { LeftTrigger: 0.9 } })];
+    gamepad.poll();
+    assert.deepEqual(events, ['press raiseSail', 'release raiseSail', 'press lowerSail']);
+
+    script.pads = [createPad()];
+    gamepad.poll();
+    assert.equal(events.at(-1), 'release lowerSail');
+    assert.equal(input.isActive('lowerSail'), false);
+});
+
+test('connecting and disconnecting a pad is reported once each', () => {
+    const { script, input, gamepad } = createReader();
+    const changes = [];
+    const unsubscribe = gamepad.onConnectionChange(id => changes.push(id));
+
+    gamepad.poll();
+    assert.deepEqual(changes, [], 'no pad, no change');
+
+    script.pads = [null, createPad({ id: 'Pad A', buttons: { RightTrigger: 1 } })];
+    gamepad.poll();
+    gamepad.poll();
+    assert.deepEqual(changes, ['Pad A']);
+
+    script.pads = [];
+    gamepad.poll();
+    assert.deepEqual(changes, ['Pad A', null]);
+    assert.equal(input.isActive('raiseSail'), false, 'a pad that goes lets go of its actions');
+
+    unsubscribe();
+    script.pads = [createPad({ id: 'Pad B' })];
+    gamepad.poll();
+    assert.deepEqual(changes, ['Pad A', null]);
+});
@@ -0,0 +1,291 @@
+// touchControls.js - On-screen controls for phones and tablets
+// Touch screens have no pointer lock and no keys, so a control layer sits over the game
+// instead: a steering joystick bottom left (proportional helm; it flies the camera in
+// spectator mode), action buttons bottom right, pause/settings/camera/spectator top right, and
+// dragging anywhere else on the canvas orbits the camera. It switches itself on the first
+// time the screen is touched (or at load on a touch-first device). Held buttons and the
+// joystick go into the action map as the 'touch' device, so the game treats them like
+// keys. Sizes are in vmin so the layout scales with the screen.
+import { inputManager } from './inputActions.js';
+import { applyDeadZone } from './gamepadInput.js';
+
+// Buttons on the layer - context decides when they are shown, like the actions themselves
+const TOUCH_BUTTONS = [
+    { action: 'raiseSail', label: 'Sail ▲', context: 'ship', group: 'actions' },
+    { action: 'lowerSail', label: 'Sail ▼', context: 'ship', group: 'actions' },
+    { action: 'firePort', label: '◀ Fire', context: 'ship', group: 'actions' },
+    { action: 'fireStarboard', label: 'Fire ▶', context: 'ship', group: 'actions' },
+    { action: 'toggleAnchor', label: 'Anchor', context: 'ship', group: 'actions' },
+    { action: 'surge', label: 'Surge', context: 'ship', group: 'actions' },
+    { action: 'spectatorUp', label: 'Up', context: 'spectator', group: 'actions' },
+    { action: 'spectatorDown', label: 'Down', context: 'spectator', group: 'actions' },
+    { action: 'spectatorPrevTarget', label: '◀ Ship', context: 'spectator', group: 'actions' },
+    { action: 'spectatorNextTarget', label: 'Ship ▶', context: 'spectator', group: 'actions' },
+    { action: 'spectatorFreeCam', label: 'Free cam', context: 'spectator', group: 'actions' },
+    { action: 'pause', label: '❚❚', context: 'global', group: 'system' },
+    { action: 'toggleSettings', label: '⚙', context: 'global', group: 'system' },
+    { action: 'cycleCamera', label: '🎥', context: 'ship', group: 'system' },
+    { action: 'toggleSpectator', label: '👁', context: 'global', group: 'system' }
+];
+
+export const DEFAULT_TOUCH_SETTINGS = {
+    deadZone: 0.1, // Joystick travel ignored around the centre
+    lookSensitivity: 0.006, // Radians of camera orbit per pixel dragged
+    moveThreshold: 0.5 // Joystick travel that counts as a spectator direction press
+};
+
+// Whether the device is touch-first - phones and tablets, not touch-screen laptops with a mouse
+export function isTouchFirstDevice() {
+    return typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0 &&
+        typeof matchMedia === 'function' && matchMedia('(pointer: coarse)').matches;
+}
+
+export class TouchControls {
+    constructor(canvas, input = inputManager, settings = {}) {
+        this.canvas = canvas;
+        this.input = input;
+        this.settings = { ...DEFAULT_TOUCH_SETTINGS, ...settings };
+        this.active = false; // Touch seen - the layer takes over from pointer lock
+        this.enabled = false; // Game running - the layer is only shown in play
+        this.heldButtons = new Map(); // pointerId -> action id
+        this.stick = { pointerId: null, x: 0, y: 0 }; // Joystick deflection, -1..1 (y down)
+        this.lookPointerId = null;
+        this.lastLook = null;
+        this.look = { x: 0, y: 0 }; // Drag since the last consumeLook(), in pixels
+        this.context = null;
+
+        this.layer = this.buildLayer();
+        this.handleFirstTouch = this.handleFirstTouch.bind(this);
+        window.addEventListener('touchstart', this.handleFirstTouch, { passive: true });
+        if (isTouchFirstDevice()) {
+            this.activate();
+        }
+    }
+
+    buildLayer() {
+        const layer = document.createElement('div');
+        layer.id = 'touchControls';
+        layer.style.position = 'absolute';
+        layer.style.inset = '0';
+        layer.style.pointerEvents = 'none'; // Only the controls themselves catch touches
+        layer.style.zIndex = '1500';
+        layer.style.display = 'none';
+        layer.style.userSelect = 'none';
+        layer.style.webkitUserSelect = 'none';
+
+        // Joystick - a ring with a knob that follows the thumb
+        const base = document.createElement('div');
+        base.style.position = 'absolute';
+        base.style.left = '4vmin';
+        base.style.bottom = '4vmin';
+        base.style.width = 'min(34vmin, 220px)';
+        base.style.height = 'min(34vmin, 220px)';
+        base.style.borderRadius = '50%';
+        base.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+        base.style.backgroundColor = 'rgba(0, 0, 0, 0.25)';
+        base.style.pointerEvents = 'auto';
+        base.style.touchAction = 'none';
+        const knob = document.createElement('div');
+        knob.style.position = 'absolute';
+        knob.style.left = '50%';
+        knob.style.top = '50%';
+        knob.style.width = '40%';
+        knob.style.height = '40%';
+        knob.style.borderRadius = '50%';
+        knob.style.backgroundColor = 'rgba(255, 255, 255, 0.6)';
+        knob.style.transform = 'translate(-50%, -50%)';
+        base.appendChild(knob);
+        layer.appendChild(base);
+        this.stickBase = base;
+        this.stickKnob = knob;
+
+        base.addEventListener('pointerdown', (e) => {
+            if (this.stick.pointerId !== null) {
+                return;
+            }
+            e.preventDefault();
+            base.setPointerCapture(e.pointerId);
+            this.stick.pointerId = e.pointerId;
+            this.moveStick(e);
+        });
+        base.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.stick.pointerId) {
+                this.moveStick(e);
+            }
+        });
+        const releaseStick = (e) => {
+            if (e.pointerId === this.stick.pointerId) {
+                this.stick.pointerId = null;
+                this.stick.x = 0;
+                this.stick.y = 0;
+                knob.style.transform = 'translate(-50%, -50%)';
+                this.report();
+            }
+        };
+        base.addEventListener('pointerup', releaseStick);
+        base.addEventListener('pointercancel', releaseStick);
+
+        // Button clusters
+        const actions = document.createElement('div');
+        actions.style.position = 'absolute';
+        actions.style.right = '4vmin';
+        actions.style.bottom = '4vmin';
+        actions.style.display = 'grid';
+        actions.style.gridTemplateColumns = 'repeat(2, min(17vmin, 110px))';
+        actions.style.gap = '2vmin';
+        const system = document.createElement('div');
+        system.style.position = 'absolute';
+        system.style.right = '3vmin';
+        system.style.top = '3vmin';
+        system.style.display = 'flex';
+        system.style.gap = '2vmin';
+        layer.append(actions, system);
+
+        this.buttons = TOUCH_BUTTONS.map(def => {
+            const button = document.createElement('button');
+            button.textContent = def.label;
+            button.style.minHeight = def.group === 'system' ? 'min(11vmin, 56px)' : 'min(13vmin, 80px)';
+            button.style.minWidth = def.group === 'system' ? 'min(11vmin, 56px)' : '0';
+            button.style.fontSize = 'min(4.5vmin, 22px)';
+            button.style.color = 'white';
+            button.style.backgroundColor = 'rgba(0, 0, 0, 0.45)';
+            button.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+            button.style.borderRadius = '12px';
+            button.style.pointerEvents = 'auto';
+            button.style.touchAction = 'none';
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                button.setPointerCapture(e.pointerId);
+                this.heldButtons.set(e.pointerId, def.action);
+                button.style.backgroundColor = 'rgba(255, 255, 255, 0.35)';
+                this.report();
+            });
+            const release = (e) => {
+                if (this.heldButtons.delete(e.pointerId)) {
+                    button.style.backgroundColor = 'rgba(0, 0, 0, 0.45)';
+                    this.report();
+                }
+            };
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointercancel', release);
+            (def.group === 'system' ? system : actions).appendChild(button);
+            return { def, button };
+        });
+
+        // Dragging on the canvas itself orbits the camera
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch' || this.lookPointerId !== null) {
+                return;
+            }
+            this.lookPointerId = e.pointerId;
+            this.lastLook = { x: e.clientX, y: e.clientY };
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== this.lookPointerId) {
+                return;
+            }
+            this.look.x += e.clientX - this.lastLook.x;
+            this.look.y += e.clientY - this.lastLook.y;
+            this.lastLook = { x: e.clientX, y: e.clientY };
+        });
+        const endLook = (e) => {
+            if (e.pointerId === this.lookPointerId) {
+                this.lookPointerId = null;
+            }
+        };
+        this.canvas.addEventListener('pointerup', endLook);
+        this.canvas.addEventListener('pointercancel', endLook);
+
+        document.body.appendChild(layer);
+        return layer;
+    }
+
+    handleFirstTouch() {
+        window.removeEventListener('touchstart', this.handleFirstTouch);
+        this.activate();
+    }
+
+    activate() {
+        if (this.active) {
+            return;
+        }
+        this.active = true;
+        this.canvas.style.touchAction = 'none'; // Drags orbit the camera instead of scrolling the page
+        this.refresh();
+    }
+
+    // Shown only while the game is in play - hidden under the pause and settings menus
+    setEnabled(enabled) {
+        if (enabled === this.enabled) {
+            return;
+        }
+        this.enabled = enabled;
+        if (!enabled) {
+            // Hidden controls never see their pointerup, so let go of everything now
+            this.heldButtons.clear();
+            this.stick.pointerId = null;
+            this.stick.x = 0;
+            this.stick.y = 0;
+            this.stickKnob.style.transform = 'translate(-50%, -50%)';
+            for (const { button } of this.buttons) {
+                button.style.backgroundColor = 'rgba(0, 0, 0, 0.45)';
+            }
+            this.report();
+        }
+        this.refresh();
+    }
+
+    refresh() {
+        this.layer.style.display = this.active && this.enabled ? 'block' : 'none';
+    }
+
+    moveStick(event) {
+        const rect = this.stickBase.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (event.clientX - (rect.left + radius)) / radius;
+        let y = (event.clientY - (rect.top + radius)) / radius;
+        const length = Math.sqrt(x * x + y * y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        this.stick.x = x;
+        this.stick.y = y;
+        this.stickKnob.style.transform = `translate(calc(-50% + ${x * radius}px), calc(-50% + ${y * radius}px))`;
+        this.report();
+    }
+
+    // Tell the action map what is held - the joystick steers the ship or flies the spectator
+    report() {
+        const actionIds = new Set(this.heldButtons.values());
+        const stick = applyDeadZone(this.stick.x, this.stick.y, this.settings.deadZone);
+        const threshold = this.settings.moveThreshold;
+        if (stick.y < -threshold) actionIds.add('spectatorForward');
+        if (stick.y > threshold) actionIds.add('spectatorBackward');
+        if (stick.x < -threshold) actionIds.add('spectatorLeft');
+        if (stick.x > threshold) actionIds.add('spectatorRight');
+        this.input.setSourceState('touch', actionIds, { steer: -stick.x }); // Positive turns to port, as for the gamepad
+    }
+
+    // Per frame - show the buttons for the pawn in control
+    update() {
+        if (this.context === this.input.context) {
+            return;
+        }
+        this.context = this.input.context;
+        for (const { def, button } of this.buttons) {
+            button.style.display = def.context === 'global' || def.context === this.context ? 'block' : 'none';
+        }
+    }
+
+    // Camera drag since the last call, in radians - screen up is negative y, like the mouse
+    consumeLook() {
+        const look = {
+            x: this.look.x * this.settings.lookSensitivity,
+            y: this.look.y * this.settings.lookSensitivity
+        };
+        this.look.x = 0;
+        this.look.y = 0;
+        return look;
+    }
+}
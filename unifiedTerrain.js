@@ -1,5 +1,13 @@
 // UnifiedTerrain.js - Single dynamic mesh for seamless terrain
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { worldBounds } from './worldBounds.js';
+
+// Deterministic 0..1 value for an integer grid cell
+function hashCell(x, z, salt) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(z, 668265263) ^ Math.imul(salt + 1, 2246822519);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
 
 export class UnifiedTerrain {
     constructor(scene, size = 400, resolution = 64) {
@@ -23,6 +31,16 @@ export class UnifiedTerrain {
         this.chunkSize = 200; // Size of each terrain chunk
         this.chunkResolution = 32; // Resolution per chunk
         this.renderDistance = 800; // How far to generate chunks
+        this.baseHeight = -2.5; // World Y of terrain height 0 (chunk mesh offset)
+        
+        // Islands and shoals - one may rise in each cell of a coarse grid
+        this.islandCellSize = 700;
+        this.islandChance = 0.45;
+        this.islandClearRadius = 250; // Keep the spawn point in open water
+        
+        // World bounds the chunks were built for - a wrapping world tiles its heightfield
+        this.boundsVersion = worldBounds.version;
+        this.sampleTerrainHeight = this.sampleTerrainHeight.bind(this);
         
         // Ocean surface
         this.oceanSurface = null;
@@ -150,7 +168,7 @@ export class UnifiedTerrain {
         });
         
         const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = -2.5;
+        mesh.position.y = this.baseHeight;
         this.scene.add(mesh);
         
         return {
@@ -161,7 +179,12 @@ export class UnifiedTerrain {
         };
     }
     
+    // Terrain height at (x, z) - across a wrap-around seam it blends into the far side
     generateTerrainHeight(x, z) {
+        return worldBounds.sampleSeamless(x, z, this.sampleTerrainHeight);
+    }
+    
+    sampleTerrainHeight(x, z) {
         // Multi-scale noise for realistic terrain
         let height = 0;
         
@@ -177,10 +200,58 @@ export class UnifiedTerrain {
         height += Math.sin(x * 0.08) * Math.cos(z * 0.06) * 0.6;
         height += Math.sin(x * 0.05 + z * 0.07) * 0.8;
         
+        // Islands and shoals rising toward the surface
+        height += this.getIslandHeight(x, z);
+        
         // Smooth the result
         return height;
     }
     
+    // Height added by nearby islands - deterministic so every client sees the same coastline
+    getIslandHeight(x, z) {
+        const cellX = Math.floor(x / this.islandCellSize);
+        const cellZ = Math.floor(z / this.islandCellSize);
+        let height = 0;
+        
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const island = this.getIsland(cellX + dx, cellZ + dz);
+                if (!island) {
+                    continue;
+                }
+                const distSq = (x - island.x) ** 2 + (z - island.z) ** 2;
+                if (distSq < island.radius * island.radius) {
+                    // Smooth dome that meets the seabed at its rim
+                    const t = 1 - distSq / (island.radius * island.radius);
+                    height = Math.max(height, island.peak * t * t);
+                }
+            }
+        }
+        return height;
+    }
+    
+    // Island for a grid cell, or null if the cell is open water
+    getIsland(cellX, cellZ) {
+        if (hashCell(cellX, cellZ, 0) > this.islandChance) {
+            return null;
+        }
+        const island = {
+            x: (cellX + 0.2 + hashCell(cellX, cellZ, 1) * 0.6) * this.islandCellSize,
+            z: (cellZ + 0.2 + hashCell(cellX, cellZ, 2) * 0.6) * this.islandCellSize,
+            radius: 60 + hashCell(cellX, cellZ, 3) * 100,
+            peak: 18 + hashCell(cellX, cellZ, 4) * 16 // Below ~22 it stays a hidden shoal
+        };
+        if (Math.sqrt(island.x * island.x + island.z * island.z) < this.islandClearRadius + island.radius) {
+            return null;
+        }
+        return island;
+    }
+    
+    // World Y of the seabed (or land) at (x, z), without the animated ripple
+    getSeabedHeight(x, z) {
+        return this.generateTerrainHeight(x, z) + this.baseHeight;
+    }
+    
     storeOriginalHeights() {
         const positions = this.mesh.geometry.attributes.position.array;
         for (let i = 1; i < positions.length; i += 3) {
@@ -203,6 +274,12 @@ export class UnifiedTerrain {
     }
     
     updateTerrainChunks(playerPosition) {
+        // World bounds changed - every chunk's heights are stale
+        if (this.boundsVersion !== worldBounds.version) {
+            this.boundsVersion = worldBounds.version;
+            this.clearChunks();
+        }
+        
         // Calculate which chunks should exist around the player
         const playerChunkX = Math.floor(playerPosition.x / this.chunkSize);
         const playerChunkZ = Math.floor(playerPosition.z / this.chunkSize);
@@ -246,6 +323,25 @@ export class UnifiedTerrain {
         }
     }
     
+    // Graphics quality - how far chunks are built and how fine their grid is
+    // A new resolution rebuilds every chunk; a new distance takes effect as chunks stream
+    setDetail({ renderDistance = this.renderDistance, chunkResolution = this.chunkResolution } = {}) {
+        this.renderDistance = renderDistance;
+        if (chunkResolution !== this.chunkResolution) {
+            this.chunkResolution = chunkResolution;
+            this.clearChunks();
+        }
+    }
+
+    clearChunks() {
+        for (const chunk of this.terrainChunks.values()) {
+            this.scene.remove(chunk.mesh);
+            chunk.mesh.geometry.dispose();
+            chunk.mesh.material.dispose();
+        }
+        this.terrainChunks.clear();
+    }
+    
     animateTerrainChunks() {
         for (const [chunkKey, chunk] of this.terrainChunks) {
             const positions = chunk.mesh.geometry.attributes.position;
@@ -265,7 +361,7 @@ export class UnifiedTerrain {
                 // Calculate storm intensity at this position
                 let stormIntensity = 0;
                 for (const storm of this.storms) {
-                    const dist = Math.sqrt((x - storm.x) ** 2 + (z - storm.z) ** 2);
+                    const dist = Math.hypot(worldBounds.delta(x, storm.x), worldBounds.delta(z, storm.z));
                     if (dist < storm.radius) {
                         const intensity = (1 - dist / storm.radius) * storm.amp;
                         stormIntensity = Math.max(stormIntensity, intensity);
@@ -350,7 +446,7 @@ export class UnifiedTerrain {
             // Calculate storm intensity at this position
             let stormIntensity = 0;
             for (const storm of this.storms) {
-                const dist = Math.sqrt((x - storm.x) ** 2 + (z - storm.z) ** 2);
+                const dist = Math.hypot(worldBounds.delta(x, storm.x), worldBounds.delta(z, storm.z));
                 if (dist < storm.radius) {
                     const intensity = (1 - dist / storm.radius) * storm.amp;
                     stormIntensity = Math.max(stormIntensity, intensity);
@@ -442,7 +538,7 @@ export class UnifiedTerrain {
         // Calculate storm effects on surface
         let avgStormIntensity = 0;
         for (const storm of this.storms) {
-            avgStormIntensity += storm.intensity || storm.amp || 1.0;
+            avgStormIntensity += storm.intensity ?? storm.amp ?? 1.0;
         }
         avgStormIntensity = Math.min(avgStormIntensity / Math.max(this.storms.length, 1), 2.0);
         
@@ -516,7 +612,7 @@ export class UnifiedTerrain {
     getStormIntensityAtPosition(x, z) {
         let maxIntensity = 0;
         for (const storm of this.storms) {
-            const dist = Math.sqrt((x - storm.x) ** 2 + (z - storm.z) ** 2);
+            const dist = Math.hypot(worldBounds.delta(x, storm.x), worldBounds.delta(z, storm.z));
             if (dist < storm.radius) {
                 const intensity = (1 - dist / storm.radius) * storm.amp;
                 maxIntensity = Math.max(maxIntensity, intensity);
@@ -527,12 +623,7 @@ export class UnifiedTerrain {
     
     remove() {
         // Remove all terrain chunks
-        for (const [chunkKey, chunk] of this.terrainChunks) {
-            this.scene.remove(chunk.mesh);
-            chunk.mesh.geometry.dispose();
-            chunk.mesh.material.dispose();
-        }
-        this.terrainChunks.clear();
+        this.clearChunks();
         
         // Remove ocean surface
         if (this.oceanSurface) {
@@ -0,0 +1,162 @@
+// waveSpectrum.js - Ocean wave spectrum and named sea-state presets
+// Builds a set of directional Gerstner wave components from a JONSWAP spectrum
+// (gamma = 1 reduces it to Pierson-Moskowitz) for the shared OceanModel.
+
+export const GRAVITY = 9.81;
+
+// Sea-state presets - switchable at runtime through OceanModel.setSeaState()
+//   windSpeed         - drives the spectral peak frequency (Pierson-Moskowitz)
+//   windDirection     - mean wave travel direction in radians (0 = +X)
+//   gamma             - JONSWAP peak enhancement (1.0 = fully developed PM sea)
+//   spread            - directional spreading exponent (higher = more aligned swell)
+//   significantHeight - Hs in world units, the spectrum is normalised to this
+//   choppiness        - Gerstner steepness 0..1 (sharp crests, flat troughs)
+//   waveCount         - number of Gerstner components summed
+//   timeScale         - wave playback rate
+export const SEA_STATES = {
+    glassy: {
+        label: 'Glassy',
+        windSpeed: 4,
+        windDirection: 0.3,
+        gamma: 1.0,
+        spread: 8,
+        significantHeight: 0.3,
+        choppiness: 0.15,
+        waveCount: 6,
+        timeScale: 1.0
+    },
+    moderate: {
+        label: 'Moderate',
+        windSpeed: 9,
+        windDirection: 0.3,
+        gamma: 3.3,
+        spread: 4,
+        significantHeight: 1.8,
+        choppiness: 0.45,
+        waveCount: 10,
+        timeScale: 1.0
+    },
+    gale: {
+        label: 'Gale',
+        windSpeed: 17,
+        windDirection: 0.5,
+        gamma: 3.3,
+        spread: 2,
+        significantHeight: 4.0,
+        choppiness: 0.75,
+        waveCount: 12,
+        timeScale: 1.2
+    },
+    hurricane: {
+        label: 'Hurricane',
+        windSpeed: 28,
+        windDirection: 0.8,
+        gamma: 5.0,
+        spread: 1,
+        significantHeight: 7.0,
+        choppiness: 0.95,
+        waveCount: 14,
+        timeScale: 1.4
+    }
+};
+
+export const DEFAULT_SEA_STATE = 'moderate';
+
+// Wavelength limits keep components visible on the 2400-unit, 128-segment ocean mesh
+const MIN_WAVELENGTH = 30;
+const MAX_WAVELENGTH = 400;
+
+// Deterministic random so every client builds the same wave field
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// JONSWAP spectral density S(omega) for a given peak frequency
+export function spectrumDensity(omega, peakOmega, gamma = 3.3) {
+    const alpha = 0.0081;
+    const pm = (alpha * GRAVITY * GRAVITY / Math.pow(omega, 5)) *
+        Math.exp(-1.25 * Math.pow(peakOmega / omega, 4));
+    if (gamma === 1.0) {
+        return pm;
+    }
+    const sigma = omega <= peakOmega ? 0.07 : 0.09;
+    const r = Math.exp(-Math.pow(omega - peakOmega, 2) / (2 * sigma * sigma * peakOmega * peakOmega));
+    return pm * Math.pow(gamma, r);
+}
+
+// Sample a direction offset from a cos^(2s) spreading function
+function sampleSpreadAngle(random, spread) {
+    for (let attempt = 0; attempt < 16; attempt++) {
+        const angle = (random() - 0.5) * Math.PI;
+        if (random() <= Math.pow(Math.cos(angle), 2 * spread)) {
+            return angle;
+        }
+    }
+    return 0;
+}
+
+// Build Gerstner components for a sea-state preset
+// A non-zero period snaps each wave vector so the surface repeats every period units
+// (used when the world wraps around, so the ocean has no seam)
+export function generateGerstnerWaves(seaState, seed = 1337, period = 0) {
+    const random = createRandom(seed);
+    const peakOmega = 0.877 * GRAVITY / seaState.windSpeed;
+
+    // Sample 0.7-2.5x the peak frequency, squeezed into the visible wavelength range
+    const shortestOmega = Math.sqrt(GRAVITY * 2 * Math.PI / MIN_WAVELENGTH);
+    const longestOmega = Math.sqrt(GRAVITY * 2 * Math.PI / MAX_WAVELENGTH);
+    const maxOmega = Math.max(longestOmega * 2, Math.min(peakOmega * 2.5, shortestOmega));
+    const minOmega = Math.max(longestOmega, Math.min(peakOmega * 0.7, maxOmega * 0.5));
+    const count = seaState.waveCount;
+    const bandWidth = (maxOmega - minOmega) / count;
+
+    const waves = [];
+    for (let i = 0; i < count; i++) {
+        // Jitter inside each band to avoid a regular, repeating pattern
+        let omega = minOmega + (i + random()) * bandWidth;
+        let k = omega * omega / GRAVITY; // Deep water dispersion
+        const wavelength = Math.max(MIN_WAVELENGTH, Math.min(MAX_WAVELENGTH, 2 * Math.PI / k));
+        k = 2 * Math.PI / wavelength;
+        omega = Math.sqrt(GRAVITY * k);
+
+        const direction = seaState.windDirection + sampleSpreadAngle(random, seaState.spread);
+        let dirX = Math.cos(direction);
+        let dirZ = Math.sin(direction);
+        if (period > 0) {
+            const step = 2 * Math.PI / period;
+            const kx = Math.round(k * dirX / step) * step;
+            const kz = Math.round(k * dirZ / step) * step;
+            k = Math.sqrt(kx * kx + kz * kz);
+            dirX = kx / k;
+            dirZ = kz / k;
+            omega = Math.sqrt(GRAVITY * k);
+        }
+        waves.push({
+            dirX,
+            dirZ,
+            k,
+            omega,
+            amplitude: Math.sqrt(2 * spectrumDensity(omega, peakOmega, seaState.gamma) * bandWidth),
+            steepness: 0,
+            phase: random() * Math.PI * 2
+        });
+    }
+
+    // Normalise to the preset's significant wave height (Hs = 4 * sqrt(m0))
+    const m0 = waves.reduce((sum, wave) => sum + wave.amplitude * wave.amplitude / 2, 0);
+    const scale = m0 > 0 ? seaState.significantHeight / (4 * Math.sqrt(m0)) : 0;
+    for (const wave of waves) {
+        wave.amplitude *= scale;
+        // Split choppiness across components so crests never loop over
+        wave.steepness = wave.amplitude > 0 ? seaState.choppiness / (wave.k * wave.amplitude * count) : 0;
+    }
+
+    return waves;
+}
@@ -0,0 +1,169 @@
+// weatherSystem.js - Unified weather system
+// Owns the one list of storms used by every other module: the ocean model raises
+// waves and tints the water, UnifiedTerrain deforms its chunks and ships are pushed
+// around by the storm's swirling current. Distances to a storm are measured through the
+// world bounds, so a storm near the edge of a wrapping world reaches across the seam.
+import { worldBounds } from './worldBounds.js';
+
+export class WeatherSystem {
+    constructor() {
+        this.storms = []; // Array of active storm systems
+        this.maxStorms = 3;
+        this.stormSpawnChance = 0.03; // Low chance per second to spawn storm
+        this.minLifetime = 60; // Seconds
+        this.maxLifetime = 120;
+        this.driftTowardFocus = 2.0; // Storms slowly drift toward the player for more dynamic gameplay
+        this.maxCurrentSpeed = 3.0; // Peak swirl current at the storm's strongest point
+    }
+
+    // Spawn a storm at a random location around the focus position
+    spawnStorm(focusPosition) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = 400 + Math.random() * 600; // 400-1000 units from player
+        const heading = Math.random() * Math.PI * 2;
+        const travelSpeed = 1.0 + Math.random() * 3.0;
+
+        const storm = {
+            id: Math.random().toString(36).substr(2, 9),
+            x: focusPosition.x + Math.cos(angle) * distance,
+            z: focusPosition.z + Math.sin(angle) * distance,
+            velocityX: Math.cos(heading) * travelSpeed,
+            velocityZ: Math.sin(heading) * travelSpeed,
+            peakIntensity: 0.5 + Math.random() * 1.0, // Storm intensity 0.5-1.5 at full strength
+            intensity: 0, // Current intensity, ramps up and down over the storm's life
+            radius: 300 + Math.random() * 400, // Storm radius 300-700
+            amp: 1.0, // Wave amplitude multiplier at the eye, derived from intensity
+            age: 0,
+            maxAge: this.minLifetime + Math.random() * (this.maxLifetime - this.minLifetime),
+            rotationSpeed: (Math.random() - 0.5) * 2.0, // Random rotation
+            swirl: Math.random() * Math.PI * 2, // Accumulated rotation angle
+            pulsePhase: Math.random() * Math.PI * 2
+        };
+
+        this.storms.push(storm);
+        console.log(`[WeatherSystem] Spawned storm at (${storm.x.toFixed(1)}, ${storm.z.toFixed(1)}) with intensity ${storm.peakIntensity.toFixed(2)}`);
+        return storm;
+    }
+
+    // Advance storm lifecycle, movement and intensity (call once per frame)
+    update(deltaTime, focusPosition) {
+        if (focusPosition && Math.random() < deltaTime * this.stormSpawnChance && this.storms.length < this.maxStorms) {
+            this.spawnStorm(focusPosition);
+        }
+
+        for (const storm of this.storms) {
+            storm.age += deltaTime;
+            storm.pulsePhase += deltaTime * 3.0; // Fast pulsing for dramatic effect
+            storm.swirl += deltaTime * storm.rotationSpeed;
+
+            // Build up over the first 20% of its life, fade over the last 25%
+            const life = storm.age / storm.maxAge;
+            let envelope = 1.0;
+            if (life < 0.2) {
+                envelope = life / 0.2;
+            } else if (life > 0.75) {
+                envelope = Math.max(0, (1.0 - life) / 0.25);
+            }
+            storm.intensity = storm.peakIntensity * envelope;
+            storm.amp = 1.0 + storm.intensity * 2.0; // Up to 4x waves at the eye
+
+            // Travel along its own heading
+            storm.x += storm.velocityX * deltaTime;
+            storm.z += storm.velocityZ * deltaTime;
+            if (worldBounds.isWrapping()) {
+                storm.x = worldBounds.wrap(storm.x);
+                storm.z = worldBounds.wrap(storm.z);
+            }
+
+            // Storms slowly drift toward player for more dynamic gameplay
+            if (focusPosition) {
+                const dx = worldBounds.delta(focusPosition.x, storm.x);
+                const dz = worldBounds.delta(focusPosition.z, storm.z);
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                if (distance > 100) {
+                    storm.x += (dx / distance) * this.driftTowardFocus * deltaTime;
+                    storm.z += (dz / distance) * this.driftTowardFocus * deltaTime;
+                }
+            }
+        }
+
+        // Remove expired storms
+        this.storms = this.storms.filter(storm => storm.age < storm.maxAge);
+    }
+
+    // Strength of a storm's influence at (x, z), 1 at the eye falling to 0 at its edge
+    getStormFalloff(storm, x, z) {
+        const dx = worldBounds.delta(x, storm.x);
+        const dz = worldBounds.delta(z, storm.z);
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist >= storm.radius) {
+            return 0;
+        }
+        const t = 1 - dist / storm.radius;
+        return t * t * (3 - 2 * t); // Smoothstep so storm edges blend in
+    }
+
+    // Wave amplitude multiplier at (x, z) - hot path for the ocean mesh
+    getWaveMultiplier(x, z) {
+        let multiplier = 1.0;
+        for (const storm of this.storms) {
+            const falloff = this.getStormFalloff(storm, x, z);
+            if (falloff > 0) {
+                multiplier = Math.max(multiplier, 1 + (storm.amp - 1) * falloff);
+            }
+        }
+        return multiplier;
+    }
+
+    // Storm intensity at (x, z) - 0 in clear weather
+    getIntensityAt(x, z) {
+        let intensity = 0;
+        for (const storm of this.storms) {
+            const falloff = this.getStormFalloff(storm, x, z);
+            if (falloff > 0) {
+                intensity = Math.max(intensity, storm.intensity * falloff);
+            }
+        }
+        return intensity;
+    }
+
+    // Full weather sample for gameplay modules
+    getWeatherAt(x, z) {
+        const weather = {
+            intensity: 0, // Storm intensity, 0 in clear weather
+            waveMultiplier: 1.0, // Wave amplitude multiplier
+            tint: 0, // 0..1 how far the ocean colour shifts to storm colours
+            current: { x: 0, z: 0 }, // Surface current in world units per second
+            storm: null // Strongest storm affecting this point
+        };
+
+        for (const storm of this.storms) {
+            const falloff = this.getStormFalloff(storm, x, z);
+            if (falloff <= 0) {
+                continue;
+            }
+
+            const intensity = storm.intensity * falloff;
+            if (intensity > weather.intensity) {
+                weather.intensity = intensity;
+                weather.storm = storm;
+            }
+            weather.waveMultiplier = Math.max(weather.waveMultiplier, 1 + (storm.amp - 1) * falloff);
+
+            // Swirling current around the eye, strongest mid-radius
+            const dx = worldBounds.delta(x, storm.x);
+            const dz = worldBounds.delta(z, storm.z);
+            const dist = Math.sqrt(dx * dx + dz * dz) || 1;
+            const direction = Math.sign(storm.rotationSpeed) || 1;
+            const speed = this.maxCurrentSpeed * storm.intensity * Math.sin(Math.PI * Math.min(1, dist / storm.radius));
+            weather.current.x += (-dz / dist) * speed * direction;
+            weather.current.z += (dx / dist) * speed * direction;
+        }
+
+        weather.tint = Math.min(1, weather.intensity);
+        return weather;
+    }
+}
+
+// Shared instance used by the ocean model, terrain and ships
+export const weatherSystem = new WeatherSystem();
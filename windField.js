@@ -0,0 +1,140 @@
+// windField.js - Global wind subsystem
+// Wind direction and strength vary slowly over space and time, follow the sea state
+// and spin up into cyclones inside storms. Ships turn it into headway by point of sail.
+import { weatherSystem } from './weatherSystem.js';
+import { worldBounds } from './worldBounds.js';
+
+// Sail efficiency by angle off the wind in degrees (0 = head to wind, 180 = dead downwind)
+// No headway in irons, best speed on a broad reach.
+const POLAR_TABLE = [
+    [0, 0.0],
+    [35, 0.0],
+    [45, 0.45],
+    [60, 0.7],
+    [90, 0.85],
+    [120, 0.98],
+    [135, 1.0],
+    [150, 0.9],
+    [180, 0.72]
+];
+
+// Names for the HUD, by the lower bound of each range in degrees
+const POINTS_OF_SAIL = [
+    [0, 'In irons'],
+    [35, 'Close hauled'],
+    [60, 'Close reach'],
+    [80, 'Beam reach'],
+    [110, 'Broad reach'],
+    [160, 'Running']
+];
+
+// Sail efficiency (0..1) for an angle off the wind in radians
+export function getSailEfficiency(angleOffWind) {
+    const degrees = Math.abs(angleOffWind) * 180 / Math.PI;
+    for (let i = 1; i < POLAR_TABLE.length; i++) {
+        const [maxAngle, maxEfficiency] = POLAR_TABLE[i];
+        if (degrees <= maxAngle) {
+            const [minAngle, minEfficiency] = POLAR_TABLE[i - 1];
+            const t = (degrees - minAngle) / (maxAngle - minAngle);
+            return minEfficiency + (maxEfficiency - minEfficiency) * t;
+        }
+    }
+    return POLAR_TABLE[POLAR_TABLE.length - 1][1];
+}
+
+// Point-of-sail name for an angle off the wind in radians
+export function getPointOfSail(angleOffWind) {
+    const degrees = Math.abs(angleOffWind) * 180 / Math.PI;
+    let name = POINTS_OF_SAIL[0][1];
+    for (const [minAngle, label] of POINTS_OF_SAIL) {
+        if (degrees >= minAngle) {
+            name = label;
+        }
+    }
+    return name;
+}
+
+export class WindField {
+    constructor(weather = null) {
+        this.weather = weather;
+        this.time = Math.random() * 1000;
+
+        // Prevailing wind - direction is where the wind blows toward, radians from +X
+        this.baseDirection = 0.3;
+        this.baseStrength = 9.0;
+        this.referenceStrength = 9.0; // Wind strength at which sails give their rated speed
+        this.stormWindStrength = 20.0; // Extra wind at the strongest point of a full storm
+    }
+
+    // Follow a sea-state preset so waves run with the wind
+    setPrevailingWind(direction, strength) {
+        this.baseDirection = direction;
+        this.baseStrength = strength;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    // Wind at (x, z): { x, z } velocity, direction (radians, blowing toward) and strength
+    getWindAt(x, z) {
+        const t = this.time;
+
+        // Slow veering and gusting over time, with large-scale spatial variation
+        const direction = this.baseDirection +
+            Math.sin(t * 0.01) * 0.5 +
+            Math.sin(t * 0.023 + 1.3) * 0.25 +
+            Math.sin(x * 0.0011 + z * 0.0007 + t * 0.015) * 0.3;
+        const strength = this.baseStrength * (1 +
+            Math.sin(t * 0.05 + 0.7) * 0.15 +
+            Math.sin(t * 0.37) * 0.05 +
+            Math.sin(x * 0.0017 - z * 0.0013 + t * 0.02) * 0.15);
+
+        let windX = Math.cos(direction) * strength;
+        let windZ = Math.sin(direction) * strength;
+
+        // Storms add cyclonic wind spiralling into the eye
+        if (this.weather) {
+            for (const storm of this.weather.storms) {
+                const falloff = this.weather.getStormFalloff(storm, x, z);
+                if (falloff <= 0) {
+                    continue;
+                }
+                const dx = worldBounds.delta(x, storm.x);
+                const dz = worldBounds.delta(z, storm.z);
+                const dist = Math.sqrt(dx * dx + dz * dz) || 1;
+                const spin = Math.sign(storm.rotationSpeed) || 1;
+                const stormStrength = this.stormWindStrength * storm.intensity * falloff;
+                // Mostly tangential with a little inflow toward the eye
+                windX += (-dz / dist * spin * 0.9 - dx / dist * 0.3) * stormStrength;
+                windZ += (dx / dist * spin * 0.9 - dz / dist * 0.3) * stormStrength;
+            }
+        }
+
+        return {
+            x: windX,
+            z: windZ,
+            direction: Math.atan2(windZ, windX),
+            strength: Math.sqrt(windX * windX + windZ * windZ)
+        };
+    }
+
+    // Angle between a heading and the direction the wind comes from (0 = head to wind)
+    getAngleOffWind(wind, headingX, headingZ) {
+        if (wind.strength <= 0) {
+            return Math.PI;
+        }
+        const fromX = -wind.x / wind.strength;
+        const fromZ = -wind.z / wind.strength;
+        const dot = Math.max(-1, Math.min(1, headingX * fromX + headingZ * fromZ));
+        return Math.acos(dot);
+    }
+
+    // Multiplier on sail speed from wind strength
+    getStrengthFactor(wind) {
+        return Math.max(0.25, Math.min(1.75, wind.strength / this.referenceStrength));
+    }
+}
+
+// Shared instance used by ships and the HUD
+export const windField = new WindField(weatherSystem);
@@ -0,0 +1,192 @@
+// worldBounds.js - Edge of the world
+// The sea is a square 2 * halfSize across, centred on the origin. What happens at its
+// edge is configurable:
+//   'wall'     - ships stop at a visible boundary, with a warning as they close on it
+//   'pushBack' - a current that grows toward the edge sets ships back toward open sea
+//   'wrap'     - sail off one edge and come in at the opposite one; the ocean, terrain
+//                and storms tile across the seam and distances are measured the short
+//                way round, so nothing shows where the world joins
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+
+export const WORLD_BOUNDS_MODES = ['wall', 'pushBack', 'wrap'];
+
+// Default configuration - the mode is a player setting (the host's in multiplayer), the rest is tuning
+export const DEFAULT_WORLD_BOUNDS = {
+    mode: 'wall',
+    halfSize: 2000, // Edge distance from the origin along X and Z
+    warningDistance: 150, // Warn the captain when the edge is this close
+    pushBackDistance: 250, // Width of the band the push-back current runs in
+    pushBackStrength: 4.0, // Acceleration of the current at the very edge
+    seamBlend: 200 // Width of the band where wrapped terrain blends into the far side
+};
+
+export class WorldBounds {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_WORLD_BOUNDS, ...config };
+        this.version = 0; // Bumped on every mode change so cached terrain can be rebuilt
+    }
+
+    setMode(mode) {
+        if (!WORLD_BOUNDS_MODES.includes(mode)) {
+            console.warn(`[WorldBounds] Unknown mode "${mode}"`);
+            return false;
+        }
+        if (mode !== this.config.mode) {
+            this.config.mode = mode;
+            this.version++;
+        }
+        return true;
+    }
+
+    isWrapping() {
+        return this.config.mode === 'wrap';
+    }
+
+    // Distance after which the world repeats - 0 when it doesn't wrap
+    getPeriod() {
+        return this.isWrapping() ? this.config.halfSize * 2 : 0;
+    }
+
+    // Coordinate folded back into [-halfSize, halfSize)
+    wrap(value) {
+        const half = this.config.halfSize;
+        const size = half * 2;
+        return ((value + half) % size + size) % size - half;
+    }
+
+    // a - b, the short way round the seam when wrapping
+    delta(a, b) {
+        const difference = a - b;
+        return this.isWrapping() ? this.wrap(difference) : difference;
+    }
+
+    // Copy of a coordinate on the same side of the seam as the reference
+    nearestImage(value, reference) {
+        return reference + this.delta(value, reference);
+    }
+
+    // Distance to the nearest edge - Infinity when the world wraps
+    getDistanceToEdge(x, z) {
+        if (this.isWrapping()) {
+            return Infinity;
+        }
+        return this.config.halfSize - Math.max(Math.abs(x), Math.abs(z));
+    }
+
+    // 0 over most of the world, easing to 1 at the +X/+Z seam
+    getSeamWeight(value) {
+        const blend = this.config.seamBlend;
+        const t = Math.max(0, Math.min(1, (value - (this.config.halfSize - blend)) / blend));
+        return t * t * (3 - 2 * t);
+    }
+
+    // Sample a heightfield so it tiles across the seam - near the +X/+Z edges it blends
+    // into the values from the far side, so both sides of the seam agree
+    //   sample - (x, z) => number
+    sampleSeamless(x, z, sample) {
+        if (!this.isWrapping()) {
+            return sample(x, z);
+        }
+        const size = this.getPeriod();
+        x = this.wrap(x);
+        z = this.wrap(z);
+        const wx = this.getSeamWeight(x);
+        const wz = this.getSeamWeight(z);
+        if (wx === 0 && wz === 0) {
+            return sample(x, z);
+        }
+        const near = sample(x, z) * (1 - wx) + (wx > 0 ? sample(x - size, z) * wx : 0);
+        if (wz === 0) {
+            return near;
+        }
+        const far = sample(x, z - size) * (1 - wx) + (wx > 0 ? sample(x - size, z - size) * wx : 0);
+        return near * (1 - wz) + far * wz;
+    }
+
+    // Keep a ship inside the world - call after its physics step
+    //   ship - Object3D with velocity
+    // Returns { shiftX, shiftZ } (non-zero when it wrapped), distanceToEdge and warning
+    constrain(ship, deltaTime) {
+        const config = this.config;
+        const half = config.halfSize;
+        const position = ship.position;
+        const result = { shiftX: 0, shiftZ: 0, distanceToEdge: this.getDistanceToEdge(position.x, position.z), warning: false };
+
+        if (config.mode === 'wrap') {
+            for (const axis of ['x', 'z']) {
+                if (position[axis] < -half || position[axis] >= half) {
+                    const wrapped = this.wrap(position[axis]);
+                    result[axis === 'x' ? 'shiftX' : 'shiftZ'] = wrapped - position[axis];
+                    position[axis] = wrapped;
+                }
+            }
+            return result;
+        }
+
+        for (const axis of ['x', 'z']) {
+            const side = Math.sign(position[axis]);
+            const inside = half - Math.abs(position[axis]);
+            if (config.mode === 'pushBack') {
+                // Current sets the ship back toward open sea, strongest at and past the edge
+                if (inside < config.pushBackDistance) {
+                    const depth = Math.min(1, 1 - inside / config.pushBackDistance);
+                    ship.velocity[axis] -= side * config.pushBackStrength * depth * depth * deltaTime;
+                }
+                // Backstop so nothing can be driven out of the world entirely
+                const limit = half + config.pushBackDistance;
+                position[axis] = Math.max(-limit, Math.min(limit, position[axis]));
+            } else if (inside < 0) {
+                // Wall - stop at the edge but keep sliding along it
+                position[axis] = side * half;
+                if (ship.velocity[axis] * side > 0) {
+                    ship.velocity[axis] = 0;
+                }
+            }
+        }
+
+        result.warning = result.distanceToEdge < config.warningDistance;
+        return result;
+    }
+}
+
+// Shared by ships, terrain, storms, the ocean and networked players
+export const worldBounds = new WorldBounds();
+
+// Translucent curtain around the edge of the world - shown unless the world wraps
+export function createBoundaryMarker(baseHeight = 20) {
+    const marker = new THREE.Group();
+    const material = new THREE.MeshBasicMaterial({
+        color: 0xFF3333,
+        transparent: true,
+        opacity: 0.18,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    const height = 40;
+    for (let i = 0; i < 4; i++) {
+        const wall = new THREE.Mesh(new THREE.PlaneGeometry(1, height), material);
+        wall.rotation.y = i * Math.PI / 2;
+        marker.add(wall);
+    }
+    marker.position.y = baseHeight + height / 2 - 5; // A little below the troughs up to well above the masts
+    marker.userData.material = material;
+    marker.userData.version = -1;
+    return marker;
+}
+
+// Resize and recolor the curtain for the current configuration (cheap to call every frame)
+export function updateBoundaryMarker(marker, bounds = worldBounds) {
+    if (marker.userData.version === bounds.version) {
+        return;
+    }
+    marker.userData.version = bounds.version;
+    const half = bounds.config.halfSize;
+    marker.visible = !bounds.isWrapping();
+    marker.children.forEach((wall, i) => {
+        const angle = i * Math.PI / 2;
+        wall.scale.x = half * 2;
+        wall.position.set(Math.sin(angle) * half, 0, Math.cos(angle) * half);
+    });
+    // Red for a hard wall, blue where a current turns ships back
+    marker.userData.material.color.set(bounds.config.mode === 'pushBack' ? 0x3399FF : 0xFF3333);
+}